@@ -0,0 +1,348 @@
+import { createHash, randomBytes, randomUUID, timingSafeEqual } from 'crypto';
+import { config } from 'dotenv';
+import { pool } from '../db/index.js';
+import { listDealerships, getDealership } from '../dealerships/index.js';
+
+config();
+
+// ============================================================================
+// API KEYS
+// ============================================================================
+// Every request needs a Bearer key. Keys live in api_keys as SHA-256 hashes -
+// the plaintext is shown once, when the key is created or rotated. Each key
+// has scopes and may be bound to one dealership:
+//   reply:generate  - /agent/reply, /agent/summary, /agent/feedback, suggestion stats
+//   inventory:read  - inventory search, stats, history, VIN lookup
+//   inventory:sync  - start and watch syncs, diagnostics, scraper profiles
+//   admin           - everything, including key management, prompt templates
+//                     and migrations
+// Two legacy tokens from before api_keys still work, neither can be revoked
+// or rotated through the API:
+//   INTERNAL_TOKEN      reply:generate only, as it was before keys. While no
+//                       key exists it may also POST /api/keys, to create the
+//                       first admin key - after that it can't manage keys.
+//   dealership apiToken reply:generate + inventory:read, bound to that
+//                       rooftop. Deprecated: each use logs a warning (once per
+//                       rooftop). To move one to a hashed key, create
+//                         npm run api-key -- create --name=<id>-crm --scopes=reply:generate,inventory:read --dealership=<id>
+//                       give the new key to the CRM, then delete apiToken /
+//                       apiTokenEnv from dealerships.json.
+// With no keys at all every request is refused.
+//
+// Create keys from the shell:
+//   npm run api-key -- create --name=crm --scopes=reply:generate,inventory:read [--dealership=id]
+//   npm run api-key -- list
+//   npm run api-key -- rotate <id>
+//   npm run api-key -- revoke <id>
+
+export const SCOPES = ['reply:generate', 'inventory:read', 'inventory:sync', 'admin'];
+
+const KEY_PREFIX = 'vak_';
+const INTERNAL_TOKEN_SCOPES = ['reply:generate'];
+const LEGACY_DEALERSHIP_SCOPES = ['reply:generate', 'inventory:read'];
+
+// Looked-up keys are cached briefly so every request isn't a query; a revoke
+// in another process takes effect within this window
+const CACHE_TTL_MS = 30 * 1000;
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+const cache = new Map();
+const lastTouched = new Map();
+const warnedLegacy = new Set();
+
+const KEY_COLUMNS = `
+  id, name, key_prefix, scopes, dealership_id, created_at, last_used_at, revoked_at, rotated_from
+`;
+
+function hashKey(key) {
+  return createHash('sha256').update(key).digest('hex');
+}
+
+function toApiKey(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    prefix: row.key_prefix,
+    scopes: row.scopes,
+    dealershipId: row.dealership_id,
+    source: 'database',
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at,
+    revokedAt: row.revoked_at,
+    rotatedFrom: row.rotated_from
+  };
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+// Checks { name, scopes, dealershipId } from an API body or the CLI; throws
+// with a message fit for a 400
+export function parseApiKeyRequest(body = {}) {
+  const name = typeof body.name === 'string' ? body.name.trim() : '';
+  if (!name || name.length > 100) {
+    throw new Error('name is required (up to 100 characters)');
+  }
+
+  const scopes = Array.isArray(body.scopes) ? body.scopes : String(body.scopes || '').split(',').filter(Boolean);
+  if (scopes.length === 0) {
+    throw new Error(`scopes is required - any of ${SCOPES.join(', ')}`);
+  }
+  const unknown = scopes.filter(scope => !SCOPES.includes(scope));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown scope(s): ${unknown.join(', ')} - expected any of ${SCOPES.join(', ')}`);
+  }
+
+  const dealershipId = body.dealershipId ? String(body.dealershipId) : null;
+  if (dealershipId && !getDealership(dealershipId)) {
+    throw new Error(`Unknown dealership: ${dealershipId}`);
+  }
+
+  return { name, scopes: [...new Set(scopes)], dealershipId };
+}
+
+export function hasScope(apiKey, scope) {
+  return apiKey.scopes.includes('admin') || apiKey.scopes.includes(scope);
+}
+
+// ============================================================================
+// KEY MANAGEMENT
+// ============================================================================
+
+// Returns { key, apiKey } - key is the plaintext and is not stored anywhere.
+// db is the pool, or a client inside a transaction.
+export async function createApiKey({ name, scopes, dealershipId = null, rotatedFrom = null }, db = pool) {
+  const key = KEY_PREFIX + randomBytes(24).toString('base64url');
+
+  const result = await db.query(`
+    INSERT INTO api_keys (id, name, key_prefix, key_hash, scopes, dealership_id, rotated_from)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING ${KEY_COLUMNS}
+  `, [randomUUID(), name, key.slice(0, KEY_PREFIX.length + 8), hashKey(key), scopes, dealershipId, rotatedFrom]);
+
+  console.log(`[API Keys] 🔑 Created key "${name}" (${result.rows[0].key_prefix}…) scopes=${scopes.join(',')}${dealershipId ? ` dealership=${dealershipId}` : ''}`);
+  return { key, apiKey: toApiKey(result.rows[0]) };
+}
+
+export async function getApiKey(id) {
+  const result = await pool.query(`SELECT ${KEY_COLUMNS} FROM api_keys WHERE id::text = $1`, [String(id)]);
+  return result.rows[0] ? toApiKey(result.rows[0]) : null;
+}
+
+export async function listApiKeys({ dealershipId, includeRevoked = false } = {}) {
+  const params = [];
+  const filters = [];
+  if (dealershipId) filters.push(`dealership_id = $${params.push(dealershipId)}`);
+  if (!includeRevoked) filters.push('revoked_at IS NULL');
+
+  const result = await pool.query(`
+    SELECT ${KEY_COLUMNS} FROM api_keys
+    ${filters.length > 0 ? `WHERE ${filters.join(' AND ')}` : ''}
+    ORDER BY created_at DESC
+  `, params);
+  return result.rows.map(toApiKey);
+}
+
+// Returns the revoked key, or null if there was no active key with that id
+export async function revokeApiKey(id, db = pool) {
+  const result = await db.query(`
+    UPDATE api_keys SET revoked_at = NOW()
+    WHERE id::text = $1 AND revoked_at IS NULL
+    RETURNING ${KEY_COLUMNS}
+  `, [String(id)]);
+
+  cache.clear();
+  if (!result.rows[0]) return null;
+
+  console.log(`[API Keys] 🚫 Revoked key "${result.rows[0].name}" (${result.rows[0].key_prefix}…)`);
+  return toApiKey(result.rows[0]);
+}
+
+// Issues a replacement with the same name, scopes and binding and revokes the
+// old key, in one transaction so a failure leaves the old key working.
+// Returns { key, apiKey } or null if the key isn't active.
+export async function rotateApiKey(id) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    const old = await revokeApiKey(id, client);
+    if (!old) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const rotated = await createApiKey({ name: old.name, scopes: old.scopes, dealershipId: old.dealershipId, rotatedFrom: old.id }, client);
+    await client.query('COMMIT');
+    cache.clear();
+    return rotated;
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// ============================================================================
+// AUTHENTICATION
+// ============================================================================
+
+// Compares digests so the time taken doesn't depend on how much of the token matched
+function tokensMatch(token, expected) {
+  return timingSafeEqual(Buffer.from(hashKey(token), 'hex'), Buffer.from(hashKey(expected), 'hex'));
+}
+
+function legacyKey(token) {
+  if (process.env.INTERNAL_TOKEN && tokensMatch(token, process.env.INTERNAL_TOKEN)) {
+    return { id: 'env:INTERNAL_TOKEN', name: 'INTERNAL_TOKEN', prefix: null, scopes: INTERNAL_TOKEN_SCOPES, dealershipId: null, source: 'env' };
+  }
+
+  const dealership = listDealerships().find(d => d.apiToken && tokensMatch(token, d.apiToken));
+  if (dealership) {
+    if (!warnedLegacy.has(dealership.id)) {
+      warnedLegacy.add(dealership.id);
+      console.warn(`[API Keys] ⚠️  Dealership ${dealership.id} authenticated with its legacy apiToken - it is deprecated, move it to an API key (see auth/index.js)`);
+    }
+    return {
+      id: `dealership:${dealership.id}`,
+      name: `${dealership.id} apiToken`,
+      prefix: null,
+      scopes: LEGACY_DEALERSHIP_SCOPES,
+      dealershipId: dealership.id,
+      source: 'dealership'
+    };
+  }
+  return null;
+}
+
+// last_used_at is informational, so it is written at most once a minute per key
+function touchKey(apiKey) {
+  const now = Date.now();
+  if (now - (lastTouched.get(apiKey.id) || 0) < TOUCH_INTERVAL_MS) return;
+  lastTouched.set(apiKey.id, now);
+
+  pool.query('UPDATE api_keys SET last_used_at = NOW() WHERE id = $1', [apiKey.id])
+    .catch(err => console.warn('[API Keys] ⚠️  Could not update last_used_at:', err.message));
+}
+
+// The key for a Bearer token, or null if it isn't a valid, unrevoked key
+export async function authenticateApiKey(token) {
+  if (!token) return null;
+
+  const legacy = legacyKey(token);
+  if (legacy) return legacy;
+  if (!token.startsWith(KEY_PREFIX)) return null;
+
+  const hash = hashKey(token);
+  const cached = cache.get(hash);
+  let apiKey;
+
+  if (cached && cached.expires > Date.now()) {
+    apiKey = cached.apiKey;
+  } else {
+    const result = await pool.query(
+      `SELECT ${KEY_COLUMNS} FROM api_keys WHERE key_hash = $1 AND revoked_at IS NULL`,
+      [hash]
+    );
+    apiKey = result.rows[0] ? toApiKey(result.rows[0]) : null;
+    cache.set(hash, { apiKey, expires: Date.now() + CACHE_TTL_MS });
+  }
+
+  if (apiKey) touchKey(apiKey);
+  return apiKey;
+}
+
+// INTERNAL_TOKEN may create keys only until the first one exists
+export async function canBootstrap(apiKey) {
+  if (apiKey.source !== 'env') return false;
+
+  try {
+    const result = await pool.query('SELECT 1 FROM api_keys WHERE revoked_at IS NULL LIMIT 1');
+    return result.rows.length === 0;
+  } catch (error) {
+    // 42P01 = undefined_table: no api_keys table to create a key in yet
+    if (error.code === '42P01') return false;
+    throw error;
+  }
+}
+
+// False when there is nothing a request could authenticate with
+export async function apiKeysConfigured() {
+  if (process.env.INTERNAL_TOKEN || listDealerships().some(d => d.apiToken)) {
+    return true;
+  }
+
+  try {
+    const result = await pool.query('SELECT 1 FROM api_keys WHERE revoked_at IS NULL LIMIT 1');
+    return result.rows.length > 0;
+  } catch (error) {
+    // 42P01 = undefined_table: migrations haven't created api_keys yet
+    if (error.code === '42P01') return false;
+    throw error;
+  }
+}
+
+// Safe to return from the API
+export function publicApiKey(apiKey) {
+  return {
+    id: apiKey.id,
+    name: apiKey.name,
+    prefix: apiKey.prefix,
+    scopes: apiKey.scopes,
+    dealershipId: apiKey.dealershipId,
+    source: apiKey.source,
+    createdAt: apiKey.createdAt ?? null,
+    lastUsedAt: apiKey.lastUsedAt ?? null,
+    revokedAt: apiKey.revokedAt ?? null,
+    rotatedFrom: apiKey.rotatedFrom ?? null
+  };
+}
+
+// ============================================================================
+// CLI
+// ============================================================================
+
+function parseArgs(args) {
+  const flags = {};
+  const positional = [];
+  for (const arg of args) {
+    const match = arg.match(/^--([^=]+)=(.*)$/);
+    if (match) flags[match[1]] = match[2];
+    else positional.push(arg);
+  }
+  return { flags, positional };
+}
+
+async function runCli([command, ...rest]) {
+  const { flags, positional } = parseArgs(rest);
+
+  if (command === 'create') {
+    const request = parseApiKeyRequest({ name: flags.name, scopes: flags.scopes, dealershipId: flags.dealership });
+    const { key, apiKey } = await createApiKey(request);
+    console.log(JSON.stringify(publicApiKey(apiKey), null, 2));
+    console.log(`\n🔑 ${key}\n⚠️  Store this key now - it cannot be shown again.`);
+  } else if (command === 'list') {
+    const keys = await listApiKeys({ dealershipId: flags.dealership, includeRevoked: flags.all === 'true' });
+    keys.forEach(k => console.log(`${k.id}  ${k.prefix}…  ${k.name}  [${k.scopes.join(',')}]${k.dealershipId ? ` @${k.dealershipId}` : ''}${k.revokedAt ? ' (revoked)' : ''}`));
+    if (keys.length === 0) console.log('No API keys');
+  } else if (command === 'rotate') {
+    const rotated = await rotateApiKey(positional[0]);
+    if (!rotated) throw new Error(`No active API key ${positional[0]}`);
+    console.log(`\n🔑 ${rotated.key}\n⚠️  Store this key now - it cannot be shown again. The old key is revoked.`);
+  } else if (command === 'revoke') {
+    if (!await revokeApiKey(positional[0])) throw new Error(`No active API key ${positional[0]}`);
+  } else {
+    throw new Error('Usage: npm run api-key -- create --name=<name> --scopes=<a,b> [--dealership=<id>] | list [--all=true] | rotate <id> | revoke <id>');
+  }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runCli(process.argv.slice(2))
+    .then(() => pool.end())
+    .catch(error => {
+      console.error('💥', error.code === '42P01' ? 'api_keys table not found - run npm run migrate first' : error.message);
+      pool.end().finally(() => process.exit(1));
+    });
+}
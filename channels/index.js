@@ -0,0 +1,236 @@
+// ============================================================================
+// REPLY CHANNELS
+// ============================================================================
+// Replies are written for the channel in page.channel - email (the default),
+// sms or chat. Each profile sets the length limits the guardrails enforce, the
+// structure rules for the prompt and the extra output fields:
+//   email  2-4 sentences, greeting, a subject line (`subject`), and the
+//          signature appended after the body
+//   sms    1-3 sentences under channels.sms.maxChars (default 160), no
+//          greeting or sign-off, `segments` / `encoding` / `characters`;
+//          the first text to a customer gets the opt-out footer, and a
+//          customer who texted STOP gets no reply at all, only the
+//          confirmation
+//   chat   1-3 short conversational sentences, no greeting or sign-off
+// A dealership can tune SMS with { channels: { sms: { maxChars, optOutFooter } } }.
+// The footer, opt-out confirmation and fallback subject follow the reply
+// language unless the dealership sets its own footer.
+
+export const CHANNELS = ['email', 'sms', 'chat'];
+
+const ALIASES = {
+  email: 'email',
+  mail: 'email',
+  sms: 'sms',
+  text: 'sms',
+  textmessage: 'sms',
+  txt: 'sms',
+  chat: 'chat',
+  webchat: 'chat',
+  livechat: 'chat'
+};
+
+const DEFAULT_SMS_MAX_CHARS = 160;
+const MAX_SUBJECT = 80;
+
+const OPT_OUT_FOOTERS = {
+  en: 'Reply STOP to opt out',
+  es: 'Responda STOP para no recibir más mensajes',
+  pt: 'Responda STOP para sair'
+};
+
+const OPT_OUT_CONFIRMATIONS = {
+  en: name => `${name}: You're unsubscribed and won't receive more texts from us. Reply START to resubscribe.`,
+  es: name => `${name}: Se ha dado de baja y no recibirá más mensajes de nosotros. Responda START para volver a suscribirse.`,
+  pt: name => `${name}: Você cancelou a inscrição e não receberá mais mensagens nossas. Responda START para voltar a receber.`
+};
+
+const FALLBACK_SUBJECTS = {
+  en: name => `Your inquiry with ${name}`,
+  es: name => `Su consulta con ${name}`,
+  pt: name => `Sua consulta com ${name}`
+};
+
+// CTIA keywords plus their Spanish/Portuguese equivalents - the whole message
+// has to be the keyword (accents are ignored)
+const OPT_OUT_KEYWORDS = ['stop', 'stopall', 'unsubscribe', 'cancel', 'end', 'quit', 'optout', 'revoke', 'alto', 'pare', 'parar', 'baja', 'cancelar', 'sair'];
+const OPT_IN_KEYWORDS = ['start', 'unstop', 'subscribe', 'inicio', 'iniciar'];
+
+const PROFILES = {
+  email: {
+    noun: 'email',
+    minSentences: 2,
+    maxSentences: 4,
+    lengthRule: '2-4 sentences maximum. BDC reps are busy, customers don\'t read long emails',
+    example: 'Hi Nicole! I completely understand wanting to avoid any early termination fees. Let me pull some numbers on your current vehicle\'s market value - if we can structure a new lease that keeps you in the same trim level at or below your current payment, would you be open to reviewing the details during your service visit tomorrow? No pressure at all, just want to see if the numbers work in your favor!'
+  },
+  sms: {
+    noun: 'text message',
+    minSentences: 1,
+    maxSentences: 3,
+    lengthRule: '1-3 short sentences - it is a text message',
+    example: 'Totally understand wanting to avoid lease fees, Nicole. Want me to pull your numbers before your service visit tomorrow so we can go over them then?'
+  },
+  chat: {
+    noun: 'chat',
+    minSentences: 1,
+    maxSentences: 3,
+    lengthRule: '1-3 short sentences - they are waiting in a live chat',
+    example: 'Happy to help with that! I can check what your current lease is worth right now - would you like me to look it up while you\'re here?'
+  }
+};
+
+// "SMS", "Text", "web-chat"... → email | sms | chat, or null if unrecognised
+export function normalizeChannel(value) {
+  const key = String(value ?? '').toLowerCase().replace(/[\s_-]+/g, '');
+  return ALIASES[key] || null;
+}
+
+function localized(table, language) {
+  return table[language] || table.en;
+}
+
+function smsSettings(dealership, language) {
+  const sms = dealership?.channels?.sms || {};
+  const maxChars = Number(sms.maxChars ?? DEFAULT_SMS_MAX_CHARS);
+
+  return {
+    maxChars: Number.isInteger(maxChars) && maxChars >= 70 ? maxChars : DEFAULT_SMS_MAX_CHARS,
+    optOutFooter: sms.optOutFooter ?? localized(OPT_OUT_FOOTERS, language)
+  };
+}
+
+function fallbackSubject(page, dealership, language) {
+  const subject = typeof page?.subject === 'string' ? page.subject.replace(/^(re:\s*)+/i, '').trim() : '';
+  return subject ? `Re: ${subject}` : localized(FALLBACK_SUBJECTS, language)(dealership.name);
+}
+
+// The profile for one request. closing is text the service appends after the
+// model's reply (signature or opt-out footer); maxChars is what is left for
+// the reply itself.
+export function resolveChannelProfile({ page = {}, dealership, lead = {}, messages = [], language = 'en' }) {
+  const requested = page?.channel;
+  const id = normalizeChannel(requested) || 'email';
+  const profile = { id, requested: requested ?? null, ...PROFILES[id], closing: null, separator: '', maxChars: null, structure: [] };
+
+  if (id === 'email') {
+    profile.closing = lead.assignedRep?.signature || dealership.signature || `The ${dealership.name} Team`;
+    profile.separator = '\n\n';
+    profile.fallbackSubject = fallbackSubject(page, dealership, language);
+    profile.structure = [
+      'Open with a short greeting using their first name (e.g. "Hi Nicole,")',
+      'Sentence 1: Acknowledge their specific concern or question',
+      'Sentence 2: Bridge to a benefit or possibility',
+      'Sentence 3-4: Suggest next step with clear call-to-action',
+      'Do not add a sign-off or signature - it is added automatically',
+      `Write a short subject line (under ${MAX_SUBJECT} characters) about what the email offers - no prices, payments or offers in it`
+    ];
+  }
+
+  if (id === 'sms') {
+    const { maxChars, optOutFooter } = smsSettings(dealership, language);
+    const firstContact = !messages.some(m => m?.sender !== 'customer');
+    if (firstContact && optOutFooter) {
+      profile.closing = optOutFooter;
+      profile.separator = ' ';
+    }
+    profile.maxChars = maxChars - (profile.closing ? profile.closing.length + profile.separator.length : 0);
+    profile.structure = [
+      'No greeting block and no sign-off - get straight to the point (using their first name is fine)',
+      'Acknowledge what they said, then give one clear next step',
+      `Keep the whole text under ${profile.maxChars} characters`,
+      'No links or emojis',
+      ...(firstContact ? [
+        `This is the first text to this customer - say it is from ${dealership.name}`,
+        'Do not add opt-out wording - it is added automatically'
+      ] : [])
+    ];
+  }
+
+  if (id === 'chat') {
+    profile.structure = [
+      'No greeting block and no sign-off - write like a live chat agent mid-conversation',
+      'Acknowledge what they said, then end with one simple question or next step'
+    ];
+  }
+
+  return profile;
+}
+
+// ============================================================================
+// SMS
+// ============================================================================
+
+const GSM_BASIC = '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà';
+const GSM_EXTENDED = '^{}\\[~]|€\f';
+
+// Segments a carrier will bill for: GSM-7 fits 160 characters in one segment
+// (153 per part when split, extended characters count twice); anything
+// outside GSM-7 sends the whole text as UCS-2 at 70 (67 per part).
+export function countSmsSegments(text) {
+  let units = 0;
+  let gsm = true;
+
+  for (const char of text) {
+    if (GSM_BASIC.includes(char)) units += 1;
+    else if (GSM_EXTENDED.includes(char)) units += 2;
+    else {
+      gsm = false;
+      break;
+    }
+  }
+
+  if (!gsm) {
+    units = text.length;
+    return { encoding: 'UCS-2', characters: units, segments: units <= 70 ? 1 : Math.ceil(units / 67) };
+  }
+  return { encoding: 'GSM-7', characters: units, segments: units <= 160 ? 1 : Math.ceil(units / 153) };
+}
+
+function keyword(text) {
+  return String(text || '').toLowerCase().normalize('NFD').replace(/[^a-z]/g, '');
+}
+
+// True when the customer's latest STOP-type keyword hasn't been followed by START
+export function hasOptedOut(messages = []) {
+  let optedOut = false;
+
+  for (const message of messages) {
+    if (message?.sender !== 'customer') continue;
+    const word = keyword(message.text);
+    if (OPT_OUT_KEYWORDS.includes(word)) optedOut = true;
+    if (OPT_IN_KEYWORDS.includes(word)) optedOut = false;
+  }
+  return optedOut;
+}
+
+// The one text that may still be sent after an opt-out
+export function optOutConfirmation(dealership, language = 'en') {
+  return localized(OPT_OUT_CONFIRMATIONS, language)(dealership.name);
+}
+
+// ============================================================================
+// REPLY OUTPUT
+// ============================================================================
+
+// The model's reply with the closing appended, plus the channel's own fields
+export function completeReply(profile, body, parsed = {}) {
+  const text = profile.closing && !body.includes(profile.closing)
+    ? `${body}${profile.separator}${profile.closing}`
+    : body;
+
+  if (profile.id === 'email') {
+    const subject = typeof parsed?.subject === 'string' ? parsed.subject.replace(/\s+/g, ' ').trim() : '';
+    return { text, subject: subject ? subject.slice(0, MAX_SUBJECT) : profile.fallbackSubject };
+  }
+  if (profile.id === 'sms') {
+    return { text, ...countSmsSegments(text) };
+  }
+  return { text };
+}
+
+// The part of a reply the model wrote - guardrails don't judge our closing
+export function replyBody(profile, text) {
+  const suffix = profile.closing ? `${profile.separator}${profile.closing}` : null;
+  return suffix && text.endsWith(suffix) ? text.slice(0, -suffix.length) : text;
+}
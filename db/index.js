@@ -0,0 +1,12 @@
+import pg from 'pg';
+import { config } from 'dotenv';
+
+config();
+
+// Shared PostgreSQL pool for the API and the scraper
+const { Pool } = pg;
+
+export const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: { rejectUnauthorized: false }
+});
@@ -0,0 +1,155 @@
+import fs from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+import { fileURLToPath } from 'url';
+import { pool } from './index.js';
+
+// ============================================================================
+// MIGRATIONS
+// ============================================================================
+// Schema changes are numbered SQL files in db/migrations (NNN_description.sql)
+// applied in order, each in its own transaction, and recorded in
+// schema_migrations. They run at startup (MIGRATE_ON_START=false to skip) or
+// with `npm run migrate`; `npm run migrate -- status` lists what is pending.
+//
+// Never edit a migration that has shipped - add a new one. The early ones use
+// IF NOT EXISTS throughout so databases set up by the old
+// /api/setup/create-table route are adopted as-is.
+
+const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'migrations');
+const FILE_PATTERN = /^(\d{3})_([a-z0-9_]+)\.sql$/;
+
+// Arbitrary key for pg_advisory_lock so two instances starting together
+// don't both apply the same migration
+const LOCK_KEY = 7_204_001;
+
+function checksum(sql) {
+  return createHash('sha256').update(sql).digest('hex');
+}
+
+export function listMigrations() {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => FILE_PATTERN.test(file))
+    .sort()
+    .map(file => {
+      const [, version, name] = file.match(FILE_PATTERN);
+      const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+      return { version: Number(version), name, file, sql, checksum: checksum(sql) };
+    });
+
+  const seen = new Set();
+  for (const migration of migrations) {
+    if (seen.has(migration.version)) {
+      throw new Error(`Duplicate migration version ${migration.version} (${migration.file})`);
+    }
+    seen.add(migration.version);
+  }
+  return migrations;
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      checksum CHAR(64) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+async function appliedMigrations(client) {
+  const result = await client.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version');
+  return new Map(result.rows.map(row => [row.version, row]));
+}
+
+// Applied and pending migrations, plus any applied file that has since changed
+export async function getMigrationStatus() {
+  const client = await pool.connect();
+  try {
+    await ensureMigrationsTable(client);
+    const applied = await appliedMigrations(client);
+
+    return listMigrations().map(({ version, name, checksum: current }) => {
+      const row = applied.get(version);
+      return {
+        version,
+        name,
+        appliedAt: row?.applied_at || null,
+        modified: row ? row.checksum !== current : false
+      };
+    });
+  } finally {
+    client.release();
+  }
+}
+
+// Applies every pending migration. Returns the ones it applied.
+export async function runMigrations() {
+  const client = await pool.connect();
+  const ran = [];
+
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+    await ensureMigrationsTable(client);
+    const applied = await appliedMigrations(client);
+
+    for (const migration of listMigrations()) {
+      const existing = applied.get(migration.version);
+      if (existing) {
+        if (existing.checksum !== migration.checksum) {
+          console.warn(`[Migrate] ⚠️  ${migration.file} changed after it was applied - add a new migration instead`);
+        }
+        continue;
+      }
+
+      console.log(`[Migrate] Applying ${migration.file}...`);
+      try {
+        await client.query('BEGIN');
+        await client.query(migration.sql);
+        await client.query(
+          'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+          [migration.version, migration.name, migration.checksum]
+        );
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw new Error(`Migration ${migration.file} failed: ${error.message}`);
+      }
+      ran.push({ version: migration.version, name: migration.name });
+    }
+
+    console.log(ran.length > 0
+      ? `[Migrate] ✅ Applied ${ran.length} migration(s)`
+      : '[Migrate] ✅ Schema is up to date');
+    return ran;
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]).catch(() => {});
+    client.release();
+  }
+}
+
+// Run if called directly:
+//   npm run migrate             apply pending migrations
+//   npm run migrate -- status   list applied and pending migrations
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const printStatus = status => {
+    for (const m of status) {
+      const state = m.appliedAt ? `applied ${new Date(m.appliedAt).toISOString()}` : 'pending';
+      console.log(`${String(m.version).padStart(3, '0')}_${m.name}  ${state}${m.modified ? '  (modified since applied)' : ''}`);
+    }
+  };
+  const commands = {
+    up: () => runMigrations(),
+    status: () => getMigrationStatus().then(printStatus)
+  };
+  const command = commands[process.argv[2] || 'up']
+    || (() => Promise.reject(new Error('Usage: npm run migrate [-- status]')));
+
+  command()
+    .then(() => pool.end())
+    .catch(error => {
+      console.error('💥', error.message);
+      pool.end().finally(() => process.exit(1));
+    });
+}
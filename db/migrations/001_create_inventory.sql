@@ -0,0 +1,27 @@
+-- The original inventory table, as GET /api/setup/create-table first created it
+CREATE TABLE IF NOT EXISTS inventory (
+  id SERIAL PRIMARY KEY,
+  stock_number VARCHAR(50) UNIQUE NOT NULL,
+  vin VARCHAR(17),
+  year INTEGER,
+  make VARCHAR(100),
+  model VARCHAR(100),
+  trim VARCHAR(100),
+  body_style VARCHAR(100),
+  engine VARCHAR(255),
+  transmission VARCHAR(255),
+  exterior_color VARCHAR(100),
+  interior_color VARCHAR(100),
+  mileage INTEGER,
+  status VARCHAR(50) DEFAULT 'available',
+  location VARCHAR(255),
+  price_msrp DECIMAL(10,2),
+  price_internet DECIMAL(10,2),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_scraped_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_stock_number ON inventory(stock_number);
+CREATE INDEX IF NOT EXISTS idx_year_make_model ON inventory(year, make, model);
+CREATE INDEX IF NOT EXISTS idx_status ON inventory(status);
@@ -0,0 +1,6 @@
+-- Multi-dealership support: existing rows belong to the default rooftop and
+-- stock numbers only need to be unique per dealership
+ALTER TABLE inventory ADD COLUMN IF NOT EXISTS dealership_id VARCHAR(50) NOT NULL DEFAULT 'default';
+ALTER TABLE inventory DROP CONSTRAINT IF EXISTS inventory_stock_number_key;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_dealership_stock_number ON inventory(dealership_id, stock_number);
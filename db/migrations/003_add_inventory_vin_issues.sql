@@ -0,0 +1,4 @@
+-- Problems found when decoding a unit's VIN against its listing
+ALTER TABLE inventory ADD COLUMN IF NOT EXISTS vin_issues TEXT[] DEFAULT '{}';
+
+CREATE INDEX IF NOT EXISTS idx_vin ON inventory(vin);
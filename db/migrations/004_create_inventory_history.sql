@@ -0,0 +1,15 @@
+-- Sold units are marked removed rather than deleted, and field changes are
+-- kept per unit
+ALTER TABLE inventory ADD COLUMN IF NOT EXISTS removed_at TIMESTAMP;
+
+CREATE TABLE IF NOT EXISTS inventory_history (
+  id SERIAL PRIMARY KEY,
+  dealership_id VARCHAR(50) NOT NULL,
+  stock_number VARCHAR(50) NOT NULL,
+  field VARCHAR(50) NOT NULL,
+  old_value TEXT,
+  new_value TEXT,
+  changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_inventory_history_stock ON inventory_history(dealership_id, stock_number, changed_at);
@@ -0,0 +1,30 @@
+-- Every generated reply, and what the rep did with it
+CREATE TABLE IF NOT EXISTS suggestions (
+  id UUID PRIMARY KEY,
+  dealership_id VARCHAR(50) NOT NULL,
+  request_context JSONB NOT NULL,
+  system_prompt TEXT,
+  user_prompt TEXT,
+  provider VARCHAR(50),
+  model VARCHAR(100),
+  latency_ms INTEGER,
+  raw_response TEXT,
+  reply TEXT,
+  response JSONB,
+  streamed BOOLEAN DEFAULT FALSE,
+  error TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS suggestion_feedback (
+  id SERIAL PRIMARY KEY,
+  suggestion_id UUID NOT NULL REFERENCES suggestions(id) ON DELETE CASCADE,
+  outcome VARCHAR(20) NOT NULL CHECK (outcome IN ('sent_as_is', 'edited', 'discarded')),
+  final_text TEXT,
+  variant_index INTEGER,
+  rep_name VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_suggestions_dealership_created ON suggestions(dealership_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_suggestion_feedback_suggestion ON suggestion_feedback(suggestion_id);
@@ -0,0 +1,22 @@
+-- Background inventory syncs (inventory/jobs.js)
+CREATE TABLE IF NOT EXISTS sync_jobs (
+  id UUID PRIMARY KEY,
+  dealership_id VARCHAR(50) NOT NULL,
+  status VARCHAR(20) NOT NULL CHECK (status IN ('queued', 'running', 'succeeded', 'failed')),
+  stage VARCHAR(50),
+  progress JSONB,
+  result JSONB,
+  error TEXT,
+  trigger VARCHAR(20),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  started_at TIMESTAMP,
+  finished_at TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Classified login failures (bad_credentials, mfa_required, ...)
+ALTER TABLE sync_jobs ADD COLUMN IF NOT EXISTS error_code VARCHAR(50);
+
+CREATE INDEX IF NOT EXISTS idx_sync_jobs_dealership_created ON sync_jobs(dealership_id, created_at);
+-- At most one queued/running sync per rooftop
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sync_jobs_one_active ON sync_jobs(dealership_id) WHERE status IN ('queued', 'running');
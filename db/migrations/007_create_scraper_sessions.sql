@@ -0,0 +1,7 @@
+-- Saved VIN Solutions browser sessions (scraper/session.js)
+CREATE TABLE IF NOT EXISTS scraper_sessions (
+  dealership_id VARCHAR(50) PRIMARY KEY,
+  cookies JSONB NOT NULL,
+  storage JSONB,
+  saved_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
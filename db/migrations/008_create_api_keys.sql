@@ -0,0 +1,18 @@
+-- Hashed, scoped API keys (auth/index.js)
+CREATE TABLE IF NOT EXISTS api_keys (
+  id UUID PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  key_prefix VARCHAR(20) NOT NULL,
+  key_hash CHAR(64) NOT NULL UNIQUE,
+  scopes TEXT[] NOT NULL,
+  dealership_id VARCHAR(50),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_used_at TIMESTAMP,
+  revoked_at TIMESTAMP,
+  rotated_from UUID
+);
+
+-- Which API key made the request that wrote the row
+ALTER TABLE suggestions ADD COLUMN IF NOT EXISTS api_key_id VARCHAR(100);
+ALTER TABLE suggestion_feedback ADD COLUMN IF NOT EXISTS api_key_id VARCHAR(100);
+ALTER TABLE sync_jobs ADD COLUMN IF NOT EXISTS api_key_id VARCHAR(100);
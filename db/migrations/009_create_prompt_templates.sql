@@ -0,0 +1,29 @@
+-- Versioned prompt templates (prompts/index.js). Versions are never edited -
+-- a change is a new version.
+CREATE TABLE IF NOT EXISTS prompt_templates (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  version INTEGER NOT NULL,
+  body TEXT NOT NULL,
+  variables JSONB NOT NULL DEFAULT '{}',
+  notes TEXT,
+  api_key_id VARCHAR(100),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(name, version)
+);
+
+-- Which version each template serves, and an optional candidate that gets
+-- candidate_percent of the traffic
+CREATE TABLE IF NOT EXISTS prompt_deployments (
+  name VARCHAR(100) PRIMARY KEY,
+  active_version INTEGER NOT NULL,
+  candidate_version INTEGER,
+  candidate_percent INTEGER NOT NULL DEFAULT 0 CHECK (candidate_percent BETWEEN 0 AND 100),
+  api_key_id VARCHAR(100),
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- The template version that produced each suggestion
+ALTER TABLE suggestions ADD COLUMN IF NOT EXISTS prompt_template VARCHAR(100);
+ALTER TABLE suggestions ADD COLUMN IF NOT EXISTS prompt_version INTEGER;
+CREATE INDEX IF NOT EXISTS idx_suggestions_prompt ON suggestions(prompt_template, prompt_version);
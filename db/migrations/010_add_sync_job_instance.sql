@@ -0,0 +1,3 @@
+-- The process running each sync job. While a job runs its process bumps
+-- updated_at as a heartbeat (inventory/jobs.js).
+ALTER TABLE sync_jobs ADD COLUMN IF NOT EXISTS instance_id VARCHAR(100);
@@ -0,0 +1,3 @@
+-- Units sync reconciliation took off the lot were marked 'sold'; they are
+-- 'removed' now, and 'sold' is kept for units known to be sold
+UPDATE inventory SET status = 'removed' WHERE status = 'sold' AND removed_at IS NOT NULL;
@@ -0,0 +1,4 @@
+-- One-time code an operator supplied for a sync waiting at awaiting_mfa. The
+-- instance running the job polls for it and clears it once read
+-- (scraper/mfa.js), so the code can be posted to any instance.
+ALTER TABLE sync_jobs ADD COLUMN IF NOT EXISTS mfa_code VARCHAR(20);
@@ -0,0 +1,3 @@
+-- Saved sessions are encrypted now (scraper/session.js). Plaintext ones are
+-- live VIN Solutions logins, so they are dropped rather than left at rest.
+DELETE FROM scraper_sessions WHERE NOT (cookies ? 'cipher');
@@ -0,0 +1,127 @@
+import fs from 'fs';
+import path from 'path';
+import { config } from 'dotenv';
+
+config();
+
+// ============================================================================
+// DEALERSHIP REGISTRY
+// ============================================================================
+// Rooftops are loaded from a JSON file (DEALERSHIPS_FILE, default
+// ./dealerships.json). See dealerships.example.json for the full shape.
+// Without a file the service runs as a single rooftop built from the
+// legacy VIN_* environment variables, keyed as "default".
+
+export const DEFAULT_DEALERSHIP_ID = 'default';
+
+const LEGACY_DEALERSHIP = {
+  id: DEFAULT_DEALERSHIP_ID,
+  name: 'Quirk Chevrolet NH',
+  brand: 'Chevrolet',
+  vinSolutions: {
+    usernameEnv: 'VIN_USERNAME',
+    passwordEnv: 'VIN_PASSWORD',
+    loginUrlEnv: 'VIN_LOGIN_URL',
+    totpSecretEnv: 'VIN_TOTP_SECRET'
+  }
+};
+
+let registry = null;
+
+function normalizeDealership(raw) {
+  if (!raw?.id || !raw?.name) {
+    throw new Error('Every dealership needs an "id" and a "name"');
+  }
+
+  return {
+    id: String(raw.id),
+    name: raw.name,
+    brand: raw.brand || null,
+    address: raw.address || null,
+    phone: raw.phone || null,
+    hours: raw.hours || null,
+    signature: raw.signature || null,
+    toneNotes: raw.toneNotes || null,
+    bannedPhrases: raw.bannedPhrases || [],
+    channels: raw.channels || {},
+    apiToken: raw.apiTokenEnv ? process.env[raw.apiTokenEnv] || null : raw.apiToken || null,
+    vinSolutions: raw.vinSolutions || {},
+    llm: raw.llm || null,
+    syncSchedule: raw.syncSchedule || null,
+    scraperProfile: raw.scraperProfile || null,
+    inventoryScope: {
+      makes: raw.inventoryScope?.makes || [],
+      locations: raw.inventoryScope?.locations || []
+    }
+  };
+}
+
+function loadRegistry() {
+  const file = path.resolve(process.env.DEALERSHIPS_FILE || 'dealerships.json');
+
+  if (!fs.existsSync(file)) {
+    if (process.env.DEALERSHIPS_FILE) {
+      throw new Error(`DEALERSHIPS_FILE not found: ${file}`);
+    }
+    console.log('[Dealerships] No registry file, using single default rooftop');
+    return new Map([[DEFAULT_DEALERSHIP_ID, normalizeDealership(LEGACY_DEALERSHIP)]]);
+  }
+
+  const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const list = Array.isArray(parsed) ? parsed : parsed.dealerships;
+
+  if (!Array.isArray(list) || list.length === 0) {
+    throw new Error(`No dealerships defined in ${file}`);
+  }
+
+  const map = new Map();
+  for (const raw of list) {
+    const dealership = normalizeDealership(raw);
+    if (map.has(dealership.id)) {
+      throw new Error(`Duplicate dealership id "${dealership.id}" in ${file}`);
+    }
+    map.set(dealership.id, dealership);
+  }
+
+  console.log(`[Dealerships] Loaded ${map.size} rooftop(s) from ${file}`);
+  return map;
+}
+
+function getRegistry() {
+  if (!registry) {
+    registry = loadRegistry();
+  }
+  return registry;
+}
+
+export function listDealerships() {
+  return Array.from(getRegistry().values());
+}
+
+export function getDealership(id) {
+  return getRegistry().get(String(id)) || null;
+}
+
+// Used when a request does not name a rooftop: "default" if defined, else the first in the file
+export function getDefaultDealership() {
+  return getRegistry().get(DEFAULT_DEALERSHIP_ID) || listDealerships()[0];
+}
+
+// Credentials may be given inline or (preferably) as env var names
+export function getVINCredentials(dealership) {
+  const vin = dealership?.vinSolutions || {};
+
+  return {
+    username: vin.username || (vin.usernameEnv && process.env[vin.usernameEnv]) || null,
+    password: vin.password || (vin.passwordEnv && process.env[vin.passwordEnv]) || null,
+    loginUrl: vin.loginUrl || (vin.loginUrlEnv && process.env[vin.loginUrlEnv]) || 'https://www.vinsolutions.com/',
+    // Base32 secret from the authenticator enrollment, if the login has MFA
+    totpSecret: vin.totpSecret || (vin.totpSecretEnv && process.env[vin.totpSecretEnv]) || null
+  };
+}
+
+// Safe to return from the API - no credentials or tokens
+export function publicDealership(dealership) {
+  const { apiToken, vinSolutions, ...rest } = dealership;
+  return rest;
+}
@@ -0,0 +1,219 @@
+import { config } from 'dotenv';
+
+config();
+
+// ============================================================================
+// REPLY GUARDRAILS
+// ============================================================================
+// Post-generation checks that back up the system prompt rules:
+//   - numbers: dollar amounts, payments, APRs/percentages and dates must
+//     already appear, as the same kind of value, in the prompts the model
+//     was given
+//   - banned phrases: pushy or compliance-sensitive wording
+//   - length: sentence count limits, and a character limit for SMS
+// Each check returns warnings shaped { rule, message, match }.
+
+const DEFAULT_BANNED_PHRASES = [
+  'act now',
+  'act fast',
+  'hurry',
+  'limited time',
+  'today only',
+  "won't last",
+  'wont last',
+  "don't miss out",
+  'once in a lifetime',
+  'best price guaranteed',
+  'lowest price',
+  'guaranteed approval',
+  'guaranteed financing',
+  'everyone is approved',
+  'no credit check',
+  'bad credit ok',
+  'must buy',
+  'final offer'
+];
+
+const MONTHS = {
+  jan: 1, january: 1, feb: 2, february: 2, mar: 3, march: 3, apr: 4, april: 4,
+  may: 5, jun: 6, june: 6, jul: 7, july: 7, aug: 8, august: 8, sep: 9, sept: 9,
+  september: 9, oct: 10, october: 10, nov: 11, november: 11, dec: 12, december: 12
+};
+
+const MONTH_PATTERN = Object.keys(MONTHS).sort((a, b) => b.length - a.length).join('|');
+
+// Slash dates need a real month/day pair, so "open 24/7" isn't a date
+const PATTERNS = {
+  money: /\$\s?\d[\d,]*(?:\.\d+)?\s?k?\b|\b\d[\d,]*(?:\.\d+)?\s?(?:dollars|bucks)\b/gi,
+  payment: /\b\d[\d,]*(?:\.\d+)?\s?(?:\/\s?mo(?:nth)?|per month|a month|monthly)\b/gi,
+  percent: /\b\d+(?:\.\d+)?\s?(?:%|percent\b)(?:\s?apr\b)?|\b\d+(?:\.\d+)?\s?apr\b/gi,
+  date: new RegExp(
+    `\\b(?:${MONTH_PATTERN})\\.?\\s+\\d{1,2}(?:st|nd|rd|th)?\\b|\\b\\d{1,2}(?:st|nd|rd|th)?\\s+(?:of\\s+)?(?:${MONTH_PATTERN})\\b|\\b(?:0?[1-9]|1[0-2])\\/(?:0?[1-9]|[12]\\d|3[01])(?:\\/\\d{2,4})?\\b|\\bthe\\s+\\d{1,2}(?:st|nd|rd|th)\\b`,
+    'gi'
+  )
+};
+
+const NUMBER_LABELS = {
+  money: 'dollar amount',
+  payment: 'payment',
+  percent: 'rate/percentage',
+  date: 'date'
+};
+
+function numbersIn(text) {
+  return (text.match(/\d[\d,]*(?:\.\d+)?/g) || []).map(n => parseFloat(n.replace(/,/g, '')));
+}
+
+// The amounts of one kind mentioned in a text, with "$30k" read as 30000
+function amountsIn(text, kind) {
+  return (text.match(PATTERNS[kind]) || []).flatMap(match => {
+    const scale = kind === 'money' && /k\b/i.test(match) ? 1000 : 1;
+    return numbersIn(match).map(n => n * scale);
+  });
+}
+
+// Reduce a date mention to "month/day" (or just "day") so "March 5th",
+// "5 March" and "3/5" compare equal
+function normalizeDate(text) {
+  const lower = text.toLowerCase();
+  const slash = lower.match(/(\d{1,2})\/(\d{1,2})/);
+  if (slash) return `${Number(slash[1])}/${Number(slash[2])}`;
+  
+  const month = lower.match(new RegExp(MONTH_PATTERN));
+  const day = lower.match(/\d{1,2}/);
+  if (month && day) return `${MONTHS[month[0]]}/${Number(day[0])}`;
+  return day ? Number(day[0]).toString() : lower;
+}
+
+function datesIn(text) {
+  return new Set((text.match(PATTERNS.date) || []).map(normalizeDate));
+}
+
+// A reply amount only counts as known when the source has it as the same
+// kind of value - a model year doesn't back "$2,024 off", and a price doesn't
+// back a monthly payment. A payment in the source does back the bare dollar
+// amount ("$399" for "$399/mo").
+export function checkNumbers(reply, sourceText) {
+  const warnings = [];
+  const sourceAmounts = {
+    money: new Set([...amountsIn(sourceText, 'money'), ...amountsIn(sourceText, 'payment')]),
+    payment: new Set(amountsIn(sourceText, 'payment')),
+    percent: new Set(amountsIn(sourceText, 'percent'))
+  };
+  const sourceDates = datesIn(sourceText);
+  const reported = new Set();
+  
+  for (const [kind, pattern] of Object.entries(PATTERNS)) {
+    for (const match of reply.match(pattern) || []) {
+      // "$399/mo" matches both the money and payment patterns - report it once
+      const key = kind === 'date' ? `date:${normalizeDate(match)}` : `number:${numbersIn(match).join(',')}`;
+      if (reported.has(key)) continue;
+      
+      const known = kind === 'date'
+        ? sourceDates.has(normalizeDate(match)) || sourceText.toLowerCase().includes(match.toLowerCase())
+        : amountsIn(match, kind).every(n => sourceAmounts[kind].has(n));
+      
+      if (!known) {
+        reported.add(key);
+        warnings.push({
+          rule: 'invented_number',
+          message: `Reply mentions a ${NUMBER_LABELS[kind]} ("${match.trim()}") that does not appear in the conversation or context`,
+          match: match.trim()
+        });
+      }
+    }
+  }
+  
+  return warnings;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export function checkBannedPhrases(reply, bannedPhrases) {
+  return bannedPhrases
+    .filter(phrase => new RegExp(`\\b${escapeRegExp(phrase)}\\b`, 'i').test(reply))
+    .map(phrase => ({
+      rule: 'banned_phrase',
+      message: `Reply uses banned wording: "${phrase}"`,
+      match: phrase
+    }));
+}
+
+// Titles and street words that end in a dot mid-sentence ("Main St. Louis")
+const ABBREVIATIONS = ['Mr', 'Mrs', 'Ms', 'Dr', 'St', 'Ave', 'Blvd', 'Rd', 'Hwy', 'Ste', 'Mt', 'Jr', 'Sr'];
+
+const SENTENCE_BREAK = new RegExp(
+  `(?<=[.!?])(?<!\\b(?:${ABBREVIATIONS.join('|')})\\.)["')\\]]*\\s+(?=[\\p{Lu}0-9"'(¿¡])`,
+  'u'
+);
+
+export function countSentences(text) {
+  // Dots inside numbers ("3.9") and after abbreviations ("St.", "Dr.") don't
+  // end a sentence. Spanish sentences can open with ¿ or ¡, and capitals can
+  // be accented.
+  return text
+    .split(SENTENCE_BREAK)
+    .map(s => s.trim())
+    .filter(s => /\p{L}/u.test(s))
+    .length;
+}
+
+export function checkLength(reply, { minSentences = 2, maxSentences = 4, maxChars = null } = {}) {
+  const sentences = countSentences(reply);
+  
+  if (maxChars && reply.length > maxChars) {
+    return [{ rule: 'too_long', message: `Reply has ${reply.length} characters (maximum ${maxChars})`, match: null }];
+  }
+  if (sentences > maxSentences) {
+    return [{ rule: 'too_long', message: `Reply has ${sentences} sentences (maximum ${maxSentences})`, match: null }];
+  }
+  if (sentences < minSentences) {
+    return [{ rule: 'too_short', message: `Reply has ${sentences} sentence(s) (minimum ${minSentences})`, match: null }];
+  }
+  return [];
+}
+
+// Service-wide list, extended by GUARDRAIL_BANNED_PHRASES (comma separated)
+// and the dealership's own bannedPhrases
+export function getBannedPhrases(dealership) {
+  const fromEnv = (process.env.GUARDRAIL_BANNED_PHRASES || '')
+    .split(',')
+    .map(p => p.trim())
+    .filter(Boolean);
+  
+  return Array.from(new Set(
+    [...DEFAULT_BANNED_PHRASES, ...fromEnv, ...(dealership?.bannedPhrases || [])].map(p => p.toLowerCase())
+  ));
+}
+
+// What the model was allowed to take numbers from: the system and user
+// prompts exactly as sent. Data that never reached the prompt (an inventory
+// row's price, raw lead fields) can't back a number in the reply.
+export function buildGuardrailSource({ system = '', user = '' }) {
+  return [system, user].filter(Boolean).join('\n');
+}
+
+export function checkReply(reply, { sourceText, bannedPhrases, minSentences, maxSentences, maxChars }) {
+  return [
+    ...checkNumbers(reply, sourceText),
+    ...checkBannedPhrases(reply, bannedPhrases),
+    ...checkLength(reply, { minSentences, maxSentences, maxChars })
+  ];
+}
+
+// "flag" returns replies with warnings attached, "reject" refuses them
+export function getGuardrailMode() {
+  return process.env.GUARDRAIL_MODE === 'reject' ? 'reject' : 'flag';
+}
+
+// Feedback message sent back to the model on the retry
+export function describeViolations(warnings) {
+  const lines = warnings.map(w => `- ${w.variantIndex !== undefined ? `Variant ${w.variantIndex + 1}: ` : ''}${w.message}`);
+  
+  return `Your previous response broke these rules:
+${lines.join('\n')}
+
+Rewrite the response so it follows ALL of the rules. Remove any number, price, payment, rate or date that is not in the conversation or context, avoid the banned wording, and keep each reply to the allowed length. Use exactly the same JSON format as before.`;
+}
@@ -0,0 +1,214 @@
+import { randomUUID } from 'crypto';
+import os from 'os';
+import { pool } from '../db/index.js';
+
+// ============================================================================
+// INVENTORY SYNC JOBS
+// ============================================================================
+// A sync runs in the background as a job stored in sync_jobs:
+//   queued → running (stage: launching, logging_in, [awaiting_mfa],
+//   navigating, locating_frame, extracting, extracted, upserting)
+//   → succeeded | failed (error_code set for classified login failures)
+// Only one job per dealership may be queued or running at a time; that is
+// enforced by a partial unique index so it holds across processes too.
+// Each job records the instance running it, which bumps updated_at as a
+// heartbeat; a job whose heartbeat stops is failed as interrupted.
+
+export class SyncInProgressError extends Error {
+  constructor(job) {
+    super(`A sync is already ${job.status} for dealership ${job.dealership_id}`);
+    this.name = 'SyncInProgressError';
+    this.job = job;
+  }
+}
+
+// In-flight runs in this process, so the scheduler can wait on the outcome
+const runs = new Map();
+
+export const INSTANCE_ID = `${os.hostname()}:${process.pid}:${randomUUID().slice(0, 8)}`;
+
+// A job is only taken for dead once its heartbeat is this old - long enough
+// for several missed beats, short enough not to block a rooftop for long
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+const STALE_AFTER_MS = 3 * 60 * 1000;
+
+let heartbeat = null;
+
+const JOB_COLUMNS = `
+  id, dealership_id, status, stage, progress, result, error, error_code, trigger,
+  api_key_id, instance_id, created_at, started_at, finished_at, updated_at
+`;
+
+// Only active jobs are updated, so a job another instance already failed as
+// interrupted isn't brought back
+async function updateJob(id, fields) {
+  const entries = Object.entries(fields);
+  const sets = entries.map(([column], i) => `${column} = $${i + 2}`);
+
+  await pool.query(
+    `UPDATE sync_jobs SET ${sets.join(', ')}, updated_at = NOW() WHERE id = $1 AND status IN ('queued', 'running')`,
+    [id, ...entries.map(([column, value]) => (column === 'progress' || column === 'result') ? JSON.stringify(value) : value)]
+  );
+}
+
+// Keeps updated_at fresh on this process's jobs while any are running - a
+// job can sit in one stage for minutes (e.g. waiting for a one-time code)
+function startHeartbeat() {
+  if (heartbeat) return;
+
+  heartbeat = setInterval(() => {
+    if (runs.size === 0) {
+      clearInterval(heartbeat);
+      heartbeat = null;
+      return;
+    }
+    pool.query(`
+      UPDATE sync_jobs SET updated_at = NOW()
+      WHERE id = ANY($1::uuid[]) AND status IN ('queued', 'running')
+    `, [[...runs.keys()]])
+      .catch(err => console.warn('[Sync Jobs] ⚠️  Heartbeat failed:', err.message));
+  }, HEARTBEAT_INTERVAL_MS);
+  heartbeat.unref();
+}
+
+export async function findActiveJob(dealershipId) {
+  const result = await pool.query(`
+    SELECT ${JOB_COLUMNS} FROM sync_jobs
+    WHERE dealership_id = $1 AND status IN ('queued', 'running')
+    ORDER BY created_at DESC
+    LIMIT 1
+  `, [dealershipId]);
+  return result.rows[0] || null;
+}
+
+export async function getSyncJob(id, dealershipId) {
+  const result = await pool.query(
+    `SELECT ${JOB_COLUMNS} FROM sync_jobs WHERE id::text = $1 AND dealership_id = $2`,
+    [String(id), dealershipId]
+  );
+  return result.rows[0] || null;
+}
+
+export async function listSyncJobs(dealershipId, { limit = 20, status } = {}) {
+  const params = [dealershipId, limit];
+  const statusFilter = status ? `AND status = $${params.push(status)}` : '';
+
+  const result = await pool.query(`
+    SELECT ${JOB_COLUMNS} FROM sync_jobs
+    WHERE dealership_id = $1 ${statusFilter}
+    ORDER BY created_at DESC
+    LIMIT $2
+  `, params);
+  return result.rows;
+}
+
+async function runJob(job, dealership, options) {
+  const log = (...args) => console.log(`[Sync Job ${job.id.slice(0, 8)}]`, ...args);
+  const progress = {};
+  // Progress writes are chained so a late one can't overwrite the final state
+  let pending = Promise.resolve();
+
+  try {
+    await updateJob(job.id, { status: 'running', stage: 'starting', started_at: new Date() });
+
+    // Dynamic import to avoid loading puppeteer unless needed
+    const scrapeVINInventory = (await import('../scraper/index.js')).default;
+
+    // Jobs can be polled, so a one-time-code prompt can wait for the API.
+    // A failed run's diagnostics bundle is saved under the job id.
+    const result = await scrapeVINInventory(dealership, {
+      mfaJobId: job.id,
+      diagnosticsId: job.id,
+      ...options,
+      onProgress: (stage, details) => {
+        Object.assign(progress, details);
+        log('Stage:', stage, Object.keys(details).length > 0 ? JSON.stringify(details) : '');
+        pending = pending
+          .then(() => updateJob(job.id, { stage, progress }))
+          .catch(err => log('⚠️  Could not save progress:', err.message));
+      }
+    });
+
+    await pending;
+
+    await updateJob(job.id, {
+      status: result.success ? 'succeeded' : 'failed',
+      stage: 'done',
+      result,
+      error: result.success ? null : result.error,
+      mfa_code: null,
+      finished_at: new Date()
+    });
+    log(result.success ? '✅ Succeeded' : `❌ Failed: ${result.error}`);
+    return { status: result.success ? 'succeeded' : 'failed', error: result.success ? null : result.error };
+  } catch (error) {
+    log('❌ Failed:', error.message);
+    await pending;
+    await updateJob(job.id, {
+      status: 'failed',
+      error: error.message,
+      // e.g. a LoginError's bad_credentials / mfa_required / layout_changed
+      error_code: typeof error.code === 'string' ? error.code : null,
+      mfa_code: null,
+      finished_at: new Date()
+    }).catch(err => log('⚠️  Could not save failure:', err.message));
+    return { status: 'failed', error: error.message };
+  }
+}
+
+// Creates the job and starts it in the background. Throws
+// SyncInProgressError when the dealership already has one going.
+// apiKeyId records the key that asked for it (null for scheduled runs).
+export async function startSyncJob(dealership, { trigger = 'api', apiKeyId = null, ...options } = {}) {
+  const insert = () => pool.query(`
+    INSERT INTO sync_jobs (id, dealership_id, status, trigger, api_key_id, instance_id)
+    VALUES ($1, $2, 'queued', $3, $4, $5)
+    RETURNING ${JOB_COLUMNS}
+  `, [randomUUID(), dealership.id, trigger, apiKeyId, INSTANCE_ID]);
+
+  let job;
+  try {
+    job = (await insert()).rows[0];
+  } catch (error) {
+    // 23505 = unique_violation on idx_sync_jobs_one_active
+    if (error.code !== '23505') throw error;
+
+    // The active job may have died with its process - if so, clear it and retry
+    if (await failInterruptedJobs() > 0) {
+      return startSyncJob(dealership, { trigger, apiKeyId, ...options });
+    }
+    const active = await findActiveJob(dealership.id);
+    if (active) throw new SyncInProgressError(active);
+    throw error;
+  }
+
+  console.log(`[Sync Job ${job.id.slice(0, 8)}] Queued for ${dealership.id}`);
+  const run = runJob(job, dealership, options).finally(() => runs.delete(job.id));
+  runs.set(job.id, run);
+  startHeartbeat();
+
+  return job;
+}
+
+// Resolves with { status, error } once a job started by this process ends
+export function waitForSyncJob(id) {
+  return runs.get(id) || Promise.resolve(null);
+}
+
+// Jobs can't survive their process. An active job whose heartbeat has
+// stopped died with its instance and would otherwise block the dealership
+// forever; jobs other live instances are running are left alone.
+export async function failInterruptedJobs() {
+  const result = await pool.query(`
+    UPDATE sync_jobs
+    SET status = 'failed',
+        error = 'Interrupted - the instance running it stopped',
+        finished_at = NOW(),
+        updated_at = NOW()
+    WHERE status IN ('queued', 'running')
+    AND updated_at < NOW() - make_interval(secs => $1)
+    AND instance_id IS DISTINCT FROM $2
+    RETURNING id
+  `, [STALE_AFTER_MS / 1000, INSTANCE_ID]);
+  return result.rowCount;
+}
@@ -0,0 +1,402 @@
+import { listDealerships, getVINCredentials } from '../dealerships/index.js';
+import { startSyncJob, waitForSyncJob, SyncInProgressError } from './jobs.js';
+
+// ============================================================================
+// SCHEDULED INVENTORY SYNC
+// ============================================================================
+// Runs a sync job for every rooftop on a cron-like schedule. Configured with
+// SYNC_SCHEDULE (5-field cron, e.g. "0 */2 * * *"), optional SYNC_WINDOW
+// business hours ("mon-sat 07:00-21:00") and SYNC_TIMEZONE; a dealership's
+// "syncSchedule" block overrides any of them. A failed run is retried with
+// exponential backoff while still inside the window. A run whose previous
+// sync is still going is skipped.
+
+const RETRY_ATTEMPTS = Number(process.env.SYNC_RETRY_ATTEMPTS || 3);
+const RETRY_BASE_DELAY_MS = Number(process.env.SYNC_RETRY_BASE_DELAY_MS || 5 * 60 * 1000);
+
+// Far enough ahead to find the next run of a yearly schedule
+const MAX_LOOKAHEAD_MINUTES = 366 * 24 * 60;
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+  { name: 'day of week', min: 0, max: 7, names: DAY_NAMES, offset: 0 }
+];
+
+// Per-dealership scheduler state, keyed by dealership id
+const state = new Map();
+let tickTimer = null;
+
+function parseCronValue(value, field) {
+  const lower = value.toLowerCase();
+  const named = field.names?.indexOf(lower);
+  const number = named !== undefined && named >= 0 ? named + field.offset : Number(value);
+
+  if (!Number.isInteger(number) || number < field.min || number > field.max) {
+    throw new Error(`Invalid ${field.name} "${value}" in sync schedule`);
+  }
+  return number;
+}
+
+function parseCronField(text, field) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step "${stepText}" for ${field.name} in sync schedule`);
+    }
+
+    let start = field.min;
+    let end = field.max;
+    if (range !== '*') {
+      const [from, to] = range.split('-');
+      start = parseCronValue(from, field);
+      end = to === undefined ? (stepText === undefined ? start : field.max) : parseCronValue(to, field);
+    }
+    if (start > end) {
+      throw new Error(`Invalid range "${range}" for ${field.name} in sync schedule`);
+    }
+
+    for (let v = start; v <= end; v += step) values.add(v);
+  }
+
+  return values;
+}
+
+// Standard 5-field cron: minute hour day-of-month month day-of-week.
+// As in cron, when both day fields are restricted either one may match.
+export function parseCron(expression) {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Sync schedule must have 5 fields, got "${expression}"`);
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, i) => parseCronField(part, CRON_FIELDS[i]));
+
+  // 7 is Sunday too
+  if (dayOfWeek.delete(7)) dayOfWeek.add(0);
+
+  return {
+    expression: parts.join(' '),
+    minute,
+    hour,
+    dayOfMonth,
+    month,
+    dayOfWeek,
+    anyDayOfMonth: parts[2] === '*',
+    anyDayOfWeek: parts[4] === '*'
+  };
+}
+
+// "07:00-21:00" or "mon-sat 07:00-21:00"; the end time is exclusive. A window
+// ending before it starts runs past midnight ("fri 22:00-02:00" covers early
+// Saturday too) - its days are the days it starts on.
+export function parseWindow(text) {
+  if (!text) return null;
+
+  const match = String(text).trim().toLowerCase().match(/^(?:([a-z0-9,-]+)\s+)?(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+  if (!match) {
+    throw new Error(`Invalid sync window "${text}" (expected e.g. "mon-sat 07:00-21:00")`);
+  }
+
+  const [, days, startHour, startMinute, endHour, endMinute] = match;
+  const start = Number(startHour) * 60 + Number(startMinute);
+  const end = Number(endHour) * 60 + Number(endMinute);
+  if (start === end || start >= 24 * 60 || end > 24 * 60) {
+    throw new Error(`Invalid sync window "${text}" (times must be 00:00-24:00 and differ)`);
+  }
+
+  const dayOfWeek = days ? parseCronField(days, CRON_FIELDS[4]) : null;
+  if (dayOfWeek?.delete(7)) dayOfWeek.add(0);
+
+  return { text: String(text).trim(), start, end, dayOfWeek };
+}
+
+// nextRunTime() walks minute by minute, so formatters are reused per zone
+const formatters = new Map();
+
+// Wall-clock parts of a date in the given time zone (server local time if none)
+function zonedParts(date, timeZone) {
+  if (!timeZone) {
+    return {
+      minute: date.getMinutes(),
+      hour: date.getHours(),
+      dayOfMonth: date.getDate(),
+      month: date.getMonth() + 1,
+      dayOfWeek: date.getDay()
+    };
+  }
+
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      minute: 'numeric',
+      hour: 'numeric',
+      day: 'numeric',
+      month: 'numeric',
+      weekday: 'short'
+    }));
+  }
+
+  const parts = Object.fromEntries(
+    formatters.get(timeZone).formatToParts(date).map(p => [p.type, p.value])
+  );
+
+  return {
+    minute: Number(parts.minute),
+    hour: Number(parts.hour),
+    dayOfMonth: Number(parts.day),
+    month: Number(parts.month),
+    dayOfWeek: DAY_NAMES.indexOf(parts.weekday.toLowerCase())
+  };
+}
+
+function cronMatches(cron, parts) {
+  const dayOfMonth = cron.dayOfMonth.has(parts.dayOfMonth);
+  const dayOfWeek = cron.dayOfWeek.has(parts.dayOfWeek);
+  const day = cron.anyDayOfMonth || cron.anyDayOfWeek ? dayOfMonth && dayOfWeek : dayOfMonth || dayOfWeek;
+
+  return day && cron.minute.has(parts.minute) && cron.hour.has(parts.hour) && cron.month.has(parts.month);
+}
+
+function inWindow(window, parts) {
+  if (!window) return true;
+
+  const minuteOfDay = parts.hour * 60 + parts.minute;
+  let day = parts.dayOfWeek;
+
+  if (window.start < window.end) {
+    if (minuteOfDay < window.start || minuteOfDay >= window.end) return false;
+  } else if (minuteOfDay < window.end) {
+    // The early-morning end of a window that started the day before
+    day = (day + 6) % 7;
+  } else if (minuteOfDay < window.start) {
+    return false;
+  }
+
+  return !window.dayOfWeek || window.dayOfWeek.has(day);
+}
+
+// Next minute after `from` that matches the schedule and falls in the window
+export function nextRunTime(schedule, from = new Date()) {
+  const candidate = new Date(from);
+  candidate.setSeconds(0, 0);
+
+  const limit = candidate.getTime() + MAX_LOOKAHEAD_MINUTES * 60 * 1000;
+  let step = 1;
+
+  while (candidate.getTime() < limit) {
+    candidate.setTime(candidate.getTime() + step * 60 * 1000);
+    const parts = zonedParts(candidate, schedule.timeZone);
+    if (cronMatches(schedule.cron, parts) && inWindow(schedule.window, parts)) {
+      return new Date(candidate);
+    }
+    // No minute in this hour can match - skip to the top of the next one
+    step = schedule.cron.hour.has(parts.hour) ? 1 : 60 - parts.minute;
+  }
+  return null;
+}
+
+// Dealership settings layered over the SYNC_* env defaults
+export function resolveSyncSchedule(dealership) {
+  const overrides = dealership.syncSchedule || {};
+  const expression = overrides.cron || process.env.SYNC_SCHEDULE;
+  const credentials = getVINCredentials(dealership);
+  const hasCredentials = Boolean(credentials.username && credentials.password);
+
+  if (!expression || overrides.enabled === false || !hasCredentials) {
+    return {
+      enabled: false,
+      reason: !expression ? 'No schedule configured'
+        : overrides.enabled === false ? 'Disabled for this dealership'
+          : 'VIN Solutions credentials not configured'
+    };
+  }
+
+  const timeZone = overrides.timezone || process.env.SYNC_TIMEZONE || null;
+  if (timeZone) {
+    // Throws RangeError for an unknown zone
+    new Intl.DateTimeFormat('en-US', { timeZone });
+  }
+
+  return {
+    enabled: true,
+    cron: parseCron(expression),
+    window: parseWindow(overrides.window ?? process.env.SYNC_WINDOW),
+    timeZone
+  };
+}
+
+function getState(dealership) {
+  if (!state.has(dealership.id)) {
+    state.set(dealership.id, {
+      running: false,
+      lastScheduledAt: null,
+      lastOutcome: null,
+      retry: null,
+      retryTimer: null
+    });
+  }
+  return state.get(dealership.id);
+}
+
+async function runScheduledSync(dealership, schedule, attempt = 1) {
+  const entry = getState(dealership);
+  const log = (...args) => console.log(`[Scheduler] ${dealership.id}:`, ...args);
+
+  if (entry.running) {
+    log('⏭️  Previous sync still running, skipping');
+    entry.lastOutcome = { status: 'skipped', reason: 'Previous sync still running', at: new Date() };
+    return;
+  }
+
+  entry.running = true;
+  entry.retry = null;
+
+  try {
+    const job = await startSyncJob(dealership, { trigger: attempt > 1 ? 'retry' : 'schedule' });
+    log(`▶️  Started sync job ${job.id} (attempt ${attempt}/${RETRY_ATTEMPTS})`);
+
+    const outcome = await waitForSyncJob(job.id);
+    entry.lastOutcome = { status: outcome?.status || 'unknown', jobId: job.id, attempt, error: outcome?.error || null, at: new Date() };
+
+    if (outcome?.status === 'failed') {
+      scheduleRetry(dealership, schedule, attempt);
+    }
+  } catch (error) {
+    if (error instanceof SyncInProgressError) {
+      // Started by the API or another instance - not a failure, nothing to retry
+      log('⏭️  Sync already in progress (job', error.job.id + '), skipping');
+      entry.lastOutcome = { status: 'skipped', reason: 'Sync already in progress', jobId: error.job.id, at: new Date() };
+    } else {
+      log('❌ Could not start sync:', error.message);
+      entry.lastOutcome = { status: 'failed', attempt, error: error.message, at: new Date() };
+      scheduleRetry(dealership, schedule, attempt);
+    }
+  } finally {
+    entry.running = false;
+  }
+}
+
+// When to retry after failed attempt number `attempt`: exponential backoff,
+// or null when out of attempts or the retry would land outside the window
+// (retries respect business hours too - the next scheduled run picks it up)
+export function retryTime(schedule, attempt, now = new Date()) {
+  if (attempt >= RETRY_ATTEMPTS) return null;
+
+  const at = new Date(now.getTime() + RETRY_BASE_DELAY_MS * 2 ** (attempt - 1));
+  return inWindow(schedule.window, zonedParts(at, schedule.timeZone)) ? at : null;
+}
+
+function scheduleRetry(dealership, schedule, attempt) {
+  const entry = getState(dealership);
+  const at = retryTime(schedule, attempt);
+
+  if (!at) {
+    console.warn(attempt >= RETRY_ATTEMPTS
+      ? `[Scheduler] ${dealership.id}: ⚠️  Giving up after ${attempt} attempt(s)`
+      : `[Scheduler] ${dealership.id}: ⚠️  Retry would fall outside the sync window, waiting for the next scheduled run`);
+    return;
+  }
+
+  const delay = at.getTime() - Date.now();
+  console.log(`[Scheduler] ${dealership.id}: 🔁 Retrying in ${Math.round(delay / 1000)}s (attempt ${attempt + 1}/${RETRY_ATTEMPTS})`);
+  entry.retry = { attempt: attempt + 1, at };
+  entry.retryTimer = setTimeout(() => {
+    entry.retryTimer = null;
+    runScheduledSync(dealership, schedule, attempt + 1);
+  }, delay);
+  entry.retryTimer.unref?.();
+}
+
+function tick() {
+  const now = new Date();
+
+  for (const dealership of listDealerships()) {
+    let schedule;
+    try {
+      schedule = resolveSyncSchedule(dealership);
+    } catch (error) {
+      console.error(`[Scheduler] ${dealership.id}: ❌ Bad schedule:`, error.message);
+      continue;
+    }
+    if (!schedule.enabled) continue;
+
+    const parts = zonedParts(now, schedule.timeZone);
+    if (!cronMatches(schedule.cron, parts) || !inWindow(schedule.window, parts)) continue;
+
+    // A scheduled run supersedes any pending retry
+    const entry = getState(dealership);
+    if (entry.retryTimer) {
+      clearTimeout(entry.retryTimer);
+      entry.retryTimer = null;
+      entry.retry = null;
+    }
+
+    entry.lastScheduledAt = now;
+    runScheduledSync(dealership, schedule);
+  }
+
+  scheduleTick();
+}
+
+// Wakes at the top of every minute
+function scheduleTick() {
+  const now = Date.now();
+  const delay = 60 * 1000 - (now % (60 * 1000)) + 500;
+  tickTimer = setTimeout(tick, delay);
+  tickTimer.unref?.();
+}
+
+export function startScheduler() {
+  if (tickTimer) return;
+
+  const enabled = listDealerships().filter(dealership => {
+    try {
+      return resolveSyncSchedule(dealership).enabled;
+    } catch (error) {
+      console.error(`[Scheduler] ${dealership.id}: ❌ Bad schedule:`, error.message);
+      return false;
+    }
+  });
+
+  if (enabled.length === 0) {
+    console.log('[Scheduler] No scheduled syncs configured');
+    return;
+  }
+
+  console.log(`[Scheduler] ⏰ Scheduled sync enabled for ${enabled.map(d => d.id).join(', ')}`);
+  scheduleTick();
+}
+
+// What GET /api/inventory/sync/schedule reports for one rooftop
+export function getScheduleStatus(dealership) {
+  const entry = getState(dealership);
+  const schedule = resolveSyncSchedule(dealership);
+
+  if (!schedule.enabled) {
+    return { enabled: false, reason: schedule.reason, lastOutcome: entry.lastOutcome };
+  }
+
+  return {
+    enabled: true,
+    schedulerRunning: Boolean(tickTimer),
+    cron: schedule.cron.expression,
+    window: schedule.window?.text || null,
+    timezone: schedule.timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone,
+    running: entry.running,
+    lastScheduledAt: entry.lastScheduledAt,
+    lastOutcome: entry.lastOutcome,
+    pendingRetry: entry.retry,
+    nextRunAt: nextRunTime(schedule),
+    retryPolicy: { attempts: RETRY_ATTEMPTS, baseDelayMs: RETRY_BASE_DELAY_MS }
+  };
+}
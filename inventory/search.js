@@ -0,0 +1,272 @@
+import { pool } from '../db/index.js';
+
+// ============================================================================
+// INVENTORY SEARCH
+// ============================================================================
+// Free-text `q` (every term must match make/model/trim/year) combined with
+// structured filters, keyset (cursor) pagination, sorting, totals and facet
+// counts. Used by /api/inventory/search and by /agent/reply to find stock
+// matching a lead.
+
+const MAX_LIMIT = 100;
+const MAX_FACET_VALUES = 20;
+
+// Price filters and sorting use the internet price when there is one
+const PRICE_EXPR = 'COALESCE(price_internet, price_msrp)';
+
+// NULLs are coalesced so keyset comparisons stay well-defined; they sort last
+// in either direction. `key` is the type of the value a cursor carries.
+const SORTS = {
+  year_desc: { expr: 'COALESCE(year, 0)', dir: 'DESC', key: 'integer' },
+  year_asc: { expr: 'COALESCE(year, 9999)', dir: 'ASC', key: 'integer' },
+  price_asc: { expr: `COALESCE(${PRICE_EXPR}, 999999999)`, dir: 'ASC', key: 'numeric' },
+  price_desc: { expr: `COALESCE(${PRICE_EXPR}, -1)`, dir: 'DESC', key: 'numeric' },
+  mileage_asc: { expr: 'COALESCE(mileage, 2147483647)', dir: 'ASC', key: 'integer' },
+  mileage_desc: { expr: 'COALESCE(mileage, -1)', dir: 'DESC', key: 'integer' },
+  newest: { expr: 'COALESCE(EXTRACT(EPOCH FROM created_at), 0)', dir: 'DESC', key: 'numeric' },
+  stock_number: { expr: 'stock_number', dir: 'ASC', key: 'text' }
+};
+
+// pg returns NUMERIC columns as strings, so numeric keys may be either
+const SORT_KEY_CHECKS = {
+  integer: value => Number.isInteger(value),
+  numeric: value => (typeof value === 'number' && Number.isFinite(value))
+    || (typeof value === 'string' && /^-?\d+(?:\.\d+)?$/.test(value)),
+  text: value => typeof value === 'string'
+};
+
+const FACETS = {
+  trim: 'trim',
+  model: 'model',
+  exterior_color: 'exterior_color',
+  body_style: 'body_style',
+  year: 'year',
+  location: 'location',
+  status: 'status'
+};
+
+const STATUSES = ['available', 'sold', 'removed', 'any'];
+
+const VEHICLE_COLUMNS = `
+  stock_number,
+  year,
+  make,
+  model,
+  trim,
+  vin,
+  body_style,
+  exterior_color,
+  interior_color,
+  mileage,
+  price_msrp,
+  price_internet,
+  location,
+  status
+`;
+
+function list(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(v => String(v).trim())
+    .filter(Boolean);
+}
+
+function parseNumber(query, name, problems, { integer = false } = {}) {
+  const raw = query[name];
+  if (raw === undefined || raw === '') return undefined;
+
+  const value = Number(raw);
+  if (!Number.isFinite(value) || (integer && !Number.isInteger(value)) || value < 0) {
+    problems.push(`${name} must be a ${integer ? 'whole ' : ''}non-negative number`);
+    return undefined;
+  }
+  return value;
+}
+
+// A cursor is only good for the sort it was made for
+function encodeCursor(sort, sortKey, id) {
+  return Buffer.from(JSON.stringify([sort, sortKey, id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [sort, sortKey, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (typeof sort !== 'string' || !Number.isInteger(id)) return null;
+    return { sort, sortKey, id };
+  } catch {
+    return null;
+  }
+}
+
+// Validates query-string style parameters. Returns { error } on bad input.
+export function parseSearchParams(query = {}) {
+  const problems = [];
+  const q = query.q ? String(query.q).trim() : '';
+
+  const filters = {
+    q,
+    yearMin: parseNumber(query, 'yearMin', problems, { integer: true }),
+    yearMax: parseNumber(query, 'yearMax', problems, { integer: true }),
+    mileageMax: parseNumber(query, 'mileageMax', problems, { integer: true }),
+    priceMin: parseNumber(query, 'priceMin', problems),
+    priceMax: parseNumber(query, 'priceMax', problems),
+    make: list(query.make),
+    model: list(query.model),
+    trim: list(query.trim),
+    bodyStyle: list(query.bodyStyle),
+    color: list(query.color),
+    location: list(query.location),
+    status: list(query.status).map(s => s.toLowerCase())
+  };
+
+  if (filters.status.length === 0) {
+    filters.status = ['available'];
+  }
+  const badStatus = filters.status.filter(s => !STATUSES.includes(s));
+  if (badStatus.length > 0) {
+    problems.push(`status must be one of ${STATUSES.join(', ')}`);
+  }
+
+  const sort = query.sort ? String(query.sort) : 'year_desc';
+  if (!SORTS[sort]) {
+    problems.push(`sort must be one of ${Object.keys(SORTS).join(', ')}`);
+  }
+
+  const limit = query.limit === undefined ? 10 : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    problems.push(`limit must be between 1 and ${MAX_LIMIT}`);
+  }
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor);
+    if (!cursor) {
+      problems.push('cursor is invalid');
+    } else if (SORTS[sort] && (cursor.sort !== sort || !SORT_KEY_CHECKS[SORTS[sort].key](cursor.sortKey))) {
+      problems.push('cursor does not match sort');
+    }
+  }
+
+  if (q && q.length < 2) {
+    problems.push('Query too short');
+  }
+
+  const hasFilter = Object.entries(filters).some(([key, value]) =>
+    key !== 'status' && key !== 'q' && (Array.isArray(value) ? value.length > 0 : value !== undefined)
+  );
+  if (!q && !hasFilter) {
+    problems.push('Query too short');
+  }
+
+  if (problems.length > 0) {
+    return { error: Array.from(new Set(problems)).join('; ') };
+  }
+
+  return { filters, sort, limit, cursor };
+}
+
+function buildWhere(dealershipId, filters) {
+  const params = [dealershipId];
+  const conditions = ['dealership_id = $1'];
+  const add = value => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  if (!filters.status.includes('any')) {
+    conditions.push(`status = ANY(${add(filters.status)})`);
+  }
+
+  const terms = (filters.q || '').toLowerCase().split(/\s+/).filter(t => t.length > 1);
+  for (const term of terms) {
+    const p = add(`%${term}%`);
+    conditions.push(`(
+      LOWER(make) LIKE ${p} OR
+      LOWER(model) LIKE ${p} OR
+      LOWER(trim) LIKE ${p} OR
+      CAST(year AS TEXT) LIKE ${p}
+    )`);
+  }
+
+  if (filters.yearMin !== undefined) conditions.push(`year >= ${add(filters.yearMin)}`);
+  if (filters.yearMax !== undefined) conditions.push(`year <= ${add(filters.yearMax)}`);
+  if (filters.mileageMax !== undefined) conditions.push(`mileage <= ${add(filters.mileageMax)}`);
+  if (filters.priceMin !== undefined) conditions.push(`${PRICE_EXPR} >= ${add(filters.priceMin)}`);
+  if (filters.priceMax !== undefined) conditions.push(`${PRICE_EXPR} <= ${add(filters.priceMax)}`);
+
+  const exact = { make: 'make', model: 'model', trim: 'trim', bodyStyle: 'body_style', location: 'location' };
+  for (const [key, column] of Object.entries(exact)) {
+    if (filters[key]?.length > 0) {
+      conditions.push(`LOWER(${column}) = ANY(${add(filters[key].map(v => v.toLowerCase()))})`);
+    }
+  }
+
+  // Colors are free text in the feed ("Summit White", "Mosaic Black Metallic")
+  if (filters.color?.length > 0) {
+    conditions.push(`exterior_color ILIKE ANY(${add(filters.color.map(c => `%${c}%`))})`);
+  }
+
+  return { conditions, params, add };
+}
+
+export async function searchInventory(dealershipId, { filters, sort = 'year_desc', limit = 10, cursor = null }, { withTotal = false, withFacets = false } = {}) {
+  const { conditions, params, add } = buildWhere(dealershipId, filters);
+  const { expr, dir } = SORTS[sort];
+  const where = conditions.join('\n      AND ');
+
+  // Totals and facets ignore the cursor so they describe the whole result set
+  const filterParams = params.slice();
+
+  const pageConditions = conditions.slice();
+  if (cursor) {
+    pageConditions.push(`(${expr}, id) ${dir === 'DESC' ? '<' : '>'} (${add(cursor.sortKey)}, ${add(cursor.id)})`);
+  }
+  const limitParam = add(limit + 1);
+
+  const pageQuery = pool.query(`
+    SELECT id, ${expr} AS sort_key, ${VEHICLE_COLUMNS}
+    FROM inventory
+    WHERE ${pageConditions.join('\n      AND ')}
+    ORDER BY ${expr} ${dir}, id ${dir}
+    LIMIT ${limitParam}
+  `, params);
+
+  const totalQuery = withTotal
+    ? pool.query(`SELECT COUNT(*)::int AS total FROM inventory WHERE ${where}`, filterParams)
+    : null;
+
+  const facetQuery = withFacets
+    ? pool.query(
+      Object.entries(FACETS).map(([facet, column]) => `
+        (SELECT '${facet}' AS facet, ${column}::text AS value, COUNT(*)::int AS count
+        FROM inventory
+        WHERE ${where} AND ${column} IS NOT NULL
+        GROUP BY ${column}
+        ORDER BY count DESC, value
+        LIMIT ${MAX_FACET_VALUES})`
+      ).join('\n        UNION ALL'),
+      filterParams
+    )
+    : null;
+
+  const [page, total, facetRows] = await Promise.all([pageQuery, totalQuery, facetQuery]);
+
+  const rows = page.rows.slice(0, limit);
+  const last = rows[rows.length - 1];
+  const nextCursor = page.rows.length > limit && last ? encodeCursor(sort, last.sort_key, last.id) : null;
+
+  let facets;
+  if (facetRows) {
+    facets = Object.fromEntries(Object.keys(FACETS).map(f => [f, []]));
+    for (const row of facetRows.rows) {
+      facets[row.facet].push({ value: row.value, count: row.count });
+    }
+  }
+
+  return {
+    vehicles: rows.map(({ id, sort_key, ...vehicle }) => vehicle),
+    nextCursor,
+    ...(total && { total: total.rows[0].total }),
+    ...(facets && { facets })
+  };
+}
@@ -0,0 +1,212 @@
+import { pool } from '../db/index.js';
+
+// ============================================================================
+// INVENTORY SYNC
+// ============================================================================
+// Writes one scrape of a rooftop's inventory to the database and reconciles
+// it against what was there before:
+//   added     - stock numbers seen for the first time
+//   restored  - units that had been marked sold or removed and showed up again
+//   changed   - existing units whose details changed
+//   removed   - available units missing from this scrape. They get status
+//               'removed', not 'sold' - the feed can't tell a sale from a
+//               wholesale or a transfer
+// Every field-level change (including status) is written to
+// inventory_history so managers can audit a unit across syncs.
+
+// Fields compared to decide whether an existing unit "changed". Only the
+// ones the scraper actually provides for a unit are compared.
+const TRACKED_FIELDS = [
+  'year', 'make', 'model', 'trim', 'vin', 'body_style', 'engine', 'transmission',
+  'exterior_color', 'interior_color', 'mileage', 'price_msrp', 'price_internet', 'location'
+];
+
+// Columns the grid may or may not show depending on the user's saved layout.
+// A blank one keeps the stored value rather than wiping it.
+const OPTIONAL_FIELDS = [
+  'body_style', 'engine', 'transmission', 'exterior_color', 'interior_color',
+  'mileage', 'price_msrp', 'price_internet', 'location'
+];
+
+// A scrape that returns far fewer units than we have on record is more likely
+// a broken page than a sell-off - don't mark everything removed because of it
+const MIN_RECONCILE_RATIO = Number(process.env.RECONCILE_MIN_RATIO || 0.5);
+
+// "30000.00" from a DECIMAL column and 30000 from the scraper are the same
+function normalizeValue(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number' || /^-?\d+(\.\d+)?$/.test(String(value).trim())) {
+    return String(Number(value));
+  }
+  return String(value).trim();
+}
+
+function diffVehicle(before, vehicle) {
+  return TRACKED_FIELDS
+    .filter(field => field in vehicle)
+    // Mirrors the upsert: a blank optional column leaves the stored value alone
+    .filter(field => !(OPTIONAL_FIELDS.includes(field) && vehicle[field] == null))
+    .map(field => ({ field, oldValue: normalizeValue(before[field]), newValue: normalizeValue(vehicle[field]) }))
+    .filter(change => change.oldValue !== change.newValue);
+}
+
+async function loadExisting(dealershipId) {
+  const result = await pool.query(`
+    SELECT stock_number, status, ${TRACKED_FIELDS.join(', ')}
+    FROM inventory
+    WHERE dealership_id = $1
+  `, [dealershipId]);
+
+  return new Map(result.rows.map(row => [row.stock_number, row]));
+}
+
+async function recordHistory(dealershipId, changes) {
+  if (changes.length === 0) return;
+
+  await pool.query(`
+    INSERT INTO inventory_history (dealership_id, stock_number, field, old_value, new_value)
+    SELECT $1, * FROM UNNEST($2::text[], $3::text[], $4::text[], $5::text[])
+  `, [
+    dealershipId,
+    changes.map(c => c.stockNumber),
+    changes.map(c => c.field),
+    changes.map(c => c.oldValue),
+    changes.map(c => c.newValue)
+  ]);
+}
+
+// complete: false means the scrape stopped part way through the grid, so a
+// unit missing from it may simply be on a page that wasn't read. Removed-unit
+// reconciliation is skipped for it unless forced.
+export async function saveScrapedInventory(dealership, vehicles, { force = false, complete = true } = {}) {
+  const existing = await loadExisting(dealership.id);
+
+  let addedCount = 0;
+  let restoredCount = 0;
+  let changedCount = 0;
+  let unchangedCount = 0;
+  let errorCount = 0;
+  const history = [];
+
+  for (const vehicle of vehicles) {
+    try {
+      await pool.query(`
+        INSERT INTO inventory (
+          dealership_id, stock_number, year, make, model, trim, vin, vin_issues, status,
+          body_style, engine, transmission, exterior_color, interior_color, mileage,
+          price_msrp, price_internet, location, last_scraped_at
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, NOW())
+        ON CONFLICT (dealership_id, stock_number)
+        DO UPDATE SET
+          year = EXCLUDED.year,
+          make = EXCLUDED.make,
+          model = EXCLUDED.model,
+          trim = EXCLUDED.trim,
+          vin = EXCLUDED.vin,
+          vin_issues = EXCLUDED.vin_issues,
+          status = EXCLUDED.status,
+          body_style = COALESCE(EXCLUDED.body_style, inventory.body_style),
+          engine = COALESCE(EXCLUDED.engine, inventory.engine),
+          transmission = COALESCE(EXCLUDED.transmission, inventory.transmission),
+          exterior_color = COALESCE(EXCLUDED.exterior_color, inventory.exterior_color),
+          interior_color = COALESCE(EXCLUDED.interior_color, inventory.interior_color),
+          mileage = COALESCE(EXCLUDED.mileage, inventory.mileage),
+          price_msrp = COALESCE(EXCLUDED.price_msrp, inventory.price_msrp),
+          price_internet = COALESCE(EXCLUDED.price_internet, inventory.price_internet),
+          location = COALESCE(EXCLUDED.location, inventory.location),
+          removed_at = NULL,
+          updated_at = NOW(),
+          last_scraped_at = NOW()
+      `, [
+        dealership.id,
+        vehicle.stock_number,
+        vehicle.year,
+        vehicle.make,
+        vehicle.model,
+        vehicle.trim,
+        vehicle.vin,
+        vehicle.vin_issues,
+        vehicle.status,
+        ...OPTIONAL_FIELDS.map(field => vehicle[field] ?? null)
+      ]);
+
+      const before = existing.get(vehicle.stock_number);
+      const stockNumber = vehicle.stock_number;
+
+      if (!before) {
+        addedCount++;
+        history.push({ stockNumber, field: 'status', oldValue: null, newValue: vehicle.status });
+        continue;
+      }
+
+      const changes = diffVehicle(before, vehicle);
+      history.push(...changes.map(change => ({ stockNumber, ...change })));
+
+      if (before.status !== vehicle.status) {
+        history.push({ stockNumber, field: 'status', oldValue: before.status, newValue: vehicle.status });
+      }
+
+      if (before.status !== 'available') {
+        restoredCount++;
+      } else if (changes.length > 0) {
+        changedCount++;
+      } else {
+        unchangedCount++;
+      }
+    } catch (err) {
+      console.error(`❌ Error upserting vehicle ${vehicle.stock_number}:`, err.message);
+      errorCount++;
+    }
+  }
+
+  const availableBefore = Array.from(existing.values()).filter(v => v.status === 'available').length;
+  const scraped = vehicles.map(v => v.stock_number);
+  let removed = [];
+  let reconciled = false;
+
+  if (!force && !complete) {
+    console.warn('⚠️  Scrape did not read the whole grid - skipping removed-unit reconciliation');
+  } else if (!force && availableBefore > 0 && vehicles.length < availableBefore * MIN_RECONCILE_RATIO) {
+    console.warn(`⚠️  Scrape found ${vehicles.length} units but ${availableBefore} are on record - skipping removed-unit reconciliation`);
+  } else {
+    const result = await pool.query(`
+      UPDATE inventory
+      SET status = 'removed',
+          removed_at = NOW(),
+          updated_at = NOW()
+      WHERE dealership_id = $1
+      AND status = 'available'
+      AND NOT (stock_number = ANY($2))
+      RETURNING stock_number
+    `, [dealership.id, scraped]);
+
+    removed = result.rows.map(r => r.stock_number);
+    reconciled = true;
+    history.push(...removed.map(stockNumber => ({ stockNumber, field: 'status', oldValue: 'available', newValue: 'removed' })));
+  }
+
+  try {
+    await recordHistory(dealership.id, history);
+  } catch (err) {
+    // History is an audit trail - losing it shouldn't fail the sync
+    console.error('❌ Error recording inventory history:', err.message);
+  }
+
+  console.log(`   📊 Summary: ${addedCount} new, ${restoredCount} restored, ${changedCount} changed, ${unchangedCount} unchanged, ${removed.length} removed, ${errorCount} errors`);
+
+  return {
+    added: addedCount,
+    restored: restoredCount,
+    changed: changedCount,
+    unchanged: unchangedCount,
+    removed: removed.length,
+    removedStockNumbers: removed,
+    reconciled,
+    historyEntries: history.length,
+    // Kept for callers of the original sync result
+    inserted: addedCount,
+    updated: restoredCount + changedCount + unchangedCount,
+    errors: errorCount
+  };
+}
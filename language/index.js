@@ -0,0 +1,114 @@
+// ============================================================================
+// REPLY LANGUAGE
+// ============================================================================
+// Replies are written in the customer's language. It is detected offline from
+// the customer's messages by counting common words (the latest message
+// counts double), and a caller can force it with options.language ("es",
+// "pt-BR", "spanish"...; "auto" detects). Short or mixed messages that don't
+// clearly lean one way stay in English.
+
+export const LANGUAGES = {
+  en: 'English',
+  es: 'Spanish',
+  pt: 'Portuguese'
+};
+
+export const DEFAULT_LANGUAGE = 'en';
+
+const NAMES = {
+  english: 'en',
+  ingles: 'en',
+  spanish: 'es',
+  espanol: 'es',
+  castellano: 'es',
+  portuguese: 'pt',
+  portugues: 'pt'
+};
+
+// Frequent words that are rare in the other two languages. Words shared by
+// several languages ("no", "a", "me") are left out; ones Spanish and
+// Portuguese share ("que", "para") are listed for both.
+const STOPWORDS = {
+  en: [
+    'the', 'and', 'is', 'are', 'i', 'you', 'my', 'to', 'for', 'with', 'can', 'what', 'when', 'how',
+    'thanks', 'thank', 'hello', 'hi', 'have', 'do', 'want', 'need', 'it', 'this', 'that', 'of', 'in',
+    'on', 'would', 'will', 'just', 'about', 'your', 'we', 'be', 'was', 'if', 'but', 'yes'
+  ],
+  es: [
+    'el', 'los', 'las', 'y', 'es', 'está', 'estoy', 'hola', 'gracias', 'quiero', 'usted', 'pero', 'muy',
+    'para', 'que', 'una', 'un', 'mi', 'yo', 'tengo', 'puedo', 'cuándo', 'cuando', 'cuánto', 'cuanto',
+    'necesito', 'coche', 'camioneta', 'sí', 'del', 'al', 'por', 'favor', 'bien', 'mañana', 'precio',
+    'tiene', 'hay', 'pago', 'ustedes', 'también', 'ya', 'su', 'con'
+  ],
+  pt: [
+    'o', 'os', 'não', 'sim', 'obrigado', 'obrigada', 'olá', 'oi', 'você', 'vocês', 'com', 'um',
+    'uma', 'eu', 'tenho', 'quero', 'posso', 'meu', 'minha', 'quando', 'quanto', 'preciso', 'é', 'da',
+    'na', 'em', 'para', 'que', 'mas', 'muito', 'também', 'amanhã', 'preço', 'tem', 'pagamento',
+    'bom', 'dia', 'seu', 'sua', 'está', 'estou'
+  ]
+};
+
+// Letters only one of the languages uses
+const MARKERS = {
+  es: /[ñ¿¡]/g,
+  pt: /[ãõç]/g
+};
+
+const MIN_HITS = 2;
+
+function tokenize(text) {
+  return String(text || '').toLowerCase().match(/[\p{L}']+/gu) || [];
+}
+
+function scoreText(text, weight, scores) {
+  for (const word of tokenize(text)) {
+    for (const [code, words] of Object.entries(STOPWORDS)) {
+      if (words.includes(word)) scores[code] += weight;
+    }
+  }
+  for (const [code, pattern] of Object.entries(MARKERS)) {
+    scores[code] += (String(text || '').toLowerCase().match(pattern) || []).length * weight;
+  }
+}
+
+// { code, confidence } for the customer's side of the conversation, or
+// { code: null } when there isn't enough to go on
+export function detectLanguage(messages = []) {
+  const customer = messages.filter(m => m?.sender === 'customer' && m.text);
+  const scores = Object.fromEntries(Object.keys(LANGUAGES).map(code => [code, 0]));
+
+  customer.forEach((message, i) => scoreText(message.text, i === customer.length - 1 ? 2 : 1, scores));
+
+  const [[best, top], [, second]] = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  const total = Object.values(scores).reduce((sum, n) => sum + n, 0);
+
+  if (top < MIN_HITS || top === second) {
+    return { code: null, confidence: 0 };
+  }
+  return { code: best, confidence: Math.round((top / total) * 100) / 100 };
+}
+
+// "es-MX", "Spanish", "español" → "es"; null if unsupported
+export function normalizeLanguage(value) {
+  const key = String(value ?? '').trim().toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  const code = key.split(/[-_]/)[0];
+  return LANGUAGES[code] ? code : NAMES[key] || null;
+}
+
+// The language to reply in: options.language when given, else detected.
+// Throws with a message fit for a 400 on an unsupported override.
+export function resolveLanguage({ messages = [], requested } = {}) {
+  if (requested !== undefined && requested !== null && requested !== '' && requested !== 'auto') {
+    const code = normalizeLanguage(requested);
+    if (!code) {
+      throw new Error(`options.language must be one of ${Object.keys(LANGUAGES).join(', ')} or auto`);
+    }
+    return { code, name: LANGUAGES[code], source: 'request', confidence: null };
+  }
+
+  const detected = detectLanguage(messages);
+  if (!detected.code) {
+    return { code: DEFAULT_LANGUAGE, name: LANGUAGES[DEFAULT_LANGUAGE], source: 'default', confidence: null };
+  }
+  return { code: detected.code, name: LANGUAGES[detected.code], source: 'detected', confidence: detected.confidence };
+}
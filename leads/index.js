@@ -0,0 +1,342 @@
+// ============================================================================
+// LEAD SCHEMA
+// ============================================================================
+// The `lead` object a CRM sends with /agent/reply. Every field is optional;
+// empty strings and nulls count as missing.
+//
+//   name              customer's name
+//   email, phone      contact details (not shown to the model, but numbers in
+//                     them are allowed in replies)
+//   vehicleYear, vehicleMake, vehicleModel
+//                     vehicle of interest - also drives the inventory lookup
+//   tradeIn           { year, make, model, trim, mileage, vin, condition }
+//   currentFinancing  { type: lease|finance, endDate: YYYY-MM-DD, lender }
+//   appointments      up to 10 of { type, at, notes }; type is one of
+//                     APPOINTMENT_TYPES ("service" for service visits), at is
+//                     YYYY-MM-DD or an ISO 8601 date-time. Times without an
+//                     offset are the dealership's local time.
+//   source            where the lead came from ("Cars.com", "Website chat")
+//   assignedRep       { name, signature } - the signature replaces the
+//                     dealership's on email replies for this lead
+//   preferredContact  one of CONTACT_METHODS
+//
+// Fields that aren't in the schema are reported back to the caller, or
+// refused with a 400 when LEAD_UNKNOWN_FIELDS=reject.
+
+export const APPOINTMENT_TYPES = ['sales', 'test_drive', 'service', 'delivery', 'phone_call', 'other'];
+export const CONTACT_METHODS = ['email', 'phone', 'text', 'chat', 'any'];
+export const FINANCING_TYPES = ['lease', 'finance'];
+
+const MAX_TEXT = 500;
+const MAX_APPOINTMENTS = 10;
+
+const VEHICLE_FIELDS = {
+  year: 'year',
+  make: 'text',
+  model: 'text',
+  trim: 'text',
+  mileage: 'count',
+  vin: 'text',
+  condition: 'text'
+};
+
+export const LEAD_SCHEMA = {
+  name: 'text',
+  email: 'text',
+  phone: 'text',
+  vehicleYear: 'year',
+  vehicleMake: 'text',
+  vehicleModel: 'text',
+  tradeIn: VEHICLE_FIELDS,
+  currentFinancing: {
+    type: FINANCING_TYPES,
+    endDate: 'date',
+    lender: 'text'
+  },
+  appointments: [{
+    type: APPOINTMENT_TYPES,
+    at: 'datetime',
+    notes: 'text'
+  }],
+  source: 'text',
+  assignedRep: {
+    name: 'text',
+    signature: 'text'
+  },
+  preferredContact: CONTACT_METHODS
+};
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const DATETIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::\d{2}(?:\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+function isEmpty(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+function validDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+// Checks one value against its schema entry. Returns the cleaned value, or
+// undefined after recording a problem.
+function parseValue(spec, value, field, problems, unknown) {
+  if (Array.isArray(spec) && typeof spec[0] === 'object') {
+    if (!Array.isArray(value)) {
+      problems.push(`${field} must be an array`);
+      return undefined;
+    }
+    if (value.length > MAX_APPOINTMENTS) {
+      problems.push(`${field} can have at most ${MAX_APPOINTMENTS} entries`);
+      return undefined;
+    }
+    return value
+      .map((item, i) => parseValue(spec[0], item, `${field}[${i}]`, problems, unknown))
+      .filter(item => item !== undefined && Object.keys(item).length > 0);
+  }
+
+  if (Array.isArray(spec)) {
+    const choice = String(value).trim().toLowerCase().replace(/[\s-]+/g, '_');
+    if (!spec.includes(choice)) {
+      problems.push(`${field} must be one of ${spec.join(', ')}`);
+      return undefined;
+    }
+    return choice;
+  }
+
+  if (typeof spec === 'object') {
+    if (typeof value !== 'object' || Array.isArray(value)) {
+      problems.push(`${field} must be an object`);
+      return undefined;
+    }
+    return parseObject(spec, value, field, problems, unknown);
+  }
+
+  if (spec === 'text') {
+    if (typeof value !== 'string' && typeof value !== 'number') {
+      problems.push(`${field} must be a string`);
+      return undefined;
+    }
+    const text = String(value).trim();
+    if (text.length > MAX_TEXT) {
+      problems.push(`${field} must be at most ${MAX_TEXT} characters`);
+      return undefined;
+    }
+    return text;
+  }
+
+  if (spec === 'year' || spec === 'count') {
+    const number = typeof value === 'string' ? Number(value.replace(/,/g, '').trim()) : value;
+    if (typeof number !== 'number' || !Number.isInteger(number) || number < 0) {
+      problems.push(`${field} must be a whole number`);
+      return undefined;
+    }
+    if (spec === 'year' && (number < 1900 || number > 2100)) {
+      problems.push(`${field} must be a model year`);
+      return undefined;
+    }
+    return number;
+  }
+
+  if (spec === 'date' || spec === 'datetime') {
+    const text = typeof value === 'string' ? value.trim() : '';
+    const match = text.match(spec === 'date' ? DATE_PATTERN : DATETIME_PATTERN);
+    if (!match || !validDate(Number(match[1]), Number(match[2]), Number(match[3]))
+      || (match[4] && (Number(match[4]) > 23 || Number(match[5]) > 59))) {
+      problems.push(`${field} must be ${spec === 'date' ? 'a YYYY-MM-DD date' : 'an ISO 8601 date or date-time'}`);
+      return undefined;
+    }
+    return text;
+  }
+
+  throw new Error(`Unknown lead schema type for ${field}: ${spec}`);
+}
+
+function parseObject(schema, raw, prefix, problems, unknown) {
+  const parsed = {};
+
+  for (const [key, value] of Object.entries(raw)) {
+    const field = prefix ? `${prefix}.${key}` : key;
+    if (!Object.hasOwn(schema, key)) {
+      unknown.push(field);
+      continue;
+    }
+    if (isEmpty(value)) continue;
+
+    const cleaned = parseValue(schema[key], value, field, problems, unknown);
+    if (cleaned !== undefined) parsed[key] = cleaned;
+  }
+
+  return parsed;
+}
+
+// Validates a lead against LEAD_SCHEMA. Returns { lead, unknownFields }, or
+// { error } on bad input (including unknown fields when rejectUnknown is set).
+export function parseLead(raw, { rejectUnknown = process.env.LEAD_UNKNOWN_FIELDS === 'reject' } = {}) {
+  if (isEmpty(raw)) {
+    return { lead: {}, unknownFields: [] };
+  }
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    return { error: 'lead must be an object' };
+  }
+
+  const problems = [];
+  const unknownFields = [];
+  const lead = parseObject(LEAD_SCHEMA, raw, '', problems, unknownFields);
+
+  if (rejectUnknown && unknownFields.length > 0) {
+    problems.push(`Unknown lead field(s): ${unknownFields.join(', ')}`);
+  }
+  if (problems.length > 0) {
+    return { error: `Invalid lead: ${problems.join('; ')}` };
+  }
+
+  return { lead, unknownFields };
+}
+
+// ============================================================================
+// PROMPT CONTEXT
+// ============================================================================
+
+const APPOINTMENT_LABELS = {
+  sales: 'Sales appointment',
+  test_drive: 'Test drive',
+  service: 'Service visit',
+  delivery: 'Vehicle delivery',
+  phone_call: 'Scheduled call',
+  other: 'Appointment'
+};
+
+const CONTACT_LABELS = {
+  email: 'email',
+  phone: 'phone call',
+  text: 'text message',
+  chat: 'chat',
+  any: 'no preference'
+};
+
+// Calendar date (and time, if given) of an appointment in the dealership's
+// time zone. Values with an offset are converted; values without one are
+// already local and are shown as written.
+function localParts(value, timeZone) {
+  const match = value.match(DATETIME_PATTERN);
+  const [, year, month, day, hour, minute, offset] = match;
+
+  if (!offset) {
+    return {
+      date: `${year}-${month}-${day}`,
+      time: hour !== undefined ? { hour: Number(hour), minute: Number(minute) } : null
+    };
+  }
+
+  const instant = new Date(value.replace(' ', 'T').replace(/([+-]\d{2})(\d{2})$/, '$1:$2'));
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit'
+    }).formatToParts(instant).map(p => [p.type, p.value])
+  );
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: { hour: Number(parts.hour), minute: Number(parts.minute) }
+  };
+}
+
+// "Tuesday, October 20, 2026" for a YYYY-MM-DD date
+function formatDate(date) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).toLocaleDateString('en-US', {
+    timeZone: 'UTC',
+    weekday: 'long',
+    month: 'long',
+    day: 'numeric',
+    year: 'numeric'
+  });
+}
+
+function formatTime({ hour, minute }) {
+  const suffix = hour < 12 ? 'AM' : 'PM';
+  return `${hour % 12 || 12}:${String(minute).padStart(2, '0')} ${suffix}`;
+}
+
+function formatTime24({ hour, minute }) {
+  return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+}
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+}
+
+function relativeDay(days) {
+  if (days === 0) return 'today';
+  if (days === 1) return 'tomorrow';
+  if (days === -1) return 'yesterday';
+  return days > 0 ? `in ${days} days` : `${-days} days ago`;
+}
+
+function describeVehicle(vehicle) {
+  const name = [vehicle.year, vehicle.make, vehicle.model, vehicle.trim].filter(Boolean).join(' ');
+  return [
+    name || 'Vehicle',
+    vehicle.mileage !== undefined ? `${vehicle.mileage.toLocaleString('en-US')} miles` : null,
+    vehicle.condition ? `condition: ${vehicle.condition}` : null,
+    vehicle.vin ? `VIN ${vehicle.vin}` : null
+  ].filter(Boolean).join(', ');
+}
+
+// Renders a parsed lead for the user prompt: `details` are one-line facts for
+// the CONVERSATION CONTEXT block, `sections` are titled blocks of their own.
+// timeZone is the dealership's (server local time if not set).
+export function buildLeadContext(lead = {}, { timeZone, now = new Date() } = {}) {
+  const today = localParts(now.toISOString(), timeZone).date;
+  const details = [`Today: ${formatDate(today)}`];
+  const sections = [];
+
+  if (lead.name) details.push(`Customer name: ${lead.name}`);
+  if (lead.vehicleYear || lead.vehicleMake || lead.vehicleModel) {
+    details.push(`Vehicle interest: ${[lead.vehicleYear, lead.vehicleMake, lead.vehicleModel].filter(Boolean).join(' ')}`);
+  }
+  if (lead.source) details.push(`Lead source: ${lead.source}`);
+  if (lead.preferredContact) details.push(`Preferred contact method: ${CONTACT_LABELS[lead.preferredContact]}`);
+  if (lead.assignedRep?.name) details.push(`Assigned rep: ${lead.assignedRep.name}`);
+
+  if (lead.tradeIn && Object.keys(lead.tradeIn).length > 0) {
+    sections.push({ title: 'TRADE-IN', lines: [describeVehicle(lead.tradeIn)] });
+  }
+
+  const financing = lead.currentFinancing;
+  if (financing && Object.keys(financing).length > 0) {
+    const kind = financing.type === 'lease' ? 'Lease' : financing.type === 'finance' ? 'Finance contract' : 'Lease/finance';
+    const line = financing.endDate
+      ? `${kind} ends ${formatDate(financing.endDate)} (${relativeDay(daysBetween(today, financing.endDate))})`
+      : `${kind}, end date unknown`;
+    sections.push({
+      title: 'CURRENT LEASE / FINANCE',
+      lines: [financing.lender ? `${line} with ${financing.lender}` : line]
+    });
+  }
+
+  if (lead.appointments?.length > 0) {
+    const appointments = lead.appointments
+      .map(a => {
+        const label = APPOINTMENT_LABELS[a.type] || APPOINTMENT_LABELS.other;
+        if (!a.at) return { sortKey: '~', line: `- ${label}: time not set${a.notes ? ` - ${a.notes}` : ''}` };
+
+        const { date, time } = localParts(a.at, timeZone);
+        const when = `${formatDate(date)}${time ? ` at ${formatTime(time)}` : ''} (${relativeDay(daysBetween(today, date))})`;
+        const sortKey = `${date}T${time ? formatTime24(time) : '99:99'}`;
+        return { sortKey, line: `- ${label}: ${when}${a.notes ? ` - ${a.notes}` : ''}` };
+      })
+      .sort((a, b) => a.sortKey.localeCompare(b.sortKey));
+
+    sections.push({ title: 'APPOINTMENTS AND SERVICE VISITS', lines: appointments.map(a => a.line) });
+  }
+
+  return { details, sections };
+}
@@ -0,0 +1,53 @@
+// ============================================================================
+// LLM PROVIDER ERRORS
+// ============================================================================
+// Providers translate their SDK/HTTP failures into these so the routes never
+// have to inspect error messages. `status` is the HTTP status returned to the
+// CRM and `code` is the stable identifier sent in JSON and stream error events.
+
+export class LLMError extends Error {
+  constructor(message, { status = 500, code = 'llm_error', provider = null, cause } = {}) {
+    super(message, { cause });
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.provider = provider;
+  }
+}
+
+export class LLMConfigError extends LLMError {
+  constructor(message, options = {}) {
+    super(message, { status: 500, code: 'not_configured', ...options });
+  }
+}
+
+export class LLMAuthError extends LLMError {
+  constructor(message, options = {}) {
+    super(message, { status: 500, code: 'invalid_api_key', ...options });
+  }
+}
+
+export class LLMQuotaError extends LLMError {
+  constructor(message, options = {}) {
+    super(message, { status: 500, code: 'quota_exceeded', ...options });
+  }
+}
+
+export class LLMRateLimitError extends LLMError {
+  constructor(message, options = {}) {
+    super(message, { status: 429, code: 'rate_limited', ...options });
+  }
+}
+
+export class LLMUnavailableError extends LLMError {
+  constructor(message, options = {}) {
+    super(message, { status: 502, code: 'provider_unavailable', ...options });
+  }
+}
+
+// Raised when the caller aborted the request (e.g. the SSE client went away)
+export class LLMAbortError extends LLMError {
+  constructor(message = 'Generation aborted', options = {}) {
+    super(message, { status: 499, code: 'aborted', ...options });
+  }
+}
@@ -0,0 +1,79 @@
+import fs from 'fs';
+import path from 'path';
+
+// ============================================================================
+// FIXTURE PROVIDER
+// ============================================================================
+// Deterministic, offline provider for tests and demos. Responses come from
+// LLM_FIXTURE_FILE when set:
+//
+//   { "responses": [{ "match": "Equinox", "content": { "reply": "..." } }],
+//     "default": { "reply": "..." } }
+//
+// The first entry whose `match` appears in the prompt wins. Without a file
+// (or a match) a canned reply is returned in whichever response format the
+// prompt asks for: a summary, reply variants or a single reply.
+
+const DEFAULT_REPLY = 'Thanks so much for reaching out! I want to make sure I get you the right information - would you be open to a quick call today or tomorrow to go over what you are looking for?';
+
+const DEFAULT_VARIANTS = [
+  { reply: 'Thanks for reaching out! Would a quick call later today work for you?', intent: 'callback', confidence: 0.7 },
+  { reply: 'Thank you for your message. I would be glad to review your options with you - would you be available for a brief call this week?', intent: 'callback', confidence: 0.6 },
+  { reply: 'Thanks for reaching out! Would you like to stop by this week so we can go over everything in person? No pressure at all.', intent: 'appointment', confidence: 0.6 },
+  { reply: 'Thanks for reaching out! If you are thinking about trading in, I can get you a value on your current vehicle - would that help?', intent: 'trade_appraisal', confidence: 0.5 },
+  { reply: 'Thanks for reaching out! Would you be open to a quick call so I can answer your questions directly?', intent: 'callback', confidence: 0.5 }
+];
+
+const DEFAULT_SUMMARY = {
+  summary: 'The customer reached out about a vehicle and is waiting to hear back from the dealership.',
+  intent: { type: 'other', details: null },
+  objections: [],
+  vehicles: [],
+  timeline: { urgency: 'unknown', details: null },
+  sentiment: { overall: 'neutral', details: null },
+  openQuestions: [],
+  nextAction: { action: 'reply', description: 'Reply to the customer and offer a quick call.', reason: 'The customer is waiting on a response.' }
+};
+
+function defaultContent(prompt) {
+  if (prompt.includes('"nextAction"')) return DEFAULT_SUMMARY;
+  if (prompt.includes('"variants"')) return { variants: DEFAULT_VARIANTS };
+  return { reply: DEFAULT_REPLY, vehicles: [] };
+}
+
+function loadFixtures(file) {
+  if (!file) return null;
+  return JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+}
+
+export function createFixtureProvider({ file } = {}) {
+  const fixtures = loadFixtures(file);
+  
+  function respond(messages) {
+    const prompt = messages.map(m => m.content).join('\n');
+    const hit = fixtures?.responses?.find(r => r.match && prompt.includes(r.match));
+    const content = hit?.content ?? fixtures?.default ?? defaultContent(prompt);
+    return typeof content === 'string' ? content : JSON.stringify(content);
+  }
+  
+  return {
+    name: 'fixture',
+    label: 'Fixture provider',
+    defaultModel: 'fixture',
+    
+    configError() {
+      return null;
+    },
+    
+    async complete(request) {
+      return { content: respond(request.messages), model: request.model || 'fixture', usage: null };
+    },
+    
+    async *stream(request) {
+      const content = respond(request.messages);
+      for (let i = 0; i < content.length; i += 16) {
+        yield content.slice(i, i + 16);
+      }
+    }
+  };
+}
@@ -0,0 +1,115 @@
+import { createOpenAIProvider } from './openai.js';
+import { createFixtureProvider } from './fixture.js';
+
+export * from './errors.js';
+
+// ============================================================================
+// LLM PROVIDERS
+// ============================================================================
+// Every provider exposes the same interface:
+//   name, label, defaultModel
+//   configError()                       -> string | null
+//   complete(request, { signal })       -> { content, model, usage }
+//   stream(request, { signal })         -> async iterable of text chunks
+// where request = { model, temperature, maxTokens, messages, json }.
+// Failures are thrown as the typed errors in ./errors.js.
+
+const factories = {
+  openai: () => createOpenAIProvider({
+    apiKey: process.env.OPENAI_API_KEY,
+    baseURL: process.env.OPENAI_BASE_URL || undefined,
+    defaultModel: 'gpt-4o'
+  }),
+  local: () => createOpenAIProvider({
+    name: 'local',
+    label: 'Local LLM',
+    apiKey: process.env.LOCAL_LLM_API_KEY,
+    baseURL: process.env.LOCAL_LLM_BASE_URL,
+    defaultModel: process.env.LOCAL_LLM_MODEL || 'llama3.1',
+    requireApiKey: false
+  }),
+  fixture: () => createFixtureProvider({ file: process.env.LLM_FIXTURE_FILE })
+};
+
+export const PROVIDER_NAMES = Object.keys(factories);
+
+const providers = new Map();
+
+export function getProvider(name) {
+  if (!factories[name]) {
+    throw new Error(`Unknown LLM provider: ${name}`);
+  }
+  if (!providers.has(name)) {
+    providers.set(name, factories[name]());
+  }
+  return providers.get(name);
+}
+
+const DEFAULT_SETTINGS = {
+  temperature: 0.4,
+  maxTokens: 400
+};
+
+function validateSettings(settings, source) {
+  const problems = [];
+  
+  if (settings.provider !== undefined && !PROVIDER_NAMES.includes(settings.provider)) {
+    problems.push(`provider must be one of ${PROVIDER_NAMES.join(', ')}`);
+  }
+  if (settings.model !== undefined && (typeof settings.model !== 'string' || !settings.model.trim())) {
+    problems.push('model must be a non-empty string');
+  }
+  if (settings.temperature !== undefined && !(typeof settings.temperature === 'number' && settings.temperature >= 0 && settings.temperature <= 2)) {
+    problems.push('temperature must be a number between 0 and 2');
+  }
+  if (settings.maxTokens !== undefined && !(Number.isInteger(settings.maxTokens) && settings.maxTokens > 0 && settings.maxTokens <= 4000)) {
+    problems.push('maxTokens must be an integer between 1 and 4000');
+  }
+  
+  if (problems.length > 0) {
+    throw new Error(`Invalid ${source}: ${problems.join('; ')}`);
+  }
+}
+
+function pickSettings(raw = {}) {
+  const { provider, model, temperature, maxTokens } = raw || {};
+  return Object.fromEntries(
+    Object.entries({ provider, model, temperature, maxTokens }).filter(([, v]) => v !== undefined)
+  );
+}
+
+// What options.llm may set without an admin key - provider, model and
+// maxTokens are the operator's and the dealership's call (cost, data handling)
+const REQUEST_SETTINGS = ['temperature'];
+
+// Resolves generation settings: service defaults (LLM_PROVIDER / LLM_MODEL),
+// then the dealership's `llm` block, then the request's options.llm.
+// A model is only inherited while the provider stays the same. Only admin
+// callers (allowAll) may override more than REQUEST_SETTINGS per request.
+export function resolveGenerationSettings({ dealership, overrides, allowAll = false } = {}) {
+  const envSettings = pickSettings({
+    provider: process.env.LLM_PROVIDER || 'openai',
+    model: process.env.LLM_MODEL || undefined
+  });
+  const dealershipSettings = pickSettings(dealership?.llm);
+  const requestSettings = pickSettings(overrides);
+  
+  validateSettings(dealershipSettings, `llm settings for dealership ${dealership?.id}`);
+  
+  const restricted = Object.keys(requestSettings).filter(key => !REQUEST_SETTINGS.includes(key));
+  if (!allowAll && restricted.length > 0) {
+    throw new Error(`options.llm can only set ${REQUEST_SETTINGS.join(', ')} without an admin key (got ${restricted.join(', ')})`);
+  }
+  validateSettings(requestSettings, 'options.llm');
+  
+  const settings = { ...DEFAULT_SETTINGS };
+  for (const layer of [envSettings, dealershipSettings, requestSettings]) {
+    if (layer.provider && layer.provider !== settings.provider) {
+      delete settings.model;
+    }
+    Object.assign(settings, layer);
+  }
+  
+  const provider = getProvider(settings.provider);
+  return { ...settings, model: settings.model || provider.defaultModel, provider };
+}
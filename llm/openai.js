@@ -0,0 +1,106 @@
+import OpenAI from 'openai';
+import {
+  LLMError,
+  LLMConfigError,
+  LLMAuthError,
+  LLMQuotaError,
+  LLMRateLimitError,
+  LLMUnavailableError,
+  LLMAbortError
+} from './errors.js';
+
+// ============================================================================
+// OPENAI PROVIDER
+// ============================================================================
+// Also used for OpenAI-compatible local servers (vLLM, Ollama, LM Studio...)
+// by passing a baseURL.
+
+function toLLMError(err, provider) {
+  const label = provider.label;
+  
+  if (err instanceof OpenAI.APIUserAbortError) {
+    return new LLMAbortError(undefined, { provider: provider.name, cause: err });
+  }
+  
+  if (err instanceof OpenAI.AuthenticationError) {
+    return new LLMAuthError(`Invalid ${label} API key`, { provider: provider.name, cause: err });
+  }
+  
+  if (err instanceof OpenAI.RateLimitError) {
+    if (err.code === 'insufficient_quota') {
+      return new LLMQuotaError(`${label} quota exceeded - check your billing`, { provider: provider.name, cause: err });
+    }
+    return new LLMRateLimitError(`Rate limited by ${label} - try again in a moment`, { provider: provider.name, cause: err });
+  }
+  
+  if (err instanceof OpenAI.APIConnectionError) {
+    return new LLMUnavailableError(`Could not reach ${label}: ${err.message}`, { provider: provider.name, cause: err });
+  }
+  
+  return new LLMError(err.message || `Unknown error calling ${label}`, { provider: provider.name, cause: err });
+}
+
+export function createOpenAIProvider({ name = 'openai', label = 'OpenAI', apiKey, baseURL, defaultModel, requireApiKey = true }) {
+  const provider = {
+    name,
+    label,
+    defaultModel,
+    
+    configError() {
+      if (requireApiKey && !apiKey) return `${label} API key not configured`;
+      if (!requireApiKey && !baseURL) return `${label} base URL not configured`;
+      return null;
+    }
+  };
+  
+  let client = null;
+  
+  function getClient() {
+    const problem = provider.configError();
+    if (problem) {
+      throw new LLMConfigError(problem, { provider: name });
+    }
+    if (!client) {
+      // Local servers usually ignore the key, but the SDK insists on one
+      client = new OpenAI({ apiKey: apiKey || 'not-needed', baseURL });
+    }
+    return client;
+  }
+  
+  function buildParams({ model, temperature, maxTokens, messages, json }) {
+    return {
+      model: model || defaultModel,
+      temperature,
+      max_tokens: maxTokens,
+      ...(json && { response_format: { type: 'json_object' } }),
+      messages
+    };
+  }
+  
+  provider.complete = async function complete(request, { signal } = {}) {
+    try {
+      const completion = await getClient().chat.completions.create(buildParams(request), { signal });
+      return {
+        content: completion.choices?.[0]?.message?.content || '',
+        model: completion.model || request.model,
+        usage: completion.usage || null
+      };
+    } catch (err) {
+      throw err instanceof LLMError ? err : toLLMError(err, provider);
+    }
+  };
+  
+  provider.stream = async function* stream(request, { signal } = {}) {
+    try {
+      const chunks = await getClient().chat.completions.create({ ...buildParams(request), stream: true }, { signal });
+      for await (const chunk of chunks) {
+        const text = chunk.choices?.[0]?.delta?.content;
+        if (text) yield text;
+      }
+    } catch (err) {
+      throw err instanceof LLMError ? err : toLLMError(err, provider);
+    }
+  };
+  
+  return provider;
+}
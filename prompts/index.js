@@ -0,0 +1,382 @@
+import { createHash } from 'crypto';
+import { pool } from '../db/index.js';
+import { CHANNELS } from '../channels/index.js';
+
+// ============================================================================
+// PROMPT TEMPLATES
+// ============================================================================
+// Prompts are versioned templates in prompt_templates. A version is never
+// edited - saving a change adds the next version - and prompt_deployments says
+// which version is live. A second "candidate" version can take a share of the
+// traffic (candidatePercent) to A/B test it against the active one; every
+// suggestion records the template and version that produced it.
+//
+// Templates use {{placeholders}}. The built-in variables (dealership name,
+// brand, tone notes, channel rules...) are filled in per request; a version
+// can define its own variables too, either as a string or per channel:
+//   { "closingLine": "Talk soon!", "example": { "sms": "...", "default": "..." } }
+// Of the built-ins only `example` may be overridden this way.
+//
+// The first time a template is used its built-in text below is saved as
+// version 1 and made active. Later edits to the built-in text don't reach the
+// database - publish them as a new version.
+
+export const REPLY_TEMPLATE = 'reply_system';
+
+const REPLY_SYSTEM_DEFAULT = `You are an AI assistant for {{dealershipName}}, {{dealershipDescription}} helping BDC representatives craft professional, engaging {{channel}} replies.
+{{dealershipDetails}}
+YOUR ROLE:
+{{role}}
+{{languageSection}}
+CRITICAL RULES FOR EVERY REPLY:
+1. **Acknowledge specific customer concerns** - Reference what they actually said (payment constraints, timing concerns, specific questions)
+2. **Reference conversation timing** - If they mentioned an appointment, service visit, or deadline, work that into the reply naturally
+3. **Suggest a concrete next step** - Always end with a clear, low-pressure action (schedule call, get trade value, review numbers during appointment)
+4. **Match their tone** - If formal, be professional. If casual, be friendly but still professional
+5. **Keep it concise** - {{lengthRule}}
+6. **NEVER invent numbers** - No prices, payments, trade values, or financial specifics unless already provided in the conversation. Stock numbers listed under IN-STOCK VEHICLES are real and may be mentioned - never mention any other stock number
+7. **Be consultative, not pushy** - Use phrases like "Would you be open to...", "Let me check if...", "No pressure at all..."
+
+STRUCTURE FOR {{channelUpper}} (follow this pattern):
+{{structure}}
+
+TONE GUIDELINES:
+✅ Warm, helpful, conversational
+✅ Professional but approachable
+✅ Use "I" and "you" (personal connection)
+✅ Low-pressure, consultative approach
+❌ No corporate jargon or buzzwords
+❌ No pushy sales language
+❌ No generic template phrases
+
+EXAMPLE ({{channel}} about a lease buyout inquiry):
+"{{example}}"
+
+RESPONSE FORMAT:
+{{responseFormat}}`;
+
+export const TEMPLATES = {
+  [REPLY_TEMPLATE]: {
+    description: 'System prompt for /agent/reply and /agent/reply/stream',
+    body: REPLY_SYSTEM_DEFAULT,
+    builtins: {
+      dealershipName: 'Dealership name',
+      dealershipDescription: '"a Chevrolet dealership", or "a dealership" without a brand',
+      brand: 'Dealership brand (empty if not set)',
+      toneNotes: 'The dealership\'s tone notes (empty if not set)',
+      dealershipDetails: 'DEALERSHIP DETAILS block - address, phone, hours and tone notes (empty if none are set)',
+      channel: 'Channel noun - email, text message or chat',
+      channelUpper: 'Channel noun in capitals',
+      role: 'What to generate - one reply or the requested variants',
+      languageSection: 'LANGUAGE block for non-English replies (empty for English)',
+      lengthRule: 'The channel\'s length rule',
+      structure: 'The channel\'s structure rules as a bulleted list',
+      example: 'The channel\'s example reply',
+      responseFormat: 'The JSON the reply is parsed from - required'
+    },
+    required: ['responseFormat'],
+    overridable: ['example']
+  }
+};
+
+const PLACEHOLDER = /\{\{\s*([A-Za-z]\w*)\s*\}\}/g;
+const VARIABLE_NAME = /^[A-Za-z]\w*$/;
+const MAX_BODY = 20000;
+const MAX_NOTES = 500;
+
+// Deployments are cached briefly so every reply isn't a query; a change made
+// by another process takes effect within this window. Versions never change,
+// so they are cached for good.
+const CACHE_TTL_MS = 30 * 1000;
+
+const deploymentCache = new Map();
+const versionCache = new Map();
+
+const VERSION_COLUMNS = 'name, version, body, variables, notes, api_key_id, created_at';
+const DEPLOYMENT_COLUMNS = 'name, active_version, candidate_version, candidate_percent, api_key_id, updated_at';
+
+function toVersion(row) {
+  return {
+    name: row.name,
+    version: row.version,
+    body: row.body,
+    variables: row.variables || {},
+    notes: row.notes,
+    apiKeyId: row.api_key_id,
+    createdAt: row.created_at
+  };
+}
+
+function toDeployment(row) {
+  return {
+    name: row.name,
+    activeVersion: row.active_version,
+    candidateVersion: row.candidate_version,
+    candidatePercent: row.candidate_percent,
+    apiKeyId: row.api_key_id,
+    updatedAt: row.updated_at
+  };
+}
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+// The names used as {{placeholders}} in a template body
+export function templateVariables(body) {
+  return [...new Set([...String(body).matchAll(PLACEHOLDER)].map(match => match[1]))];
+}
+
+function variableValue(value, channelId) {
+  if (typeof value === 'string') return value;
+  return value?.[channelId] ?? value?.default ?? null;
+}
+
+// Fills the placeholders from the request's built-in values and the version's
+// own variables. Anything without a value renders as an empty string.
+export function renderPrompt(template, builtins, channelId) {
+  const values = { ...builtins };
+  for (const [key, value] of Object.entries(template.variables || {})) {
+    const resolved = variableValue(value, channelId);
+    if (resolved !== null) values[key] = resolved;
+  }
+  return template.body.replace(PLACEHOLDER, (_, key) => values[key] ?? '');
+}
+
+// The template as it ships in code - used when the database can't be read
+export function builtinTemplate(name) {
+  return { name, version: null, body: TEMPLATES[name].body, variables: {}, variant: 'builtin' };
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+function checkVariables(definition, variables) {
+  if (variables === undefined || variables === null) return {};
+  if (typeof variables !== 'object' || Array.isArray(variables)) {
+    throw new Error('variables must be an object');
+  }
+
+  const keys = [...CHANNELS, 'default'];
+  for (const [key, value] of Object.entries(variables)) {
+    if (!VARIABLE_NAME.test(key)) {
+      throw new Error(`variables.${key} is not a valid name - use letters, digits and underscores`);
+    }
+    if (definition.builtins[key] && !definition.overridable.includes(key)) {
+      throw new Error(`variables.${key} is a built-in variable and can't be set`);
+    }
+    const perChannel = value && typeof value === 'object' && !Array.isArray(value)
+      && Object.entries(value).every(([k, v]) => keys.includes(k) && typeof v === 'string');
+    if (typeof value !== 'string' && !perChannel) {
+      throw new Error(`variables.${key} must be a string or an object of strings keyed by ${keys.join(', ')}`);
+    }
+  }
+  return variables;
+}
+
+// Checks { body, variables, notes } for a new version of a template; throws
+// with a message fit for a 400
+export function parsePromptVersionRequest(name, request = {}) {
+  const definition = TEMPLATES[name];
+  if (!definition) {
+    throw new Error(`Unknown prompt template: ${name}`);
+  }
+
+  const body = typeof request.body === 'string' ? request.body.trim() : '';
+  if (!body || body.length > MAX_BODY) {
+    throw new Error(`body is required (up to ${MAX_BODY} characters)`);
+  }
+
+  const variables = checkVariables(definition, request.variables);
+  const used = templateVariables(body);
+
+  const unknown = used.filter(key => !definition.builtins[key] && !(key in variables));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown variable(s) in body: ${unknown.map(key => `{{${key}}}`).join(', ')} - define them in variables`);
+  }
+  const missing = definition.required.filter(key => !used.includes(key));
+  if (missing.length > 0) {
+    throw new Error(`body must include ${missing.map(key => `{{${key}}}`).join(', ')}`);
+  }
+
+  if (request.notes !== undefined && request.notes !== null
+    && (typeof request.notes !== 'string' || request.notes.length > MAX_NOTES)) {
+    throw new Error(`notes must be a string (up to ${MAX_NOTES} characters)`);
+  }
+
+  return { body, variables, notes: request.notes?.trim() || null };
+}
+
+function parseVersionNumber(value, field) {
+  const number = Number(value);
+  if (value === '' || value === null || !Number.isInteger(number) || number < 1) {
+    throw new Error(`${field} must be a version number`);
+  }
+  return number;
+}
+
+// Checks { activeVersion, candidateVersion, candidatePercent }. Leaving out
+// the candidate ends any running test. Throws with a message fit for a 400.
+export function parsePromptDeploymentRequest(request = {}) {
+  const activeVersion = parseVersionNumber(request.activeVersion, 'activeVersion');
+
+  if (request.candidateVersion === undefined || request.candidateVersion === null) {
+    if (request.candidatePercent !== undefined && request.candidatePercent !== null && Number(request.candidatePercent) !== 0) {
+      throw new Error('candidatePercent needs a candidateVersion');
+    }
+    return { activeVersion, candidateVersion: null, candidatePercent: 0 };
+  }
+
+  const candidateVersion = parseVersionNumber(request.candidateVersion, 'candidateVersion');
+  if (candidateVersion === activeVersion) {
+    throw new Error('candidateVersion must differ from activeVersion');
+  }
+
+  const candidatePercent = Number(request.candidatePercent);
+  if (!Number.isInteger(candidatePercent) || candidatePercent < 0 || candidatePercent > 100) {
+    throw new Error('candidatePercent must be a whole number from 0 to 100');
+  }
+
+  return { activeVersion, candidateVersion, candidatePercent };
+}
+
+// ============================================================================
+// VERSIONS AND DEPLOYMENTS
+// ============================================================================
+
+async function seedTemplate(name) {
+  const seeded = await pool.query(`
+    INSERT INTO prompt_templates (name, version, body, notes)
+    VALUES ($1, 1, $2, 'Built-in default')
+    ON CONFLICT (name, version) DO NOTHING
+  `, [name, TEMPLATES[name].body]);
+
+  await pool.query(`
+    INSERT INTO prompt_deployments (name, active_version)
+    VALUES ($1, 1)
+    ON CONFLICT (name) DO NOTHING
+  `, [name]);
+
+  if (seeded.rowCount > 0) {
+    console.log(`[Prompts] 🌱 Saved the built-in ${name} as version 1`);
+  }
+}
+
+// The live deployment, seeding version 1 the first time
+export async function getPromptDeployment(name) {
+  const query = () => pool.query(`SELECT ${DEPLOYMENT_COLUMNS} FROM prompt_deployments WHERE name = $1`, [name]);
+
+  let result = await query();
+  if (!result.rows[0]) {
+    await seedTemplate(name);
+    result = await query();
+  }
+  return toDeployment(result.rows[0]);
+}
+
+export async function getPromptVersion(name, version) {
+  const result = await pool.query(`
+    SELECT ${VERSION_COLUMNS} FROM prompt_templates WHERE name = $1 AND version = $2
+  `, [name, version]);
+  return result.rows[0] ? toVersion(result.rows[0]) : null;
+}
+
+// Every version of a template, newest first, without the bodies
+export async function listPromptVersions(name) {
+  const result = await pool.query(`
+    SELECT ${VERSION_COLUMNS} FROM prompt_templates WHERE name = $1 ORDER BY version DESC
+  `, [name]);
+  return result.rows.map(row => {
+    const { body, ...version } = toVersion(row);
+    return version;
+  });
+}
+
+// Saves the next version. It isn't served until a deployment points at it.
+export async function createPromptVersion(name, { body, variables, notes }, apiKeyId = null) {
+  await getPromptDeployment(name);
+
+  const result = await pool.query(`
+    INSERT INTO prompt_templates (name, version, body, variables, notes, api_key_id)
+    SELECT $1::varchar, COALESCE(MAX(version), 0) + 1, $2, $3, $4, $5
+    FROM prompt_templates WHERE name = $1::varchar
+    RETURNING ${VERSION_COLUMNS}
+  `, [name, body, JSON.stringify(variables), notes, apiKeyId]);
+
+  console.log(`[Prompts] 📝 Saved ${name} version ${result.rows[0].version}`);
+  return toVersion(result.rows[0]);
+}
+
+export async function setPromptDeployment(name, { activeVersion, candidateVersion, candidatePercent }, apiKeyId = null) {
+  const result = await pool.query(`
+    INSERT INTO prompt_deployments (name, active_version, candidate_version, candidate_percent, api_key_id, updated_at)
+    VALUES ($1, $2, $3, $4, $5, NOW())
+    ON CONFLICT (name) DO UPDATE SET
+      active_version = EXCLUDED.active_version,
+      candidate_version = EXCLUDED.candidate_version,
+      candidate_percent = EXCLUDED.candidate_percent,
+      api_key_id = EXCLUDED.api_key_id,
+      updated_at = NOW()
+    RETURNING ${DEPLOYMENT_COLUMNS}
+  `, [name, activeVersion, candidateVersion, candidatePercent, apiKeyId]);
+
+  deploymentCache.delete(name);
+  console.log(`[Prompts] 🚀 ${name} now serves version ${activeVersion}${candidateVersion ? ` with ${candidatePercent}% on version ${candidateVersion}` : ''}`);
+  return toDeployment(result.rows[0]);
+}
+
+// ============================================================================
+// SELECTION
+// ============================================================================
+
+async function cachedDeployment(name) {
+  const cached = deploymentCache.get(name);
+  if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) {
+    return cached.deployment;
+  }
+  const deployment = await getPromptDeployment(name);
+  deploymentCache.set(name, { deployment, loadedAt: Date.now() });
+  return deployment;
+}
+
+async function cachedVersion(name, version) {
+  const key = `${name}:${version}`;
+  if (!versionCache.has(key)) {
+    const template = await getPromptVersion(name, version);
+    if (!template) return null;
+    versionCache.set(key, template);
+  }
+  return versionCache.get(key);
+}
+
+// 0-99. The same split key always lands in the same bucket for a given
+// candidate, so a conversation keeps the version it started with; requests
+// without a key are split at random.
+export function splitBucket(name, candidateVersion, splitKey) {
+  if (!splitKey) {
+    return Math.floor(Math.random() * 100);
+  }
+  return createHash('sha256').update(`${name}:${candidateVersion}:${splitKey}`).digest().readUInt32BE(0) % 100;
+}
+
+// The version to serve a request - the candidate for candidatePercent of the
+// split keys, otherwise the active version. Never throws: if the templates
+// can't be read the built-in template is used, recorded with no version.
+export async function selectPromptVersion(name, splitKey = null) {
+  try {
+    const deployment = await cachedDeployment(name);
+    const candidate = deployment.candidateVersion !== null
+      && splitBucket(name, deployment.candidateVersion, splitKey) < deployment.candidatePercent;
+    const version = candidate ? deployment.candidateVersion : deployment.activeVersion;
+
+    const template = await cachedVersion(name, version);
+    if (template) {
+      return { ...template, variant: candidate ? 'candidate' : 'active' };
+    }
+    console.warn(`[Prompts] ⚠️  ${name} version ${version} not found, using the built-in template`);
+  } catch (err) {
+    console.warn(`[Prompts] ⚠️  Could not load ${name}, using the built-in template:`, err.message);
+  }
+  return builtinTemplate(name);
+}
@@ -0,0 +1,42 @@
+import puppeteer from 'puppeteer';
+
+// ============================================================================
+// BROWSER
+// ============================================================================
+
+export const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+export async function launchBrowser() {
+  return puppeteer.launch({
+    headless: 'new',
+    executablePath: process.env.PUPPETEER_EXECUTABLE_PATH || '/usr/bin/chromium-browser',
+    args: [
+      '--no-sandbox',
+      '--disable-setuid-sandbox',
+      '--disable-dev-shm-usage',
+      '--disable-gpu',
+      '--disable-software-rasterizer',
+      '--disable-extensions',
+      '--no-first-run',
+      '--disable-default-apps'
+    ]
+  });
+}
+
+export async function openPage(browser) {
+  const page = await browser.newPage();
+  await page.setViewport({ width: 1920, height: 1080 });
+  
+  // Set a reasonable default timeout
+  page.setDefaultTimeout(60000);
+  return page;
+}
+
+// First selector in the list that matches something on the page
+export async function findFirst(page, selectors) {
+  for (const selector of selectors) {
+    const element = await page.$(selector).catch(() => null);
+    if (element) return element;
+  }
+  return null;
+}
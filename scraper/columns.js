@@ -0,0 +1,128 @@
+// ============================================================================
+// INVENTORY GRID COLUMNS
+// ============================================================================
+// The VIN Solutions grid's column order depends on each user's saved layout,
+// so columns are mapped by header text instead of position. The scraper
+// profile's grid.columns lists, per field, the header spellings seen in the
+// wild, normalized to lowercase letters and digits only ("Stock #" → "stock",
+// "Ext. Color" → "extcolor"). "year_make" is the combined "24 Chevrolet" cell.
+
+export function normalizeHeader(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Share of a header taken up by an alias that matches whole words of it:
+// "Internet Price ($)" scores 1 for "internetprice" and 0.5 for "price", and
+// an alias found only inside a longer word ("lot" in "Location") scores 0.
+function partialScore(text, alias) {
+  const words = String(text || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+  const length = words.join('').length;
+
+  for (let start = 0; start < words.length; start++) {
+    let run = '';
+    for (let end = start; end < words.length && run.length < alias.length; end++) {
+      run += words[end];
+      if (run === alias) return alias.length / length;
+    }
+  }
+  return 0;
+}
+
+// Returns { field: columnIndex } for every header that names a known field.
+// Exact alias matches win. Otherwise an alias must match whole words making up
+// most of the header ("Internet Price ($)"), so "Lot Age" doesn't become the
+// location; the best-scoring header/field pairs are taken first. A column and
+// a field are each claimed at most once.
+export function mapColumns(headers, aliasesByField) {
+  const normalized = headers.map(normalizeHeader);
+  const map = {};
+
+  normalized.forEach((header, index) => {
+    if (!header) return;
+
+    for (const [field, aliases] of Object.entries(aliasesByField)) {
+      if (field in map) continue;
+      if (aliases.includes(header)) {
+        map[field] = index;
+        break;
+      }
+    }
+  });
+
+  const candidates = [];
+  headers.forEach((text, index) => {
+    if (!normalized[index] || Object.values(map).includes(index)) return;
+
+    for (const [field, aliases] of Object.entries(aliasesByField)) {
+      if (field in map) continue;
+      const score = Math.max(0, ...aliases.map(alias => partialScore(text, alias)));
+      if (score > 0.5) candidates.push({ field, index, score });
+    }
+  });
+
+  // Stable sort, so ties keep header order and then field order
+  candidates.sort((a, b) => b.score - a.score);
+  for (const { field, index } of candidates) {
+    if (field in map || Object.values(map).includes(index)) continue;
+    map[field] = index;
+  }
+
+  // A combined cell already covers both
+  if ('year_make' in map) {
+    delete map.year;
+    delete map.make;
+  }
+
+  return map;
+}
+
+function parseYear(text) {
+  const year = parseInt(text, 10);
+  if (!year || isNaN(year)) return null;
+  return year < 100 ? 2000 + year : year; // "24" → 2024
+}
+
+// Parse year and make from "24 Chevrolet" or "2024 Chevrolet" format
+export function parseYearMake(text) {
+  const parts = String(text || '').trim().split(/\s+/);
+  if (parts.length < 2) {
+    return { year: null, make: '' };
+  }
+
+  return { year: parseYear(parts[0]), make: parts.slice(1).join(' ') };
+}
+
+// "$42,195", "12,034 mi" → numbers; blanks and "Call" → null
+export function parseNumber(text, { integer = false } = {}) {
+  const cleaned = String(text || '').replace(/[^0-9.]/g, '');
+  if (!cleaned) return null;
+
+  const value = integer ? parseInt(cleaned, 10) : Number(cleaned);
+  return Number.isFinite(value) ? value : null;
+}
+
+// Turns one row of cell texts into an inventory record. Only fields the grid
+// actually has a column for are set, so the sync never blanks a value just
+// because the grid layout leaves that column out.
+export function parseRow(cells, columns) {
+  const cell = field => (field in columns ? (cells[columns[field]] || '').trim() : undefined);
+  const vehicle = { stock_number: cell('stock_number') || '', status: 'available' };
+
+  if ('year_make' in columns) {
+    Object.assign(vehicle, parseYearMake(cell('year_make')));
+  } else {
+    if ('year' in columns) vehicle.year = parseYear(cell('year'));
+    if ('make' in columns) vehicle.make = cell('make');
+  }
+
+  for (const field of ['model', 'trim', 'body_style', 'engine', 'transmission', 'exterior_color', 'interior_color', 'location']) {
+    if (field in columns) vehicle[field] = cell(field) || null;
+  }
+
+  if ('vin' in columns) vehicle.vin = cell('vin') || null;
+  if ('mileage' in columns) vehicle.mileage = parseNumber(cell('mileage'), { integer: true });
+  if ('price_msrp' in columns) vehicle.price_msrp = parseNumber(cell('price_msrp'));
+  if ('price_internet' in columns) vehicle.price_internet = parseNumber(cell('price_internet'));
+
+  return vehicle;
+}
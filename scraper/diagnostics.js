@@ -0,0 +1,325 @@
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { format } from 'util';
+import { gzipSync } from 'zlib';
+import { AsyncLocalStorage } from 'async_hooks';
+
+// ============================================================================
+// SCRAPE DIAGNOSTICS
+// ============================================================================
+// Every scrape records a diagnostics bundle as it goes: a screenshot and the
+// page HTML at each step, the frame URLs on the page, the scraper's and the
+// browser's console output, and how long each stage took. Successful runs
+// throw theirs away; a failed run keeps it under its own ID (the sync job
+// id) in SCRAPER_DIAGNOSTICS_DIR:
+//   <id>/manifest.json   outcome, error, stage timings, steps and frame URLs
+//   <id>/console.log     scraper + browser console lines
+//   <id>/NN-<step>.png / .html / -frame.html
+// Bundles older than SCRAPER_DIAGNOSTICS_RETENTION_DAYS are deleted, and only
+// the newest SCRAPER_DIAGNOSTICS_MAX_BUNDLES are kept.
+// SCRAPER_DIAGNOSTICS=false turns recording off.
+
+const MAX_CONSOLE_LINES = 5000;
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,100}$/;
+
+function diagnosticsDir() {
+  return path.resolve(process.env.SCRAPER_DIAGNOSTICS_DIR || path.join(os.tmpdir(), 'vin-agent-diagnostics'));
+}
+
+function enabled() {
+  return process.env.SCRAPER_DIAGNOSTICS !== 'false';
+}
+
+function bundlePath(id) {
+  if (!ID_PATTERN.test(String(id))) {
+    throw new Error(`Invalid diagnostics id: ${id}`);
+  }
+  return path.join(diagnosticsDir(), String(id));
+}
+
+// ============================================================================
+// CONSOLE CAPTURE
+// ============================================================================
+// Several dealerships can sync at once, so console output is routed to the
+// recorder of whichever run is executing (AsyncLocalStorage) rather than to
+// one global log.
+
+const activeRecorder = new AsyncLocalStorage();
+let consolePatched = false;
+
+function patchConsole() {
+  if (consolePatched) return;
+  consolePatched = true;
+
+  for (const level of ['log', 'info', 'warn', 'error']) {
+    const original = console[level].bind(console);
+    console[level] = (...args) => {
+      activeRecorder.getStore()?.log(level, format(...args));
+      original(...args);
+    };
+  }
+}
+
+// ============================================================================
+// RECORDER
+// ============================================================================
+
+// A recorder that does nothing, for when diagnostics are off
+const NOOP_RECORDER = {
+  id: null,
+  run: fn => fn(),
+  log() {},
+  stage() {},
+  watchPage() {},
+  capture: async () => {},
+  save: async () => null,
+  discard: async () => {}
+};
+
+// meta ({ dealershipId, profile, dryRun }) is copied into the manifest
+export function createDiagnostics(id, meta = {}) {
+  if (!enabled() || !id) return NOOP_RECORDER;
+
+  patchConsole();
+
+  const dir = bundlePath(id);
+  const startedAt = new Date();
+  const consoleLines = [];
+  const timings = [];
+  const steps = [];
+  let droppedLines = 0;
+
+  try {
+    fs.rmSync(dir, { recursive: true, force: true });
+    fs.mkdirSync(dir, { recursive: true });
+  } catch (error) {
+    console.warn(`⚠️  Diagnostics disabled for this run - cannot write ${dir}:`, error.message);
+    return NOOP_RECORDER;
+  }
+
+  const recorder = {
+    id,
+
+    // Runs fn with console output routed to this bundle
+    run: fn => activeRecorder.run(recorder, fn),
+
+    log(level, message) {
+      if (consoleLines.length >= MAX_CONSOLE_LINES) {
+        droppedLines++;
+        return;
+      }
+      consoleLines.push(`${new Date().toISOString()} [${level}] ${message}`);
+    },
+
+    // Stage changes become timings: each entry lasts until the next one
+    stage(name) {
+      const now = Date.now();
+      const previous = timings[timings.length - 1];
+      if (previous && previous.stage === name) return;
+      if (previous) previous.ms = now - Date.parse(previous.at);
+      timings.push({ stage: name, at: new Date(now).toISOString(), ms: null });
+    },
+
+    // Browser-side console messages and uncaught page errors
+    watchPage(page) {
+      page.on('console', message => recorder.log(`browser:${message.type()}`, message.text()));
+      page.on('pageerror', error => recorder.log('browser:pageerror', error.message));
+      page.on('requestfailed', request => {
+        recorder.log('browser:requestfailed', `${request.failure()?.errorText || 'failed'} ${request.url()}`);
+      });
+    },
+
+    // Screenshot, HTML and frame URLs of the page right now. Never throws - a
+    // closed or crashed page just leaves a note in the step.
+    async capture(page, step, { frame } = {}) {
+      const prefix = `${String(steps.length + 1).padStart(2, '0')}-${step}`;
+      const entry = { step, at: new Date().toISOString(), url: null, frames: [], files: [], errors: [] };
+      steps.push(entry);
+
+      const attempt = async (what, fn) => {
+        try {
+          await fn();
+        } catch (error) {
+          entry.errors.push(`${what}: ${error.message}`);
+        }
+      };
+
+      await attempt('url', async () => {
+        entry.url = page.url();
+        entry.frames = page.frames().map(f => ({ name: f.name() || null, url: f.url() }));
+      });
+      await attempt('screenshot', async () => {
+        await page.screenshot({ path: path.join(dir, `${prefix}.png`), fullPage: true });
+        entry.files.push(`${prefix}.png`);
+      });
+      await attempt('html', async () => {
+        fs.writeFileSync(path.join(dir, `${prefix}.html`), await page.content());
+        entry.files.push(`${prefix}.html`);
+      });
+      if (frame) {
+        await attempt('frame html', async () => {
+          fs.writeFileSync(path.join(dir, `${prefix}-frame.html`), await frame.content());
+          entry.files.push(`${prefix}-frame.html`);
+        });
+      }
+    },
+
+    // Keeps the bundle. Returns the manifest, or null if it couldn't be written.
+    async save({ error, result } = {}) {
+      recorder.stage('done');
+      const finishedAt = new Date();
+
+      try {
+        if (droppedLines > 0) {
+          consoleLines.push(`... ${droppedLines} more line(s) not recorded`);
+        }
+        fs.writeFileSync(path.join(dir, 'console.log'), consoleLines.join('\n') + '\n');
+
+        const manifest = {
+          id,
+          ...meta,
+          startedAt: startedAt.toISOString(),
+          finishedAt: finishedAt.toISOString(),
+          durationMs: finishedAt - startedAt,
+          error: error
+            ? { message: error.message, code: typeof error.code === 'string' ? error.code : null }
+            : { message: result?.error || 'Sync reported failure', code: null },
+          timings: timings.slice(0, -1),
+          steps,
+          files: ['manifest.json', 'console.log', ...steps.flatMap(s => s.files)]
+        };
+        fs.writeFileSync(path.join(dir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+
+        console.log(`🧾 Saved diagnostics bundle ${id} (${steps.length} step(s))`);
+        cleanupDiagnostics().catch(err => console.warn('⚠️  Diagnostics cleanup failed:', err.message));
+        return manifest;
+      } catch (saveError) {
+        console.warn('⚠️  Could not save diagnostics bundle:', saveError.message);
+        return null;
+      }
+    },
+
+    async discard() {
+      try {
+        fs.rmSync(dir, { recursive: true, force: true });
+      } catch (error) {
+        console.warn('⚠️  Could not remove diagnostics:', error.message);
+      }
+    }
+  };
+
+  return recorder;
+}
+
+// ============================================================================
+// STORED BUNDLES
+// ============================================================================
+
+function readManifest(id) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(bundlePath(id), 'manifest.json'), 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+// Bundle summaries, newest first. Runs still recording have no manifest yet
+// and are left out.
+export function listDiagnostics({ dealershipId } = {}) {
+  const dir = diagnosticsDir();
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir)
+    .filter(id => ID_PATTERN.test(id))
+    .map(readManifest)
+    .filter(manifest => manifest && (!dealershipId || manifest.dealershipId === dealershipId))
+    .sort((a, b) => b.finishedAt.localeCompare(a.finishedAt))
+    .map(({ steps, timings, ...summary }) => ({ ...summary, steps: steps.length }));
+}
+
+export function getDiagnostics(id) {
+  if (!ID_PATTERN.test(String(id))) return null;
+  return readManifest(id);
+}
+
+// Absolute path of one file in a bundle, or null if the manifest doesn't list it
+export function getDiagnosticsFile(id, name) {
+  const manifest = getDiagnostics(id);
+  if (!manifest || !manifest.files.includes(name)) return null;
+  return path.join(bundlePath(id), name);
+}
+
+// Minimal ustar writer - enough for a flat directory of small files
+function tarEntry(name, data, mtime) {
+  const header = Buffer.alloc(512);
+  header.write(name, 0, 100);
+  header.write('0000644\0', 100);
+  header.write('0000000\0', 108);
+  header.write('0000000\0', 116);
+  header.write(data.length.toString(8).padStart(11, '0') + '\0', 124);
+  header.write(Math.floor(mtime / 1000).toString(8).padStart(11, '0') + '\0', 136);
+  header.write('        ', 148);
+  header.write('0', 156);
+  header.write('ustar\0' + '00', 257);
+
+  let checksum = 0;
+  for (const byte of header) checksum += byte;
+  header.write(checksum.toString(8).padStart(6, '0') + '\0 ', 148);
+
+  const padding = Buffer.alloc((512 - (data.length % 512)) % 512);
+  return [header, data, padding];
+}
+
+// The whole bundle as a .tar.gz, files under "<id>/"
+export function archiveDiagnostics(id) {
+  const manifest = getDiagnostics(id);
+  if (!manifest) return null;
+
+  const dir = bundlePath(id);
+  const parts = manifest.files
+    .filter(name => fs.existsSync(path.join(dir, name)))
+    .flatMap(name => {
+      const file = path.join(dir, name);
+      return tarEntry(`${id}/${name}`, fs.readFileSync(file), fs.statSync(file).mtimeMs);
+    });
+
+  return gzipSync(Buffer.concat([...parts, Buffer.alloc(1024)]));
+}
+
+export function hasDiagnostics(id) {
+  return getDiagnostics(id) !== null;
+}
+
+// Deletes bundles past the retention window, then the oldest beyond the cap.
+// Unfinished bundles left by a crash only go once they're past retention.
+export async function cleanupDiagnostics({ now = Date.now() } = {}) {
+  const dir = diagnosticsDir();
+  if (!fs.existsSync(dir)) return 0;
+
+  const retentionDays = Number(process.env.SCRAPER_DIAGNOSTICS_RETENTION_DAYS || 7);
+  const maxBundles = Number(process.env.SCRAPER_DIAGNOSTICS_MAX_BUNDLES || 50);
+  const cutoff = now - retentionDays * 24 * 60 * 60 * 1000;
+
+  const bundles = fs.readdirSync(dir)
+    .filter(id => ID_PATTERN.test(id))
+    .map(id => ({ id, manifest: readManifest(id), mtime: fs.statSync(path.join(dir, id)).mtimeMs }));
+
+  const finished = bundles
+    .filter(b => b.manifest)
+    .sort((a, b) => b.manifest.finishedAt.localeCompare(a.manifest.finishedAt));
+
+  const expired = new Set([
+    ...bundles.filter(b => (b.manifest ? Date.parse(b.manifest.finishedAt) : b.mtime) < cutoff),
+    ...finished.slice(maxBundles)
+  ]);
+
+  for (const bundle of expired) {
+    fs.rmSync(path.join(dir, bundle.id), { recursive: true, force: true });
+  }
+
+  if (expired.size > 0) {
+    console.log(`🧹 Removed ${expired.size} old diagnostics bundle(s)`);
+  }
+  return expired.size;
+}
@@ -0,0 +1,124 @@
+import { sleep } from './browser.js';
+
+// ============================================================================
+// FRAME DISCOVERY
+// ============================================================================
+// The inventory grid renders inside an iframe that shows up some time after
+// the hash change. Polls every frame on the page for a table big enough to
+// be the grid (profile.frame.minCells); throws with debug output if none
+// appears within profile.frame.maxAttempts tries (the screenshot is taken by
+// the run's diagnostics bundle).
+
+export async function findInventoryFrame(page, profile, { onAttempt } = {}) {
+  console.log('📊 Looking for iframe with inventory table...');
+  
+  // ============================================
+  // OPTION 3: DYNAMIC IFRAME WAITING
+  // Keep checking every frame.pollMs for frame.maxAttempts tries
+  // ============================================
+  
+  let inventoryFrame = null;
+  const { maxAttempts, pollMs, minCells, skipUrlPatterns } = profile.frame;
+  const waitedSeconds = Math.round(maxAttempts * pollMs / 1000);
+  let attempt = 0;
+  
+  while (!inventoryFrame && attempt < maxAttempts) {
+    attempt++;
+    console.log(`🔄 Attempt ${attempt}/${maxAttempts}: Searching for inventory iframe...`);
+    onAttempt?.(attempt, maxAttempts);
+    
+    // Wait for any iframe to exist
+    try {
+      await page.waitForSelector('iframe', { timeout: 5000 });
+    } catch (err) {
+      console.log(`  ⏳ No iframes found yet, waiting...`);
+      await sleep(pollMs);
+      continue;
+    }
+    
+    // Get all frames
+    const frames = page.frames();
+    console.log(`  🔍 Found ${frames.length} frame(s) on page`);
+    
+    // Check each frame for the inventory table
+    for (const frame of frames) {
+      const frameUrl = frame.url();
+      
+      // Skip signin/auth frames - we want the app frame
+      if (skipUrlPatterns.some(pattern => frameUrl.includes(pattern))) {
+        console.log(`  ⏭️  Skipping signin frame`);
+        continue;
+      }
+      
+      console.log(`  🔎 Checking frame: ${frameUrl.substring(0, 80)}...`);
+      
+      try {
+        // Check if this frame contains a table
+        const hasTable = await frame.$('table');
+        
+        if (hasTable) {
+          // Count cells to verify it's the inventory table
+          const cellCount = await frame.evaluate(() => {
+            const cells = document.querySelectorAll('table td');
+            return cells.length;
+          });
+          
+          console.log(`     📊 Found table with ${cellCount} cells`);
+          
+          // Inventory table should have many cells (>50 for just a few vehicles)
+          if (cellCount > minCells) {
+            console.log(`  ✅ Found inventory table in frame!`);
+            inventoryFrame = frame;
+            break;
+          } else {
+            console.log(`     ⚠️  Table too small, likely not inventory table`);
+          }
+        } else {
+          console.log(`     ℹ️  No table found in this frame`);
+        }
+      } catch (err) {
+        // Frame might not be accessible or still loading
+        console.log(`     ⚠️  Could not access frame: ${err.message}`);
+      }
+    }
+    
+    // If we found the frame, exit the loop
+    if (inventoryFrame) {
+      break;
+    }
+    
+    // Wait before next attempt
+    console.log(`  ⏳ Inventory iframe not found, waiting ${pollMs / 1000} seconds...`);
+    await sleep(pollMs);
+  }
+  
+  // Check if we found the frame
+  if (!inventoryFrame) {
+    console.error(`❌ Could not find inventory iframe after ${waitedSeconds} seconds`);
+    console.error('💡 The page may need more time to load, or the structure has changed');
+    
+    // DEBUG: Check if table exists in MAIN page (not iframe)
+    console.log('🔍 Checking if table exists in main page (not iframe)...');
+    const mainPageTable = await page.$('table');
+    if (mainPageTable) {
+      const mainTableCells = await page.evaluate(() => {
+        return document.querySelectorAll('table td').length;
+      });
+      console.log(`⚠️  TABLE FOUND IN MAIN PAGE! (${mainTableCells} cells) Not in iframe!`);
+      console.log('💡 The page structure may have changed - table might not be in iframe anymore');
+    } else {
+      console.log('❌ No table found in main page either');
+    }
+    
+    // DEBUG: Log all frame URLs
+    const allFrames = page.frames();
+    console.log('📋 All frames on page:');
+    allFrames.forEach((frame, index) => {
+      console.log(`   ${index + 1}. ${frame.url()}`);
+    });
+    
+    throw new Error(`Could not find iframe containing inventory table after ${waitedSeconds} seconds (profile ${profile.id})`);
+  }
+  
+  return inventoryFrame;
+}
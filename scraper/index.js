@@ -1,381 +1,226 @@
-import puppeteer from 'puppeteer';
-import pg from 'pg';
 import { config } from 'dotenv';
+import { randomUUID } from 'crypto';
+import { saveScrapedInventory } from '../inventory/sync.js';
+import { getDealership, getDefaultDealership, getVINCredentials } from '../dealerships/index.js';
+import { decodeVIN, compareWithListing } from '../vin/index.js';
+import { resolveScraperProfile, describeProfile } from './profiles/index.js';
+import { launchBrowser, openPage } from './browser.js';
+import { login } from './login.js';
+import { restoreSession, saveSession } from './session.js';
+import { generateTOTP } from './totp.js';
+import { waitForOperatorCode } from './mfa.js';
+import { openInventory } from './navigation.js';
+import { findInventoryFrame } from './frame.js';
+import { extractInventoryGrid } from './rows.js';
+import { createDiagnostics } from './diagnostics.js';
 
 config();
 
-const { Pool } = pg;
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: { rejectUnauthorized: false }
-});
+// ============================================================================
+// VIN SOLUTIONS INVENTORY SCRAPER
+// ============================================================================
+// Each stage lives in its own module so it can run against the recorded pages
+// in test/fixtures/vinsolutions: login.js → navigation.js → frame.js →
+// rows.js (columns.js turns grid rows into records). diagnostics.js records
+// each run and keeps the bundle when it fails.
 
-async function scrapeVINInventory() {
-  console.log('🕷️  Starting VIN Solutions inventory scraper...');
+// Keep only units inside the rooftop's configured scope - group logins can
+// see inventory for sister stores
+function inScope(vehicle, scope) {
+  const makes = (scope?.makes || []).map(m => m.toLowerCase());
+  const locations = (scope?.locations || []).map(l => l.toLowerCase());
   
-  const VIN_USERNAME = process.env.VIN_USERNAME;
-  const VIN_PASSWORD = process.env.VIN_PASSWORD;
-  const VIN_LOGIN_URL = process.env.VIN_LOGIN_URL || 'https://www.vinsolutions.com/';
+  if (makes.length > 0 && !makes.includes((vehicle.make || '').toLowerCase())) {
+    return false;
+  }
+  if (locations.length > 0 && vehicle.location && !locations.includes(vehicle.location.toLowerCase())) {
+    return false;
+  }
+  return true;
+}
+
+// Validate the VIN, fill in year/make the listing is missing, and flag rows
+// where the listing disagrees with what the VIN says
+function applyVINDecoding(vehicle) {
+  if (!vehicle.vin) {
+    return { ...vehicle, vin_issues: [] };
+  }
+  
+  const decoded = decodeVIN(vehicle.vin);
+  const issues = compareWithListing(decoded, vehicle);
+  const enriched = { ...vehicle, vin: decoded.vin, vin_issues: issues };
+  
+  if (decoded.valid) {
+    if (!enriched.year && decoded.modelYear) enriched.year = decoded.modelYear;
+    if (!enriched.make && decoded.make) enriched.make = decoded.make;
+  }
+  
+  if (issues.length > 0) {
+    console.warn(`⚠️  VIN issues for ${vehicle.stock_number} (${decoded.vin}): ${issues.join('; ')}`);
+  }
+  
+  return enriched;
+}
+
+const DRY_RUN_SAMPLE_SIZE = 10;
+
+// How long a sync waits for someone to POST a one-time code
+const MFA_WAIT_MS = Number(process.env.SCRAPER_MFA_WAIT_MS || 5 * 60 * 1000);
+
+// options.onProgress(stage, details) is called as the run moves through
+// launching → logging_in (→ awaiting_mfa) → navigating → locating_frame →
+// extracting → upserting, so sync jobs can report where a run is.
+// options.profile overrides the dealership's scraper profile;
+// options.dryRun extracts and reports without touching the database;
+// options.mfaJobId (the sync job id) lets a one-time-code prompt wait for a
+// code from the API (stage awaiting_mfa) when the dealership has no TOTP secret;
+// options.diagnosticsId names the diagnostics bundle kept if the run fails
+// (the sync job id) - the failed result or thrown error carries diagnosticsId.
+async function scrapeVINInventory(dealership = getDefaultDealership(), options = {}) {
+  const profile = resolveScraperProfile(dealership, options.profile);
+  const diagnostics = createDiagnostics(options.diagnosticsId || randomUUID(), {
+    dealershipId: dealership.id,
+    profile: profile.id,
+    dryRun: options.dryRun === true
+  });
+  
+  try {
+    const result = await diagnostics.run(() => runScrape(dealership, profile, options, diagnostics));
+    
+    if (result.success) {
+      await diagnostics.discard();
+      return result;
+    }
+    const manifest = await diagnostics.save({ result });
+    return { ...result, diagnosticsId: manifest?.id || null };
+  } catch (error) {
+    const manifest = await diagnostics.save({ error });
+    if (manifest) error.diagnosticsId = manifest.id;
+    throw error;
+  }
+}
+
+// The scrape itself - scrapeVINInventory decides what happens to its bundle
+async function runScrape(dealership, profile, options, diagnostics) {
+  const progress = (stage, details = {}) => {
+    diagnostics.stage(stage);
+    options.onProgress?.(stage, details);
+  };
+  
+  console.log(`🕷️  Starting VIN Solutions inventory scraper for ${dealership.name} (${dealership.id})...`);
+  console.log(`🧩 Scraper profile: ${profile.id}${options.dryRun ? ' (dry run - no database writes)' : ''}`);
+  
+  const {
+    username: VIN_USERNAME,
+    password: VIN_PASSWORD,
+    loginUrl: VIN_LOGIN_URL,
+    totpSecret
+  } = getVINCredentials(dealership);
   
   if (!VIN_USERNAME || !VIN_PASSWORD) {
-    throw new Error('VIN_USERNAME and VIN_PASSWORD must be set in environment variables');
+    throw new Error(`VIN Solutions credentials not configured for dealership ${dealership.id}`);
   }
   
   let browser;
+  let page;
   
   try {
     // Launch browser
     console.log('🌐 Launching browser...');
-    browser = await puppeteer.launch({
-      headless: 'new',
-      executablePath: process.env.PUPPETEER_EXECUTABLE_PATH || '/usr/bin/chromium-browser',
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-gpu',
-        '--disable-software-rasterizer',
-        '--disable-extensions',
-        '--no-first-run',
-        '--disable-default-apps'
-      ]
-    });
-    
-    const page = await browser.newPage();
-    await page.setViewport({ width: 1920, height: 1080 });
-    
-    // Set a reasonable default timeout
-    page.setDefaultTimeout(60000);
-    
-    // Login to VIN Solutions
-    console.log('🔐 Logging in to VIN Solutions...');
-    console.log('🔗 URL:', VIN_LOGIN_URL);
-    
-    await page.goto(VIN_LOGIN_URL, { 
-      waitUntil: 'networkidle2',
-      timeout: 60000 
-    });
-    
-    // Wait for and fill login form
-    console.log('⏳ Waiting for login form...');
-    await page.waitForSelector('input[name="username"], input[type="email"], input[id*="user"], input[name="loginId"]', { 
-      timeout: 20000 
-    });
-    
-    // Try different possible login field selectors
-    const usernameField = await page.$('input[name="username"]') || 
-                          await page.$('input[type="email"]') ||
-                          await page.$('input[name="loginId"]') ||
-                          await page.$('input[id*="user"]') ||
-                          await page.$('input[placeholder*="mail"]') ||
-                          await page.$('input[placeholder*="sername"]');
-    
-    const passwordField = await page.$('input[name="password"]') ||
-                          await page.$('input[type="password"]') ||
-                          await page.$('input[placeholder*="assword"]');
-    
-    if (!usernameField || !passwordField) {
-      console.error('❌ Could not find login fields on page');
-      throw new Error('Could not find login fields on page');
-    }
-    
-    console.log('✍️  Entering credentials...');
-    await usernameField.type(VIN_USERNAME, { delay: 50 });
-    await passwordField.type(VIN_PASSWORD, { delay: 50 });
-    
-    console.log('🔑 Submitting login form...');
-    
-    // Submit form - try multiple methods
-    try {
-      await Promise.all([
-        page.waitForNavigation({ 
-          waitUntil: 'networkidle2',
-          timeout: 60000 
-        }),
-        page.keyboard.press('Enter')
-      ]);
-    } catch (navError) {
-      console.log('⚠️  Navigation via Enter failed, trying submit button...');
-      const submitButton = await page.$('button[type="submit"]') || 
-                           await page.$('input[type="submit"]') ||
-                           await page.$('button:has-text("Login")') ||
-                           await page.$('button:has-text("Sign In")');
-      
-      if (submitButton) {
-        await Promise.all([
-          page.waitForNavigation({ 
-            waitUntil: 'networkidle2',
-            timeout: 60000 
-          }),
-          submitButton.click()
-        ]);
-      } else {
-        throw new Error('Could not submit login form');
-      }
-    }
-    
-    console.log('✅ Login form submitted');
-    
-    // ============================================
-    // CRITICAL: VERIFY LOGIN ACTUALLY WORKED
-    // ============================================
-    console.log('🔍 Verifying login success...');
-    await new Promise(resolve => setTimeout(resolve, 3000));
-    
-    // Check current URL
-    const currentUrl = page.url();
-    console.log('📍 Current URL after login:', currentUrl);
-    
-    // Check if we're still on the login page
-    const stillOnLogin = await page.$('input[name="username"], input[type="email"], input[name="loginId"]');
-    
-    if (stillOnLogin) {
-      console.error('❌ STILL ON LOGIN PAGE - Login failed!');
-      console.error('📍 Current URL:', currentUrl);
-      console.error('💡 Possible issues:');
-      console.error('   1. Wrong credentials (VIN_USERNAME or VIN_PASSWORD)');
-      console.error('   2. 2FA/Captcha required');
-      console.error('   3. Login flow changed');
-      console.error('   4. Account locked or disabled');
-      
-      // Take screenshot of login failure
-      console.log('📸 Taking screenshot of login failure...');
-      try {
-        await page.screenshot({ path: '/tmp/login-failed.png', fullPage: true });
-        console.log('📸 Login failure screenshot saved to /tmp/login-failed.png');
-      } catch (screenshotErr) {
-        console.log('⚠️  Could not save screenshot:', screenshotErr.message);
-      }
-      
-      throw new Error('Login failed - still on login page after form submission. Check credentials and login requirements.');
+    progress('launching');
+    browser = await launchBrowser();
+    page = await openPage(browser);
+    diagnostics.watchPage(page);
+    
+    // Login to VIN Solutions, unless a saved session still works
+    progress('logging_in');
+    const reusedSession = await restoreSession(page, dealership, profile);
+    
+    if (!reusedSession) {
+      await login(page, profile, {
+        username: VIN_USERNAME,
+        password: VIN_PASSWORD,
+        loginUrl: VIN_LOGIN_URL,
+        getOneTimeCode: async () => {
+          if (totpSecret) {
+            console.log('🔢 Using TOTP code');
+            return generateTOTP(totpSecret);
+          }
+          if (!options.mfaJobId) return null;
+          
+          console.log(`🔢 Waiting up to ${Math.round(MFA_WAIT_MS / 1000)}s for an operator to supply the code...`);
+          progress('awaiting_mfa', { mfaExpiresAt: new Date(Date.now() + MFA_WAIT_MS).toISOString() });
+          return waitForOperatorCode(options.mfaJobId, MFA_WAIT_MS);
+        }
+      });
     }
+    await saveSession(page, dealership);
+    await diagnostics.capture(page, 'signed_in');
     
-    console.log('✅ Logged in successfully - no longer on login page');
-    
-    // Wait a bit for dashboard to fully load
-    await new Promise(resolve => setTimeout(resolve, 3000));
-    
-    // Navigate to dashboard first to establish session
-    console.log('📋 Navigating to dashboard...');
-    await page.goto('https://vinsolutions.app.coxautoinc.com/vinconnect/pane-both/vinconnect-dealer-dashboard', {
-      waitUntil: 'networkidle2',
-      timeout: 60000
-    });
-    
-    console.log('✅ On dashboard, changing to inventory view...');
-    await new Promise(resolve => setTimeout(resolve, 3000));
-    
-    // Change the hash fragment instead of full navigation (maintains session)
-    await page.evaluate(() => {
-      window.location.hash = '#/CarDashboard/ploader.aspx?TargetControl=Inventory/autosp.ascx&SelectedTab=t_Inventory';
-    });
-    
-    console.log('✅ Changed to inventory hash');
-    
-    // Wait for initial page load
-    console.log('⏳ Waiting for page to initialize...');
-    await new Promise(resolve => setTimeout(resolve, 5000));
+    // Dashboard first to establish the session, then the inventory view
+    progress('navigating');
+    await openInventory(page, profile);
+    await diagnostics.capture(page, 'inventory_view');
     
-    // Scroll down to trigger any lazy loading
-    console.log('📜 Scrolling page to trigger content loading...');
-    await page.evaluate(() => {
-      window.scrollTo(0, document.body.scrollHeight);
+    const inventoryFrame = await findInventoryFrame(page, profile, {
+      onAttempt: (attempt, maxAttempts) => progress('locating_frame', { attempt, maxAttempts })
     });
-    await new Promise(resolve => setTimeout(resolve, 2000));
+    await diagnostics.capture(page, 'grid_frame', { frame: inventoryFrame });
     
-    // Scroll back up
-    await page.evaluate(() => {
-      window.scrollTo(0, 0);
-    });
-    await new Promise(resolve => setTimeout(resolve, 2000));
+    console.log('🎉 Successfully located inventory iframe!');
+    console.log('🔍 Extracting vehicle data from iframe...');
+    progress('extracting');
     
-    console.log('📊 Looking for iframe with inventory table...');
+    // Scrape all vehicle data from the iframe (not the main page!), every page of it
+    const grid = await extractInventoryGrid(inventoryFrame, profile, progress);
+    const scrapedVehicles = grid.vehicles;
     
-    // ============================================
-    // OPTION 3: DYNAMIC IFRAME WAITING
-    // Keep checking every 2 seconds for up to 30 seconds
-    // ============================================
+    const vehicles = scrapedVehicles
+      .map(applyVINDecoding)
+      .filter(v => inScope(v, dealership.inventoryScope));
+    const vinIssueCount = vehicles.filter(v => v.vin_issues.length > 0).length;
     
-    let inventoryFrame = null;
-    const maxAttempts = 15; // 15 attempts * 2 seconds = 30 seconds
-    let attempt = 0;
+    console.log(`✅ Found ${scrapedVehicles.length} vehicles (${vehicles.length} in scope for ${dealership.id})`);
+    console.log(`🔎 ${vinIssueCount} vehicle(s) flagged with VIN issues`);
+    progress('extracted', { vehiclesFound: vehicles.length });
     
-    while (!inventoryFrame && attempt < maxAttempts) {
-      attempt++;
-      console.log(`🔄 Attempt ${attempt}/${maxAttempts}: Searching for inventory iframe...`);
-      
-      // Wait for any iframe to exist
-      try {
-        await page.waitForSelector('iframe', { timeout: 5000 });
-      } catch (err) {
-        console.log(`  ⏳ No iframes found yet, waiting...`);
-        await new Promise(resolve => setTimeout(resolve, 2000));
-        continue;
-      }
-      
-      // Get all frames
-      const frames = page.frames();
-      console.log(`  🔍 Found ${frames.length} frame(s) on page`);
-      
-      // Check each frame for the inventory table
-      for (const frame of frames) {
-        const frameUrl = frame.url();
-        
-        // Skip signin/auth frames - we want the app frame
-        if (frameUrl.includes('signin.coxautoinc.com')) {
-          console.log(`  ⏭️  Skipping signin frame`);
-          continue;
-        }
-        
-        console.log(`  🔎 Checking frame: ${frameUrl.substring(0, 80)}...`);
-        
-        try {
-          // Check if this frame contains a table
-          const hasTable = await frame.$('table');
-          
-          if (hasTable) {
-            // Count cells to verify it's the inventory table
-            const cellCount = await frame.evaluate(() => {
-              const cells = document.querySelectorAll('table td');
-              return cells.length;
-            });
-            
-            console.log(`     📊 Found table with ${cellCount} cells`);
-            
-            // Inventory table should have many cells (>50 for just a few vehicles)
-            if (cellCount > 50) {
-              console.log(`  ✅ Found inventory table in frame!`);
-              inventoryFrame = frame;
-              break;
-            } else {
-              console.log(`     ⚠️  Table too small, likely not inventory table`);
-            }
-          } else {
-            console.log(`     ℹ️  No table found in this frame`);
-          }
-        } catch (err) {
-          // Frame might not be accessible or still loading
-          console.log(`     ⚠️  Could not access frame: ${err.message}`);
-        }
-      }
-      
-      // If we found the frame, exit the loop
-      if (inventoryFrame) {
-        break;
-      }
-      
-      // Wait 2 seconds before next attempt
-      console.log(`  ⏳ Inventory iframe not found, waiting 2 seconds...`);
-      await new Promise(resolve => setTimeout(resolve, 2000));
+    if (vehicles.length === 0) {
+      await diagnostics.capture(page, 'no_vehicles', { frame: inventoryFrame });
     }
     
-    // Check if we found the frame
-    if (!inventoryFrame) {
-      console.error('❌ Could not find inventory iframe after 30 seconds');
-      console.error('💡 The page may need more time to load, or the structure has changed');
-      
-      // DEBUG: Take screenshot to see what's on the page
-      console.log('📸 Taking screenshot for debugging...');
-      try {
-        await page.screenshot({ path: '/tmp/debug-no-iframe.png', fullPage: true });
-        console.log('📸 Screenshot saved to /tmp/debug-no-iframe.png');
-      } catch (screenshotErr) {
-        console.log('⚠️  Could not save screenshot:', screenshotErr.message);
-      }
-      
-      // DEBUG: Check if table exists in MAIN page (not iframe)
-      console.log('🔍 Checking if table exists in main page (not iframe)...');
-      const mainPageTable = await page.$('table');
-      if (mainPageTable) {
-        const mainTableCells = await page.evaluate(() => {
-          return document.querySelectorAll('table td').length;
-        });
-        console.log(`⚠️  TABLE FOUND IN MAIN PAGE! (${mainTableCells} cells) Not in iframe!`);
-        console.log('💡 The page structure may have changed - table might not be in iframe anymore');
-      } else {
-        console.log('❌ No table found in main page either');
-      }
-      
-      // DEBUG: Log all frame URLs
-      const allFrames = page.frames();
-      console.log('📋 All frames on page:');
-      allFrames.forEach((frame, index) => {
-        console.log(`   ${index + 1}. ${frame.url()}`);
-      });
-      
-      throw new Error('Could not find iframe containing inventory table after 30 seconds');
+    // Dry run: report what this profile extracts and stop before the database
+    if (options.dryRun) {
+      return {
+        success: vehicles.length > 0,
+        dryRun: true,
+        dealershipId: dealership.id,
+        profile: describeProfile(profile),
+        sessionReused: reusedSession,
+        ...(vehicles.length === 0 && { error: 'No vehicles found in table' }),
+        vehiclesFound: vehicles.length,
+        vehiclesOutOfScope: scrapedVehicles.length - vehicles.length,
+        pages: grid.pages,
+        complete: grid.complete,
+        ...(!grid.complete && { incompleteReason: grid.incompleteReason }),
+        headers: grid.headers,
+        columns: grid.columns,
+        vinIssues: vinIssueCount,
+        sample: vehicles.slice(0, DRY_RUN_SAMPLE_SIZE)
+      };
     }
     
-    console.log('🎉 Successfully located inventory iframe!');
-    console.log('🔍 Extracting vehicle data from iframe...');
-    
-    // Scrape all vehicle data from the iframe (not the main page!)
-    const vehicles = await inventoryFrame.evaluate(() => {
-      const rows = Array.from(document.querySelectorAll('table tr')).slice(1); // Skip header
-      
-      return rows.map(row => {
-        const cells = row.querySelectorAll('td');
-        if (cells.length < 8) return null;
-        
-        // CORRECT column mapping based on your screenshot:
-        // Col 1: Photos
-        // Col 2: Stock # (M37385)
-        // Col 3: Desk icon
-        // Col 4: Autotrader icon  
-        // Col 5: CARFAX VB Yr Make (24 Chevrolet)
-        // Col 6: Model (Silverado MD)
-        // Col 7: Trim (Work Truck)
-        // Col 8: VIN (HTKJPVM4RH178232)
-        
-        const stockNumber = cells[1]?.textContent?.trim() || '';  // Column 2
-        const carfaxText = cells[4]?.textContent?.trim() || '';   // Column 5: "24 Chevrolet"
-        const modelText = cells[5]?.textContent?.trim() || '';    // Column 6
-        const trimText = cells[6]?.textContent?.trim() || '';     // Column 7
-        const vin = cells[7]?.textContent?.trim() || '';          // Column 8
-        
-        // Parse year and make from "24 Chevrolet" or "2024 Chevrolet" format
-        let year = null;
-        let make = '';
-        
-        if (carfaxText) {
-          const parts = carfaxText.split(/\s+/);
-          if (parts.length >= 2) {
-            const yearStr = parts[0];
-            make = parts.slice(1).join(' ');
-            
-            // Parse year (might be "24" or "2024")
-            year = parseInt(yearStr);
-            if (year && !isNaN(year)) {
-              if (year < 100) {
-                year = 2000 + year; // Convert "24" to "2024"
-              }
-            } else {
-              year = null;
-            }
-          }
-        }
-        
-        return {
-          stock_number: stockNumber,
-          year: year,
-          make: make,
-          model: modelText,
-          trim: trimText,
-          vin: vin || null,
-          status: 'available'
-        };
-      }).filter(v => v && v.stock_number);
-    });
-    
-    console.log(`✅ Found ${vehicles.length} vehicles`);
-    
     if (vehicles.length === 0) {
       console.warn('⚠️  WARNING: No vehicles found in table!');
       console.warn('⚠️  Table structure may have changed or page did not load correctly');
       return {
         success: false,
         error: 'No vehicles found in table',
+        profile: profile.id,
         vehiclesFound: 0,
+        added: 0,
+        restored: 0,
+        changed: 0,
+        removed: 0,
         inserted: 0,
         updated: 0,
         errors: 0
@@ -390,62 +235,34 @@ async function scrapeVINInventory() {
     
     // Update database
     console.log('💾 Updating database...');
+    progress('upserting', { vehiclesFound: vehicles.length });
     
-    let insertedCount = 0;
-    let updatedCount = 0;
-    let errorCount = 0;
-    
-    for (const vehicle of vehicles) {
-      try {
-        const result = await pool.query(`
-          INSERT INTO inventory (stock_number, year, make, model, trim, vin, status, last_scraped_at)
-          VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
-          ON CONFLICT (stock_number) 
-          DO UPDATE SET 
-            year = EXCLUDED.year,
-            make = EXCLUDED.make,
-            model = EXCLUDED.model,
-            trim = EXCLUDED.trim,
-            vin = EXCLUDED.vin,
-            status = EXCLUDED.status,
-            updated_at = NOW(),
-            last_scraped_at = NOW()
-          RETURNING (xmax = 0) AS inserted
-        `, [
-          vehicle.stock_number,
-          vehicle.year,
-          vehicle.make,
-          vehicle.model,
-          vehicle.trim,
-          vehicle.vin,
-          vehicle.status
-        ]);
-        
-        if (result.rows[0].inserted) {
-          insertedCount++;
-        } else {
-          updatedCount++;
-        }
-      } catch (err) {
-        console.error(`❌ Error upserting vehicle ${vehicle.stock_number}:`, err.message);
-        errorCount++;
-      }
-    }
+    const syncResult = await saveScrapedInventory(dealership, vehicles, {
+      force: options.forceReconcile,
+      complete: grid.complete
+    });
     
     console.log(`✅ Database updated successfully!`);
-    console.log(`   📊 Summary: ${insertedCount} new, ${updatedCount} updated, ${errorCount} errors`);
     
     return {
       success: true,
+      dealershipId: dealership.id,
+      profile: profile.id,
+      sessionReused: reusedSession,
       vehiclesFound: vehicles.length,
-      inserted: insertedCount,
-      updated: updatedCount,
-      errors: errorCount
+      pages: grid.pages,
+      complete: grid.complete,
+      ...(!grid.complete && { incompleteReason: grid.incompleteReason }),
+      ...syncResult,
+      vinIssues: vinIssueCount
     };
     
   } catch (error) {
     console.error('❌ Scraper error:', error.message);
     console.error('📍 Stack trace:', error.stack);
+    if (page) {
+      await diagnostics.capture(page, 'failure');
+    }
     throw error;
   } finally {
     if (browser) {
@@ -456,9 +273,21 @@ async function scrapeVINInventory() {
   }
 }
 
-// Run if called directly
+// Run if called directly:
+//   npm run scrape -- [dealershipId] [--dry-run] [--profile=name[@version]]
 if (import.meta.url === `file://${process.argv[1]}`) {
-  scrapeVINInventory()
+  const args = process.argv.slice(2);
+  const dealershipId = args.find(arg => !arg.startsWith('--'));
+  const profile = args.find(arg => arg.startsWith('--profile='))?.slice('--profile='.length);
+  const dryRun = args.includes('--dry-run');
+  const dealership = dealershipId ? getDealership(dealershipId) : getDefaultDealership();
+  
+  if (!dealership) {
+    console.error(`💥 Unknown dealership: ${dealershipId}`);
+    process.exit(1);
+  }
+  
+  scrapeVINInventory(dealership, { dryRun, profile })
     .then(result => {
       console.log('🎉 Scraper completed successfully!');
       console.log('📊 Final results:', result);
@@ -0,0 +1,171 @@
+import { sleep, findFirst } from './browser.js';
+
+// ============================================================================
+// LOGIN
+// ============================================================================
+// Signs in on the profile's login form, answers a one-time-code prompt if
+// one appears, and verifies we left the login page. Failures throw a
+// LoginError whose code says why:
+//   bad_credentials  - the page says the username/password is wrong
+//   account_locked   - locked, disabled or too many attempts
+//   mfa_required     - a one-time code was asked for and none was available
+//   mfa_rejected     - a code was entered but the prompt is still there
+//   layout_changed   - the profile's selectors no longer find the form
+//   unknown          - still on the login page for no reason we recognise
+// The page as it was at the failure ends up in the run's diagnostics bundle.
+
+export class LoginError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'LoginError';
+    this.code = code;
+  }
+}
+
+// Failure messages are matched case-insensitively against the page text
+const DEFAULT_FAILURE_PATTERNS = {
+  account_locked: ['account is locked', 'account has been locked', 'account is disabled', 'too many attempts', 'too many failed'],
+  bad_credentials: ['incorrect', 'invalid username', 'invalid password', 'not recognized', 'does not match']
+};
+
+export function classifyLoginFailure(pageText, profile) {
+  const text = String(pageText || '').toLowerCase();
+  const patterns = { ...DEFAULT_FAILURE_PATTERNS, ...profile.login.failurePatterns };
+
+  // Locked first - lockout pages often also say the password was incorrect
+  for (const code of ['account_locked', 'bad_credentials']) {
+    if ((patterns[code] || []).some(pattern => text.includes(pattern.toLowerCase()))) {
+      return code;
+    }
+  }
+  return 'unknown';
+}
+
+async function submitAndWait(page, button) {
+  await Promise.all([
+    page.waitForNavigation({ 
+      waitUntil: 'networkidle2',
+      timeout: 60000 
+    }),
+    button ? button.click() : page.keyboard.press('Enter')
+  ]);
+}
+
+// Answers the one-time-code prompt if the page shows one. getOneTimeCode()
+// returns a TOTP or operator-supplied code, or null when there is none.
+async function handleOneTimeCode(page, form, getOneTimeCode) {
+  const codeField = await findFirst(page, form.mfaSelectors || []);
+  if (!codeField) return;
+  
+  console.log('🔢 One-time code requested...');
+  const code = getOneTimeCode ? await getOneTimeCode() : null;
+  if (!code) {
+    throw new LoginError('mfa_required', 'Login requires a one-time code - set a TOTP secret for this dealership or supply the code through the sync job');
+  }
+  
+  await codeField.type(code, { delay: 50 });
+  console.log('🔑 Submitting one-time code...');
+  
+  try {
+    await submitAndWait(page, null);
+  } catch (navError) {
+    const submitButton = await findFirst(page, form.mfaSubmitSelectors || form.submitSelectors);
+    if (!submitButton) {
+      throw new LoginError('layout_changed', 'Could not submit the one-time code form');
+    }
+    await submitAndWait(page, submitButton);
+  }
+  
+  await sleep(form.verifyDelayMs ?? 3000);
+  if (await findFirst(page, form.mfaSelectors)) {
+    throw new LoginError('mfa_rejected', 'The one-time code was not accepted');
+  }
+}
+
+export async function login(page, profile, { username, password, loginUrl, getOneTimeCode }) {
+  const form = profile.login;
+  
+  console.log('🔐 Logging in to VIN Solutions...');
+  console.log('🔗 URL:', loginUrl);
+  
+  await page.goto(loginUrl, { 
+    waitUntil: 'networkidle2',
+    timeout: 60000 
+  });
+  
+  // Wait for and fill login form
+  console.log('⏳ Waiting for login form...');
+  try {
+    await page.waitForSelector(form.usernameSelectors.join(', '), { 
+      timeout: form.formTimeoutMs || 20000 
+    });
+  } catch (waitError) {
+    throw new LoginError('layout_changed', `Login form not found at ${loginUrl} - the sign-in page may have changed (profile ${profile.id})`);
+  }
+  
+  // Try the profile's login field selectors in order
+  const usernameField = await findFirst(page, form.usernameSelectors);
+  const passwordField = await findFirst(page, form.passwordSelectors);
+  
+  if (!usernameField || !passwordField) {
+    console.error('❌ Could not find login fields on page');
+    throw new LoginError('layout_changed', `Could not find login fields on page (profile ${profile.id})`);
+  }
+  
+  console.log('✍️  Entering credentials...');
+  await usernameField.type(username, { delay: 50 });
+  await passwordField.type(password, { delay: 50 });
+  
+  console.log('🔑 Submitting login form...');
+  
+  // Submit form - try multiple methods
+  try {
+    await submitAndWait(page, null);
+  } catch (navError) {
+    console.log('⚠️  Navigation via Enter failed, trying submit button...');
+    const submitButton = await findFirst(page, form.submitSelectors);
+    
+    if (submitButton) {
+      await submitAndWait(page, submitButton);
+    } else {
+      throw new LoginError('layout_changed', `Could not submit login form (profile ${profile.id})`);
+    }
+  }
+  
+  console.log('✅ Login form submitted');
+  
+  await sleep(form.verifyDelayMs ?? 3000);
+  await handleOneTimeCode(page, form, getOneTimeCode);
+  
+  // ============================================
+  // CRITICAL: VERIFY LOGIN ACTUALLY WORKED
+  // ============================================
+  console.log('🔍 Verifying login success...');
+  
+  // Check current URL
+  const currentUrl = page.url();
+  console.log('📍 Current URL after login:', currentUrl);
+  
+  // Check if we're still on the login page
+  const stillOnLogin = await page.$(form.loginFormSelector);
+  
+  if (stillOnLogin) {
+    const pageText = await page.evaluate(() => document.body?.innerText || '').catch(() => '');
+    const code = classifyLoginFailure(pageText, profile);
+    
+    console.error(`❌ STILL ON LOGIN PAGE - Login failed! (${code})`);
+    console.error('📍 Current URL:', currentUrl);
+    
+    const messages = {
+      bad_credentials: 'Login failed - VIN Solutions rejected the username or password',
+      account_locked: 'Login failed - the VIN Solutions account is locked or disabled',
+      unknown: 'Login failed - still on login page after form submission. Check credentials and login requirements.'
+    };
+    throw new LoginError(code, messages[code]);
+  }
+  
+  console.log('✅ Logged in successfully - no longer on login page');
+  
+  // Wait a bit for dashboard to fully load
+  await sleep(form.settleMs ?? 3000);
+}
@@ -0,0 +1,50 @@
+import { pool } from '../db/index.js';
+
+// ============================================================================
+// OPERATOR-SUPPLIED ONE-TIME CODES
+// ============================================================================
+// When a login hits a one-time-code prompt and the dealership has no TOTP
+// secret, the sync waits for someone to POST the code to
+// /api/inventory/sync/:id/mfa. The code goes through the job's sync_jobs row,
+// so it reaches the job whichever instance took the request; the job polls
+// for it and clears it as soon as it is read.
+
+const POLL_INTERVAL_MS = 2000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function takeCode(jobId) {
+  const result = await pool.query(`
+    UPDATE sync_jobs s SET mfa_code = NULL
+    FROM (SELECT id, mfa_code FROM sync_jobs WHERE id = $1 FOR UPDATE) old
+    WHERE s.id = old.id AND old.mfa_code IS NOT NULL
+    RETURNING old.mfa_code
+  `, [jobId]);
+  return result.rows[0]?.mfa_code || null;
+}
+
+// Resolves with the code, or null if nobody supplies one in time
+export async function waitForOperatorCode(jobId, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+
+  while (Date.now() < deadline) {
+    await sleep(Math.min(POLL_INTERVAL_MS, Math.max(deadline - Date.now(), 0)));
+    try {
+      const code = await takeCode(jobId);
+      if (code) return code;
+    } catch (err) {
+      console.warn('[MFA] ⚠️  Could not check for a one-time code:', err.message);
+    }
+  }
+  return null;
+}
+
+// Returns false if the job isn't running and waiting for a code
+export async function submitOperatorCode(jobId, code) {
+  const result = await pool.query(`
+    UPDATE sync_jobs SET mfa_code = $2, updated_at = NOW()
+    WHERE id = $1 AND status = 'running' AND stage = 'awaiting_mfa'
+    RETURNING id
+  `, [jobId, String(code)]);
+  return result.rowCount > 0;
+}
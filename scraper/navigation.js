@@ -0,0 +1,44 @@
+import { sleep } from './browser.js';
+
+// ============================================================================
+// NAVIGATION
+// ============================================================================
+// From a signed-in session to the inventory view: the dashboard establishes
+// the app session, then the inventory hash loads the grid iframe.
+
+export async function openInventory(page, profile) {
+  const { navigation } = profile;
+  
+  console.log('📋 Navigating to dashboard...');
+  await page.goto(navigation.dashboardUrl, {
+    waitUntil: 'networkidle2',
+    timeout: 60000
+  });
+  
+  console.log('✅ On dashboard, changing to inventory view...');
+  await sleep(navigation.dashboardSettleMs ?? 3000);
+  
+  // Change the hash fragment instead of full navigation (maintains session)
+  await page.evaluate(hash => {
+    window.location.hash = hash;
+  }, navigation.inventoryHash);
+  
+  console.log('✅ Changed to inventory hash');
+  
+  // Wait for initial page load
+  console.log('⏳ Waiting for page to initialize...');
+  await sleep(navigation.settleMs ?? 5000);
+  
+  // Scroll down to trigger any lazy loading
+  console.log('📜 Scrolling page to trigger content loading...');
+  await page.evaluate(() => {
+    window.scrollTo(0, document.body.scrollHeight);
+  });
+  await sleep(navigation.scrollWaitMs ?? 2000);
+  
+  // Scroll back up
+  await page.evaluate(() => {
+    window.scrollTo(0, 0);
+  });
+  await sleep(navigation.scrollWaitMs ?? 2000);
+}
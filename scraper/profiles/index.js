@@ -0,0 +1,118 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// ============================================================================
+// SCRAPER PROFILES
+// ============================================================================
+// Everything about the VIN Solutions UI the scraper depends on - login
+// selectors, dashboard URL, inventory hash, the iframe heuristic and the grid
+// column names - lives in a versioned JSON profile instead of code.
+// Built-in profiles sit next to this file; SCRAPER_PROFILES_DIR adds more
+// (and wins on the same name@version) without a deploy. Files are re-read on
+// every lookup so an edited profile applies to the next sync.
+//
+// login.failurePatterns ({ bad_credentials: [...], account_locked: [...] })
+// overrides the page texts login.js uses to classify a failed sign-in.
+//
+// A dealership picks one with "scraperProfile": "vinsolutions" (latest
+// version) or "vinsolutions@2" (pinned); SCRAPER_PROFILE sets the default.
+
+const BUILT_IN_DIR = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_PROFILE = 'vinsolutions';
+
+const REQUIRED = {
+  login: ['usernameSelectors', 'passwordSelectors', 'submitSelectors', 'loginFormSelector'],
+  navigation: ['dashboardUrl', 'inventoryHash'],
+  frame: ['minCells', 'maxAttempts', 'pollMs'],
+  grid: ['columns']
+};
+
+function validateProfile(raw, file) {
+  const problems = [];
+
+  if (!raw?.name || typeof raw.name !== 'string') problems.push('"name" is required');
+  if (!Number.isInteger(raw?.version) || raw.version < 1) problems.push('"version" must be a positive integer');
+
+  for (const [section, keys] of Object.entries(REQUIRED)) {
+    for (const key of keys) {
+      if (raw?.[section]?.[key] === undefined) problems.push(`"${section}.${key}" is required`);
+    }
+  }
+
+  if (!Array.isArray(raw?.grid?.columns?.stock_number)) {
+    problems.push('"grid.columns.stock_number" must list header aliases');
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid scraper profile ${file}: ${problems.join('; ')}`);
+  }
+
+  return {
+    ...raw,
+    id: `${raw.name}@${raw.version}`,
+    frame: { skipUrlPatterns: [], ...raw.frame },
+    grid: { fallbackColumns: null, maxPages: 50, ...raw.grid },
+    file
+  };
+}
+
+function loadDir(dir, profiles) {
+  for (const entry of fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort()) {
+    const file = path.join(dir, entry);
+    const profile = validateProfile(JSON.parse(fs.readFileSync(file, 'utf8')), file);
+    profiles.set(profile.id, profile);
+  }
+}
+
+function loadProfiles() {
+  const profiles = new Map();
+  loadDir(BUILT_IN_DIR, profiles);
+
+  if (process.env.SCRAPER_PROFILES_DIR) {
+    const dir = path.resolve(process.env.SCRAPER_PROFILES_DIR);
+    if (!fs.existsSync(dir)) {
+      throw new Error(`SCRAPER_PROFILES_DIR not found: ${dir}`);
+    }
+    loadDir(dir, profiles);
+  }
+
+  return profiles;
+}
+
+export function listScraperProfiles() {
+  return Array.from(loadProfiles().values())
+    .sort((a, b) => a.name.localeCompare(b.name) || a.version - b.version);
+}
+
+// "name" resolves to the highest version, "name@N" to that exact version
+export function getScraperProfile(ref) {
+  const wanted = String(ref || process.env.SCRAPER_PROFILE || DEFAULT_PROFILE);
+  const [name, version] = wanted.split('@');
+  const matches = listScraperProfiles().filter(p => p.name === name);
+
+  const profile = version === undefined
+    ? matches[matches.length - 1]
+    : matches.find(p => p.version === Number(version));
+
+  if (!profile) {
+    throw new Error(`Unknown scraper profile: ${wanted}`);
+  }
+  return profile;
+}
+
+// Request override, then the dealership's pinned profile, then the default
+export function resolveScraperProfile(dealership, override) {
+  return getScraperProfile(override || dealership?.scraperProfile);
+}
+
+// Safe summary for the API
+export function describeProfile(profile) {
+  return {
+    id: profile.id,
+    name: profile.name,
+    version: profile.version,
+    description: profile.description || null,
+    source: path.dirname(profile.file) === BUILT_IN_DIR ? 'built-in' : 'custom'
+  };
+}
@@ -0,0 +1,171 @@
+import { sleep } from './browser.js';
+import { mapColumns, parseRow } from './columns.js';
+
+// ============================================================================
+// GRID ROWS
+// ============================================================================
+// Reads the inventory grid inside the located frame: header + cell text,
+// "show all" or page-by-page, then columns.js turns rows into records.
+
+// Headers and cell text of the biggest table in the frame - the inventory grid
+export async function readGrid(frame) {
+  return frame.evaluate(() => {
+    const tables = Array.from(document.querySelectorAll('table'));
+    const table = tables.sort((a, b) => b.querySelectorAll('td').length - a.querySelectorAll('td').length)[0];
+    if (!table) return { headers: [], rows: [] };
+    
+    const text = cell => (cell.innerText ?? cell.textContent ?? '').replace(/\s+/g, ' ').trim();
+    const headerRow = table.querySelector('thead tr') || table.querySelector('tr');
+    const headers = headerRow ? Array.from(headerRow.querySelectorAll('th, td')).map(text) : [];
+    
+    const rows = Array.from(table.querySelectorAll('tr'))
+      .filter(row => row !== headerRow)
+      .map(row => Array.from(row.querySelectorAll('td')).map(text))
+      .filter(cells => cells.length > 0);
+    
+    return { headers, rows };
+  });
+}
+
+// Switches the grid to a single page if it offers "All" in a page-size
+// dropdown or a "Show all" link. Returns true if it did.
+export async function showAllRows(frame) {
+  return frame.evaluate(() => {
+    for (const select of document.querySelectorAll('select')) {
+      const all = Array.from(select.options).find(o => /^\s*(all|show all)\s*$/i.test(o.textContent));
+      if (all) {
+        select.value = all.value;
+        select.dispatchEvent(new Event('change', { bubbles: true }));
+        return true;
+      }
+    }
+    
+    const link = Array.from(document.querySelectorAll('a, button, [role="button"]'))
+      .find(el => /^\s*(show|view|display) all\b/i.test(el.textContent || ''));
+    if (link) {
+      link.click();
+      return true;
+    }
+    return false;
+  });
+}
+
+// Finds the grid's enabled "next page" control and clicks it if asked.
+// Returns false when there is none (the last page, or no paging at all).
+function nextPageControl(frame, click) {
+  return frame.evaluate(click => {
+    const isNext = el => {
+      const label = [el.textContent, el.getAttribute('aria-label'), el.getAttribute('title')]
+        .map(t => (t || '').trim().toLowerCase());
+      return label.some(t => t === 'next' || t === 'next page' || t === '›' || t === '»' || t === '>');
+    };
+    const isDisabled = el => el.disabled
+      || el.getAttribute('aria-disabled') === 'true'
+      || /\bdisabled\b/.test(el.className || '')
+      || /\bdisabled\b/.test(el.parentElement?.className || '');
+    
+    const next = Array.from(document.querySelectorAll('a, button, [role="button"]'))
+      .find(el => isNext(el) && !isDisabled(el));
+    if (!next) return false;
+    
+    if (click) next.click();
+    return true;
+  }, click);
+}
+
+// Clicks the grid's enabled "next page" control. Returns false on the last page.
+export async function goToNextPage(frame) {
+  return nextPageControl(frame, true);
+}
+
+export async function hasNextPage(frame) {
+  return nextPageControl(frame, false);
+}
+
+// Waits for the grid to re-render after paging (its rows change). Paging
+// may reload the whole frame, so reads that hit a torn-down page are retried.
+export async function waitForGridChange(frame, before, timeoutMs = 15000) {
+  const started = Date.now();
+  
+  while (Date.now() - started < timeoutMs) {
+    await sleep(500);
+    const after = await readGrid(frame).catch(() => null);
+    if (after && after.rows.length > 0 && JSON.stringify(after.rows) !== JSON.stringify(before.rows)) {
+      return after;
+    }
+  }
+  return null;
+}
+
+// Reads every page of the grid into inventory records, mapping columns by
+// header name (the profile's fallback positions only if no header names a
+// stock number). complete is false, with a reason, when paging stopped while
+// the grid still offered a next page - callers must not treat that as the
+// whole inventory.
+export async function extractInventoryGrid(frame, profile, progress = () => {}) {
+  // Safety net in case "next" never disables on the last page
+  const maxPages = Number(process.env.SCRAPER_MAX_PAGES || profile.grid.maxPages);
+  const pageTimeoutMs = profile.grid.pageTimeoutMs ?? 15000;
+  
+  let grid = await readGrid(frame);
+  
+  if (await showAllRows(frame)) {
+    console.log('📄 Switched grid to show all rows');
+    grid = (await waitForGridChange(frame, grid, pageTimeoutMs)) || grid;
+  }
+  
+  let columns = mapColumns(grid.headers, profile.grid.columns);
+  if (!('stock_number' in columns)) {
+    console.warn('⚠️  No stock number header found - falling back to fixed column positions');
+    console.warn('   Headers:', JSON.stringify(grid.headers));
+    columns = profile.grid.fallbackColumns || {};
+  }
+  console.log('🗂️  Column mapping:', JSON.stringify(columns));
+  
+  const vehicles = new Map();
+  let pageNumber = 1;
+  let incompleteReason = null;
+  
+  while (true) {
+    for (const cells of grid.rows) {
+      const vehicle = parseRow(cells, columns);
+      if (vehicle.stock_number && !vehicles.has(vehicle.stock_number)) {
+        vehicles.set(vehicle.stock_number, vehicle);
+      }
+    }
+    console.log(`   📄 Page ${pageNumber}: ${grid.rows.length} rows (${vehicles.size} vehicles so far)`);
+    progress('extracting', { page: pageNumber, vehiclesFound: vehicles.size });
+    
+    if (pageNumber >= maxPages) {
+      if (await hasNextPage(frame)) {
+        console.warn(`⚠️  Stopped after ${maxPages} pages with more to read - inventory is incomplete`);
+        incompleteReason = `Stopped at the ${maxPages}-page limit`;
+      }
+      break;
+    }
+    if (!(await goToNextPage(frame))) break;
+    
+    const next = await waitForGridChange(frame, grid, pageTimeoutMs);
+    if (!next) {
+      // Only the last page if the next control is now gone or disabled
+      if (await hasNextPage(frame).catch(() => true)) {
+        console.warn(`⚠️  Grid did not change after clicking next on page ${pageNumber} - inventory is incomplete`);
+        incompleteReason = `Grid did not change after clicking next on page ${pageNumber}`;
+      } else {
+        console.log('   📄 Next page control disabled - last page');
+      }
+      break;
+    }
+    grid = next;
+    pageNumber++;
+  }
+  
+  return {
+    vehicles: Array.from(vehicles.values()),
+    headers: grid.headers,
+    columns,
+    pages: pageNumber,
+    complete: !incompleteReason,
+    incompleteReason
+  };
+}
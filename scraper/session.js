@@ -0,0 +1,161 @@
+import { createCipheriv, createDecipheriv, createHash, randomBytes } from 'crypto';
+import { pool } from '../db/index.js';
+import { sleep } from './browser.js';
+
+// ============================================================================
+// BROWSER SESSION REUSE
+// ============================================================================
+// After a successful login the browser's cookies and the app's localStorage
+// are saved per dealership in scraper_sessions. The next run restores them
+// and goes straight to the dashboard; only if that lands back on the login
+// form does it sign in again. Every login with MFA avoided is one less code
+// someone has to type. Set SCRAPER_REUSE_SESSION=false to always sign in.
+//
+// Saved cookies sign in as the dealership's VIN Solutions user, so they are
+// encrypted (AES-256-GCM) with SCRAPER_SESSION_KEY - any long random string,
+// e.g. `openssl rand -base64 32`. Without the key sessions aren't saved at
+// all. Changing the key just means one fresh login per rooftop.
+
+const MAX_AGE_HOURS = Number(process.env.SCRAPER_SESSION_MAX_AGE_HOURS || 12);
+const CIPHER = 'aes-256-gcm';
+
+let warnedNoKey = false;
+
+// Fields Network.setCookies accepts - getAllCookies returns a few more
+const COOKIE_FIELDS = ['name', 'value', 'domain', 'path', 'expires', 'httpOnly', 'secure', 'sameSite'];
+
+function sessionKey() {
+  const secret = process.env.SCRAPER_SESSION_KEY;
+  return secret ? createHash('sha256').update(secret).digest() : null;
+}
+
+function reuseEnabled() {
+  if (process.env.SCRAPER_REUSE_SESSION === 'false') return false;
+
+  if (!sessionKey()) {
+    if (!warnedNoKey) {
+      console.warn('⚠️  SCRAPER_SESSION_KEY is not set - browser sessions will not be saved or reused');
+      warnedNoKey = true;
+    }
+    return false;
+  }
+  return true;
+}
+
+export function encryptSession(session, key = sessionKey()) {
+  const iv = randomBytes(12);
+  const cipher = createCipheriv(CIPHER, key, iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(session), 'utf8'), cipher.final()]);
+
+  return {
+    cipher: CIPHER,
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+// null for anything that isn't ours to read - a plaintext row from before
+// encryption, or one sealed with another key
+export function decryptSession(envelope, key = sessionKey()) {
+  if (envelope?.cipher !== CIPHER) return null;
+
+  try {
+    const decipher = createDecipheriv(CIPHER, key, Buffer.from(envelope.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+    const json = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]).toString('utf8');
+    return JSON.parse(json);
+  } catch {
+    return null;
+  }
+}
+
+export async function clearSession(dealershipId) {
+  await pool.query('DELETE FROM scraper_sessions WHERE dealership_id = $1', [dealershipId]);
+}
+
+// Saves the signed-in state of the page. Failing to save only costs a login
+// next time, so errors are logged rather than thrown.
+export async function saveSession(page, dealership) {
+  if (!reuseEnabled()) return;
+
+  try {
+    const client = await page.target().createCDPSession();
+    const { cookies } = await client.send('Network.getAllCookies');
+    await client.detach();
+
+    const storage = await page.evaluate(() => ({
+      origin: window.location.origin,
+      items: Object.fromEntries(Object.entries(window.localStorage))
+    }));
+
+    // Cookies and storage are sealed together in the cookies column
+    await pool.query(`
+      INSERT INTO scraper_sessions (dealership_id, cookies, storage, saved_at)
+      VALUES ($1, $2, NULL, NOW())
+      ON CONFLICT (dealership_id)
+      DO UPDATE SET cookies = EXCLUDED.cookies, storage = NULL, saved_at = NOW()
+    `, [dealership.id, JSON.stringify(encryptSession({ cookies, storage }))]);
+
+    console.log(`🍪 Saved browser session (${cookies.length} cookies)`);
+  } catch (error) {
+    console.warn('⚠️  Could not save browser session:', error.message);
+  }
+}
+
+// Returns true if a saved session got us onto the dashboard without a login
+export async function restoreSession(page, dealership, profile) {
+  if (!reuseEnabled()) return false;
+
+  let saved;
+  try {
+    const result = await pool.query(`
+      SELECT cookies FROM scraper_sessions
+      WHERE dealership_id = $1
+      AND saved_at > NOW() - $2 * INTERVAL '1 hour'
+    `, [dealership.id, MAX_AGE_HOURS]);
+    if (!result.rows[0]) return false;
+
+    saved = decryptSession(result.rows[0].cookies);
+  } catch (error) {
+    console.warn('⚠️  Could not load saved browser session:', error.message);
+    return false;
+  }
+
+  if (!saved) {
+    console.log('🍪 Saved session is unreadable (plaintext or another key) - discarding it');
+    await clearSession(dealership.id).catch(() => {});
+    return false;
+  }
+
+  console.log('🍪 Restoring saved browser session...');
+
+  const cookies = (saved.cookies || []).map(cookie =>
+    Object.fromEntries(COOKIE_FIELDS.filter(field => cookie[field] !== undefined).map(field => [field, cookie[field]]))
+  );
+  if (cookies.length > 0) {
+    await page.setCookie(...cookies);
+  }
+
+  // localStorage has to be in place before the app's own scripts run
+  if (saved.storage?.origin) {
+    await page.evaluateOnNewDocument((origin, items) => {
+      if (window.location.origin !== origin) return;
+      for (const [key, value] of Object.entries(items)) {
+        window.localStorage.setItem(key, value);
+      }
+    }, saved.storage.origin, saved.storage.items || {});
+  }
+
+  await page.goto(profile.navigation.dashboardUrl, { waitUntil: 'networkidle2', timeout: 60000 });
+  await sleep(profile.login.verifyDelayMs ?? 3000);
+
+  if (await page.$(profile.login.loginFormSelector)) {
+    console.log('🍪 Saved session has expired - signing in again');
+    await clearSession(dealership.id).catch(() => {});
+    return false;
+  }
+
+  console.log('✅ Reused saved session - skipping login');
+  return true;
+}
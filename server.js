@@ -2,11 +2,81 @@ import express from 'express';
 import cors from 'cors';
 import morgan from 'morgan';
 import { config } from 'dotenv';
-import OpenAI from 'openai';
 import { appendFile } from 'fs/promises';
-import pg from 'pg';
-import fs from 'fs';
 import path from 'path';
+import { randomUUID } from 'crypto';
+import {
+  getDealership,
+  getDefaultDealership,
+  getVINCredentials,
+  listDealerships,
+  publicDealership
+} from './dealerships/index.js';
+import { pool } from './db/index.js';
+import { runMigrations, getMigrationStatus } from './db/migrate.js';
+import {
+  SCOPES,
+  authenticateApiKey,
+  apiKeysConfigured,
+  canBootstrap,
+  hasScope,
+  parseApiKeyRequest,
+  createApiKey,
+  getApiKey,
+  listApiKeys,
+  rotateApiKey,
+  revokeApiKey,
+  publicApiKey
+} from './auth/index.js';
+import { parseSearchParams, searchInventory } from './inventory/search.js';
+import { startSyncJob, getSyncJob, listSyncJobs, failInterruptedJobs, SyncInProgressError } from './inventory/jobs.js';
+import { startScheduler, getScheduleStatus } from './inventory/scheduler.js';
+import { listScraperProfiles, resolveScraperProfile, describeProfile } from './scraper/profiles/index.js';
+import { submitOperatorCode } from './scraper/mfa.js';
+import {
+  listDiagnostics,
+  getDiagnostics,
+  getDiagnosticsFile,
+  archiveDiagnostics,
+  hasDiagnostics,
+  cleanupDiagnostics
+} from './scraper/diagnostics.js';
+import { decodeVIN } from './vin/index.js';
+import { parseLead, buildLeadContext } from './leads/index.js';
+import {
+  resolveChannelProfile,
+  hasOptedOut,
+  optOutConfirmation,
+  countSmsSegments,
+  completeReply,
+  replyBody
+} from './channels/index.js';
+import { resolveLanguage } from './language/index.js';
+import { buildSummarySystemPrompt, extractSummary } from './summary/index.js';
+import {
+  TEMPLATES,
+  REPLY_TEMPLATE,
+  renderPrompt,
+  builtinTemplate,
+  selectPromptVersion,
+  parsePromptVersionRequest,
+  parsePromptDeploymentRequest,
+  getPromptDeployment,
+  getPromptVersion,
+  listPromptVersions,
+  createPromptVersion,
+  setPromptDeployment
+} from './prompts/index.js';
+import { resolveGenerationSettings, LLMError, LLMAbortError } from './llm/index.js';
+import {
+  buildGuardrailSource,
+  checkReply,
+  checkNumbers,
+  checkBannedPhrases,
+  describeViolations,
+  getBannedPhrases,
+  getGuardrailMode
+} from './guardrails/index.js';
 
 config(); // Load .env file
 
@@ -15,76 +85,235 @@ const PORT = process.env.PORT || 8080;
 
 // Middleware
 app.use(cors({ origin: true, credentials: true }));
-app.use(morgan('tiny'));
+// morgan's "tiny" format plus the API key that made the request
+morgan.token('api-key', req => req.apiKey ? `key=${req.apiKey.prefix || req.apiKey.id}` : 'key=-');
+app.use(morgan(':method :url :status :res[content-length] - :response-time ms :api-key'));
 app.use(express.json({ limit: '512kb' }));
 
-// Initialize OpenAI
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+// ============================================================================
+// AUTH MIDDLEWARE
+// ============================================================================
+function getBearerToken(req) {
+  return req.headers.authorization?.replace('Bearer ', '');
+}
 
-// Initialize PostgreSQL
-const { Pool } = pg;
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: { rejectUnauthorized: false }
-});
+// Every route but /healthz needs a key; most also name the scope it must
+// carry (see auth/index.js). The key is kept on req.apiKey for logging and for the rows a request
+// writes; a dealership-bound key pins the request to that rooftop.
+// bootstrap lets INTERNAL_TOKEN through while no API key exists yet.
+function requireScope(scope, { bootstrap = false } = {}) {
+  return async (req, res, next) => {
+    try {
+      const apiKey = await authenticateApiKey(getBearerToken(req));
+      
+      if (!apiKey) {
+        if (!await apiKeysConfigured()) {
+          console.warn('[Auth] ❌ Request refused - no API keys are configured');
+          return res.status(401).json({
+            error: 'Unauthorized',
+            message: 'No API keys are configured - create one with npm run api-key -- create'
+          });
+        }
+        return res.status(401).json({ error: 'Unauthorized' });
+      }
+      
+      req.apiKey = apiKey;
+      
+      if (scope && !hasScope(apiKey, scope)) {
+        if (!(bootstrap && await canBootstrap(apiKey))) {
+          return res.status(403).json({ success: false, error: `API key is missing the ${scope} scope` });
+        }
+        console.warn('[Auth] ⚠️  INTERNAL_TOKEN used to create the first API key');
+      }
+      
+      if (apiKey.dealershipId) {
+        const dealership = getDealership(apiKey.dealershipId);
+        if (!dealership) {
+          return res.status(403).json({ success: false, error: `API key is bound to unknown dealership ${apiKey.dealershipId}` });
+        }
+        req.tokenDealership = dealership;
+      }
+      
+      next();
+    } catch (error) {
+      console.error('[Auth] Error checking API key:', error);
+      res.status(500).json({ success: false, error: 'Could not check API key' });
+    }
+  };
+}
 
 // ============================================================================
-// AUTH MIDDLEWARE
+// DEALERSHIP RESOLUTION
 // ============================================================================
-function requireAuth(req, res, next) {
-  const token = req.headers.authorization?.replace('Bearer ', '');
-  const validToken = process.env.INTERNAL_TOKEN;
+// The rooftop comes from the API key when it is bound to one, otherwise
+// from client.dealershipId (body) or ?dealershipId= (query), otherwise the
+// default rooftop.
+function resolveDealership(req, res, next) {
+  const tokenDealership = req.tokenDealership;
+  const requestedId = req.body?.client?.dealershipId || req.body?.dealershipId || req.query.dealershipId;
+  
+  if (tokenDealership) {
+    if (requestedId && String(requestedId) !== tokenDealership.id) {
+      return res.status(403).json({
+        success: false,
+        error: `Token is not valid for dealership ${requestedId}`
+      });
+    }
+    req.dealership = tokenDealership;
+    return next();
+  }
   
-  if (!validToken || token === validToken) {
+  if (requestedId) {
+    const dealership = getDealership(requestedId);
+    if (!dealership) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown dealership: ${requestedId}`
+      });
+    }
+    req.dealership = dealership;
     return next();
   }
   
-  return res.status(401).json({ error: 'Unauthorized' });
+  req.dealership = getDefaultDealership();
+  next();
+}
+
+// ============================================================================
+// REPLY VARIANTS
+// ============================================================================
+// Preset styles used when a caller asks for N variants without naming them
+const VARIANT_STYLES = [
+  { label: 'Short & friendly', instructions: 'Two warm, casual sentences at most' },
+  { label: 'Formal', instructions: 'Polished and professional, no exclamation points' },
+  { label: 'Push for appointment', instructions: 'Steer toward booking a specific visit or test drive, still low-pressure' },
+  { label: 'Trade-in focused', instructions: 'Lead with getting a value on their current vehicle' },
+  { label: 'Callback request', instructions: 'Offer a quick phone call to talk it through' }
+];
+
+const MAX_VARIANTS = VARIANT_STYLES.length;
+
+const REPLY_INTENTS = ['appointment', 'trade_appraisal', 'callback', 'other'];
+
+// options.variants may be a count (uses the presets in order) or a list of
+// labels / { label, instructions } objects. Returns null for the default
+// single-reply mode.
+function parseVariantOptions(options = {}) {
+  const requested = options?.variants;
+  
+  if (requested === undefined || requested === null || requested === 1) {
+    return null;
+  }
+  
+  if (Number.isInteger(requested)) {
+    if (requested < 1 || requested > MAX_VARIANTS) {
+      throw new Error(`options.variants must be between 1 and ${MAX_VARIANTS}`);
+    }
+    return VARIANT_STYLES.slice(0, requested);
+  }
+  
+  if (Array.isArray(requested)) {
+    if (requested.length === 0 || requested.length > MAX_VARIANTS) {
+      throw new Error(`options.variants must list between 1 and ${MAX_VARIANTS} styles`);
+    }
+    return requested.map(v => {
+      const label = typeof v === 'string' ? v : v?.label;
+      if (typeof label !== 'string' || !label.trim()) {
+        throw new Error('Each entry in options.variants needs a label');
+      }
+      const preset = VARIANT_STYLES.find(p => p.label.toLowerCase() === label.trim().toLowerCase());
+      return {
+        label: label.trim(),
+        instructions: (typeof v === 'object' && v.instructions) || preset?.instructions || null
+      };
+    });
+  }
+  
+  throw new Error('options.variants must be a number or an array of labels');
 }
 
 // ============================================================================
 // PROMPT BUILDERS
 // ============================================================================
-function buildSystemPrompt({ dealership }) {
-  return `You are an AI assistant for ${dealership.name}, a Chevrolet dealership helping BDC representatives craft professional, engaging email replies.
-
-YOUR ROLE:
-Generate ONE natural-sounding email reply that the BDC rep can send to the customer.
-
-CRITICAL RULES FOR EVERY REPLY:
-1. **Acknowledge specific customer concerns** - Reference what they actually said (payment constraints, timing concerns, specific questions)
-2. **Reference conversation timing** - If they mentioned an appointment, service visit, or deadline, work that into the reply naturally
-3. **Suggest a concrete next step** - Always end with a clear, low-pressure action (schedule call, get trade value, review numbers during appointment)
-4. **Match their tone** - If formal, be professional. If casual, be friendly but still professional
-5. **Keep it concise** - 2-4 sentences maximum. BDC reps are busy, customers don't read long emails
-6. **NEVER invent numbers** - No prices, payments, trade values, or financial specifics unless already provided in the conversation
-7. **Be consultative, not pushy** - Use phrases like "Would you be open to...", "Let me check if...", "No pressure at all..."
-
-STRUCTURE (follow this pattern):
-- Sentence 1: Acknowledge their specific concern or question
-- Sentence 2: Bridge to a benefit or possibility
-- Sentence 3-4: Suggest next step with clear call-to-action
-
-TONE GUIDELINES:
-✅ Warm, helpful, conversational
-✅ Professional but approachable
-✅ Use "I" and "you" (personal connection)
-✅ Low-pressure, consultative approach
-❌ No corporate jargon or buzzwords
-❌ No pushy sales language
-❌ No generic template phrases
-
-EXAMPLE (for lease buyout inquiry):
-"Hi Nicole! I completely understand wanting to avoid any early termination fees. Let me pull some numbers on your current vehicle's market value - if we can structure a new lease that keeps you in the same trim level at or below your current payment, would you be open to reviewing the details during your service visit tomorrow? No pressure at all, just want to see if the numbers work in your favor!"
-
-RESPONSE FORMAT:
-Return a JSON object with this structure:
+function buildDealershipDetails(dealership) {
+  const details = [];
+  
+  if (dealership.address) details.push(`Address: ${dealership.address}`);
+  if (dealership.phone) details.push(`Phone: ${dealership.phone}`);
+  if (dealership.hours) details.push(`Hours: ${dealership.hours}`);
+  if (dealership.toneNotes) details.push(`Tone notes: ${dealership.toneNotes}`);
+  
+  return details.length > 0
+    ? `\nDEALERSHIP DETAILS (only use these when relevant - never make up others):\n${details.join('\n')}\n`
+    : '';
+}
+
+// Non-English replies get a language section, and an English translation
+// field when the rep asked for one
+function buildLanguageSection(language, translate) {
+  if (language.code === 'en') {
+    return '';
+  }
+  return `
+LANGUAGE:
+Write the reply in ${language.name} - ${language.source === 'request' ? 'the rep asked for it' : `the customer writes in ${language.name}`}. Use natural, everyday ${language.name}, not a word-for-word translation. Every rule above and below still applies.${translate ? `
+Also give an English translation of the reply so the rep can check what they are sending.` : ''}
+`;
+}
+
+// Renders the reply template (prompts/index.js) with this request's
+// dealership, channel, language and variant details
+function buildSystemPrompt({ dealership, channel, language, translate = false, variants = null, template = builtinTemplate(REPLY_TEMPLATE) }) {
+  const translationField = indent => translate ? `${indent}"translation": "English translation of the reply",\n` : '';
+  
+  return renderPrompt(template, {
+    dealershipName: dealership.name,
+    dealershipDescription: dealership.brand ? `a ${dealership.brand} dealership` : 'a dealership',
+    brand: dealership.brand || '',
+    toneNotes: dealership.toneNotes || '',
+    dealershipDetails: buildDealershipDetails(dealership),
+    channel: channel.noun,
+    channelUpper: channel.noun.toUpperCase(),
+    role: variants
+      ? `Generate ${variants.length} alternative ${channel.noun} replies, one per requested style, that the BDC rep can choose from.`
+      : `Generate ONE natural-sounding ${channel.noun} reply that the BDC rep can send to the customer.`,
+    languageSection: buildLanguageSection(language, translate),
+    lengthRule: channel.lengthRule,
+    structure: channel.structure.map(rule => `- ${rule}`).join('\n'),
+    example: channel.example,
+    responseFormat: variants ? buildVariantsFormat(variants, channel, translationField('      ')) : `Return a JSON object with this structure:
+{
+${channel.id === 'email' ? `  "subject": "Short email subject line",\n` : ''}  "reply": "Your single suggested response here",
+${translationField('  ')}  "vehicles": ["Stock numbers from IN-STOCK VEHICLES that the reply mentions (empty array if none)"]
+}`
+  }, channel.id);
+}
+
+function buildVariantsFormat(variants, channel, translationField = '') {
+  const styles = variants
+    .map((v, i) => `${i + 1}. ${v.label}${v.instructions ? ` - ${v.instructions}` : ''}`)
+    .join('\n');
+  
+  return `Write one reply for each of these styles, in this order:
+${styles}
+
+Every reply must still follow all of the rules above. Return a JSON object with this structure:
 {
-  "reply": "Your single suggested response here"
+  "variants": [
+    {
+      "label": "The style label exactly as listed",
+${channel.id === 'email' ? `      "subject": "Short email subject line",\n` : ''}      "reply": "The suggested response in that style",
+${translationField}      "intent": "The main next step the reply drives toward: one of ${REPLY_INTENTS.join(', ')}",
+      "confidence": 0.0-1.0 (how well this reply fits the conversation),
+      "vehicles": ["Stock numbers from IN-STOCK VEHICLES that this reply mentions (empty array if none)"]
+    }
+  ]
 }`;
 }
 
-function buildUserPrompt({ messages, lead, page }) {
+// The conversation as the model sees it - lead details, matching stock and
+// the message history. Shared by the reply and summary prompts.
+function buildConversationContext({ messages, leadContext, channel, inventory = [] }) {
   const conversationText = messages
     .map(m => {
       const role = m.sender === 'customer' ? 'Customer' : 'Rep';
@@ -92,19 +321,31 @@ function buildUserPrompt({ messages, lead, page }) {
     })
     .join('\n');
 
-  const context = [];
-  
-  if (lead?.name) context.push(`Customer name: ${lead.name}`);
-  if (lead?.vehicleYear || lead?.vehicleMake || lead?.vehicleModel) {
-    context.push(`Vehicle interest: ${[lead.vehicleYear, lead.vehicleMake, lead.vehicleModel].filter(Boolean).join(' ')}`);
-  }
-  if (page?.channel) context.push(`Channel: ${page.channel}`);
+  const context = [...leadContext.details, `Channel: ${channel.noun}`];
+
+  const leadSections = leadContext.sections
+    .map(section => `${section.title}:\n${section.lines.join('\n')}\n\n`)
+    .join('');
+
+  const stock = inventory.map(v => {
+    const description = [v.year, v.make, v.model, v.trim].filter(Boolean).join(' ');
+    const color = v.exterior_color ? `, ${v.exterior_color}` : '';
+    return `- Stock #${v.stock_number}: ${description}${color}`;
+  });
 
   return `CONVERSATION CONTEXT:
-${context.length > 0 ? context.join('\n') + '\n\n' : ''}CONVERSATION HISTORY:
-${conversationText}
+${context.join('\n')}\n\n${leadSections}${stock.length > 0 ? 'IN-STOCK VEHICLES (real units on the lot matching their interest):\n' + stock.join('\n') + '\n\n' : ''}CONVERSATION HISTORY:
+${conversationText}`;
+}
 
-Generate ONE natural, engaging reply for the sales rep to send.`;
+function buildUserPrompt({ variants = null, ...conversation }) {
+  const { channel } = conversation;
+
+  return `${buildConversationContext(conversation)}
+
+${variants
+  ? `Generate ${variants.length} natural, engaging ${channel.noun} reply variants for the sales rep to choose from.`
+  : `Generate ONE natural, engaging ${channel.noun} reply for the sales rep to send.`}`;
 }
 
 // ============================================================================
@@ -129,184 +370,949 @@ function extractReply(parsed) {
   return null;
 }
 
+// Normalize the model's variants against the styles that were requested.
+// Variants without text are dropped; label, intent and confidence fall back
+// to safe values rather than failing the whole request.
+function extractVariants(parsed, requested) {
+  const list = Array.isArray(parsed?.variants) ? parsed.variants
+    : Array.isArray(parsed?.suggestions) ? parsed.suggestions
+    : [];
+  
+  return list.slice(0, requested.length).map((item, i) => {
+    const text = typeof item === 'string' ? item : item?.reply || item?.text;
+    if (typeof text !== 'string' || !text.trim()) {
+      return null;
+    }
+    
+    const intent = String(item?.intent || '').toLowerCase().replace(/[\s-]+/g, '_');
+    const confidence = Number(item?.confidence);
+    
+    return {
+      text: text.trim(),
+      label: requested[i].label,
+      intent: REPLY_INTENTS.includes(intent) ? intent : 'other',
+      confidence: Number.isFinite(confidence) ? Math.min(1, Math.max(0, confidence)) : null,
+      vehicles: Array.isArray(item?.vehicles) ? item.vehicles : [],
+      subject: item?.subject,
+      translation: item?.translation
+    };
+  }).filter(Boolean);
+}
+
+// Only report vehicles that were actually offered to the model - anything else
+// would be an invented stock number.
+function extractCitedVehicles(parsed, reply, inventory) {
+  const cited = new Set(
+    (Array.isArray(parsed?.vehicles) ? parsed.vehicles : [])
+      .map(v => String(typeof v === 'object' ? v?.stock_number ?? v?.stockNumber : v).trim().toUpperCase())
+  );
+  
+  return inventory.filter(v => {
+    const stockNumber = String(v.stock_number).toUpperCase();
+    return cited.has(stockNumber) || mentionsStockNumber(reply, stockNumber);
+  });
+}
+
+// Whole stock numbers only - "T123" is not mentioned by a reply about "T1234"
+function mentionsStockNumber(text, stockNumber) {
+  const escaped = stockNumber.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(?<![A-Z0-9])${escaped}(?![A-Z0-9])`, 'i').test(text);
+}
+
+// ============================================================================
+// HELPER: Inventory matching the lead
+// ============================================================================
+// Look up in-stock units matching the lead's vehicle of interest so the
+// model can reference real stock numbers instead of avoiding specifics.
+async function findMatchingInventory(dealership, lead) {
+  const interest = [lead?.vehicleYear, lead?.vehicleMake, lead?.vehicleModel].filter(Boolean).join(' ');
+  
+  if (!interest) {
+    return [];
+  }
+  
+  try {
+    const { vehicles } = await searchInventory(dealership.id, {
+      filters: { q: interest, status: ['available'] },
+      limit: 5
+    });
+    return vehicles;
+  } catch (err) {
+    // Inventory is a nice-to-have for replies - never fail the request over it
+    console.warn('[agent] ⚠️  Inventory lookup failed:', err.message);
+    return [];
+  }
+}
+
+// ============================================================================
+// CONVERSATION REQUESTS (shared by the reply and summary endpoints)
+// ============================================================================
+// Validates the messages/lead/page payload, resolves the model settings and
+// gathers the context every prompt is built from. Returns { status, error }
+// when the request can't be served.
+async function prepareConversation(req) {
+  const { messages = [], lead: rawLead = {}, page = {}, client = {}, options = {} } = req.body || {};
+  const { dealership } = req;
+
+  console.log('[agent] ========== NEW REQUEST ==========');
+  console.log('[agent] Dealership:', dealership.id);
+  console.log('[agent] Messages:', messages.length);
+  
+  // Validation
+  if (!messages || messages.length === 0) {
+    console.warn('[agent] ❌ No messages provided');
+    return { status: 400, error: 'No conversation context provided' };
+  }
+
+  const { lead, unknownFields, error: leadError } = parseLead(rawLead);
+  if (leadError) {
+    console.warn('[agent] ❌', leadError);
+    return { status: 400, error: leadError };
+  }
+  console.log('[agent] Lead fields:', Object.keys(lead).join(', ') || 'none');
+  if (unknownFields.length > 0) {
+    console.warn('[agent] ⚠️  Unknown lead field(s):', unknownFields.join(', '));
+  }
+
+  let language;
+  try {
+    language = resolveLanguage({ messages, requested: options?.language });
+  } catch (languageErr) {
+    console.warn('[agent] ❌ Invalid options:', languageErr.message);
+    return { status: 400, error: languageErr.message };
+  }
+  console.log('[agent] Language:', language.code, `(${language.source}${language.confidence ? ` ${language.confidence}` : ''})`);
+
+  const channel = resolveChannelProfile({ page, dealership, lead, messages, language: language.code });
+  console.log('[agent] Channel:', channel.id, page?.channel ? `(requested "${page.channel}")` : '(default)');
+
+  let settings;
+  try {
+    settings = resolveGenerationSettings({ dealership, overrides: options?.llm, allowAll: hasScope(req.apiKey, 'admin') });
+  } catch (settingsErr) {
+    console.warn('[agent] ❌ Invalid generation settings:', settingsErr.message);
+    return { status: 400, error: settingsErr.message };
+  }
+
+  // Check the provider is configured (API key, base URL...)
+  const configError = settings.provider.configError();
+  if (configError) {
+    console.error('[agent] ❌', configError);
+    return { status: 500, error: configError };
+  }
+
+  console.log('[agent] Looking up matching inventory...');
+  const inventory = await findMatchingInventory(dealership, lead);
+  console.log('[agent] Matching vehicles in stock:', inventory.length);
+
+  return {
+    dealership,
+    apiKeyId: req.apiKey?.id || null,
+    messages,
+    lead,
+    leadContext: buildLeadContext(lead, { timeZone: dealership.syncSchedule?.timezone || process.env.SYNC_TIMEZONE }),
+    language,
+    channel,
+    settings,
+    inventory,
+    leadWarnings: unknownFields.map(field => `Unknown lead field "${field}" was ignored`),
+    request: { messages, lead: rawLead, page, client, options }
+  };
+}
+
+// ============================================================================
+// REPLY PIPELINE (shared by the JSON and streaming endpoints)
+// ============================================================================
+// Adds the reply options and prompts to the conversation context. Returns
+// { status, error } when the request can't be served, or { optOut } when the
+// customer has opted out of texts.
+async function prepareReply(req) {
+  const conversation = await prepareConversation(req);
+  if (conversation.error) {
+    return conversation;
+  }
+  const { dealership, messages, lead, leadContext, language, channel, inventory, request } = conversation;
+
+  // A customer who texted STOP only gets the opt-out confirmation
+  if (channel.id === 'sms' && hasOptedOut(messages)) {
+    console.log('[agent] 🚫 Customer opted out of texts - returning the confirmation only');
+    return { optOut: buildOptOutReply(dealership, language) };
+  }
+
+  // An English translation comes with non-English replies unless turned off
+  const translate = language.code !== 'en' && request.options?.translate !== false;
+
+  let variants;
+  try {
+    variants = parseVariantOptions(request.options);
+  } catch (optionErr) {
+    console.warn('[agent] ❌ Invalid options:', optionErr.message);
+    return { status: 400, error: optionErr.message };
+  }
+  console.log('[agent] Variants requested:', variants ? variants.length : 'single');
+
+  // A/B tests split by conversation, so a thread keeps the same prompt version
+  const splitKey = request.client?.conversationId || request.client?.leadId || lead.email || lead.phone || null;
+  const template = await selectPromptVersion(REPLY_TEMPLATE, splitKey);
+  console.log('[agent] Prompt:', template.name, template.version ? `v${template.version} (${template.variant})` : '(built-in)');
+
+  console.log('[agent] Building prompts...');
+  const system = buildSystemPrompt({ dealership, channel, language, translate, variants, template });
+  const user = buildUserPrompt({ messages, leadContext, channel, inventory, variants });
+
+  const guardrails = {
+    // The rendered prompts, so "November 30" counts as given when the lead
+    // only had 2026-11-30, and a price the model never saw doesn't
+    sourceText: buildGuardrailSource({ system, user }),
+    bannedPhrases: getBannedPhrases(dealership),
+    minSentences: channel.minSentences,
+    maxSentences: channel.maxSentences,
+    maxChars: channel.maxChars
+  };
+
+  const prompt = { name: template.name, version: template.version, variant: template.variant };
+
+  return { ...conversation, variants, translate, prompt, system, user, guardrails };
+}
+
+// Same shape as a generated reply, but nothing is generated or stored
+function buildOptOutReply(dealership, language) {
+  const text = optOutConfirmation(dealership, language.code);
+  return {
+    suggestions: [text],
+    vehicles: [],
+    aiGenerated: false,
+    channel: 'sms',
+    language,
+    optedOut: true,
+    ...countSmsSegments(text),
+    guardrails: { passed: true, retried: false, warnings: [] },
+    suggestionId: null
+  };
+}
+
+// Unknown lead fields are reported with the reply rather than dropped silently
+function leadWarnings(context) {
+  return context.leadWarnings.length > 0 ? { leadWarnings: context.leadWarnings } : {};
+}
+
+function buildCompletionRequest({ variants, settings, system, user }, followUp = []) {
+  return {
+    model: settings.model,
+    temperature: settings.temperature,
+    // Variants need room for several replies
+    maxTokens: variants ? Math.max(settings.maxTokens, 250 * variants.length + 150) : settings.maxTokens,
+    json: true,
+    messages: [
+      { role: 'system', content: system },
+      { role: 'user', content: user },
+      ...followUp
+    ]
+  };
+}
+
+function replyTranslation(value, translate) {
+  return translate && typeof value === 'string' && value.trim() ? { translation: value.trim() } : {};
+}
+
+// Turns the raw model output into the response payload, or null when no
+// usable reply could be extracted.
+function finalizeReply(raw, { variants, inventory, channel, language, translate }) {
+  let reply = null;
+  let vehicles = [];
+  let extractedVariants = null;
+  let channelFields = {};
+  
+  try {
+    const parsed = JSON.parse(raw);
+    
+    if (variants) {
+      extractedVariants = extractVariants(parsed, variants)
+        .map(({ subject, translation, ...variant }) => ({
+          ...variant,
+          ...completeReply(channel, variant.text, { subject }),
+          ...replyTranslation(translation, translate)
+        }));
+      reply = extractedVariants[0]?.text || null;
+      console.log('[agent] ✅ Extracted', extractedVariants.length, 'variant(s)');
+      
+      const cited = new Map();
+      for (const variant of extractedVariants) {
+        const variantVehicles = extractCitedVehicles(variant, variant.text, inventory);
+        variantVehicles.forEach(v => cited.set(v.stock_number, v));
+        variant.vehicles = variantVehicles.map(v => v.stock_number);
+      }
+      vehicles = Array.from(cited.values());
+    } else {
+      reply = extractReply(parsed);
+      console.log('[agent] ✅ Extracted reply:', reply?.substring(0, 100));
+      
+      if (reply) {
+        vehicles = extractCitedVehicles(parsed, reply, inventory);
+        ({ text: reply, ...channelFields } = completeReply(channel, reply, parsed));
+        Object.assign(channelFields, replyTranslation(parsed.translation, translate));
+      }
+    }
+    console.log('[agent] Vehicles cited:', vehicles.map(v => v.stock_number).join(', ') || 'none');
+  } catch (parseErr) {
+    console.error('[agent] ❌ JSON parse failed:', parseErr.message);
+  }
+
+  if (!reply) {
+    console.error('[agent] ❌ Could not extract reply from AI response');
+    return null;
+  }
+
+  // suggestions stays an array of strings (for backward compatibility) -
+  // variant metadata is returned alongside it
+  const suggestions = extractedVariants ? extractedVariants.map(v => v.text) : [reply];
+
+  return {
+    suggestions,
+    ...(extractedVariants && { variants: extractedVariants }),
+    vehicles,
+    aiGenerated: true,
+    channel: channel.id,
+    language,
+    ...channelFields
+  };
+}
+
+// ============================================================================
+// HELPER: Guardrails
+// ============================================================================
+// Only the text the model wrote is checked - not the signature or opt-out
+// footer appended to it. Email subjects get the number and wording checks;
+// English translations only the wording check, since the banned phrases are
+// English but a translated date ("30 de noviembre" → "November 30") would
+// look invented.
+function checkChannelReply({ text, subject, translation }, { guardrails, channel }) {
+  const labelled = (label, warnings) => warnings.map(w => ({ ...w, message: `${label}: ${w.message}` }));
+
+  return [
+    ...checkReply(replyBody(channel, text), guardrails),
+    ...(subject ? labelled('Subject', [
+      ...checkNumbers(subject, guardrails.sourceText),
+      ...checkBannedPhrases(subject, guardrails.bannedPhrases)
+    ]) : []),
+    ...(translation ? labelled('Translation', checkBannedPhrases(translation, guardrails.bannedPhrases)) : [])
+  ];
+}
+
+function runGuardrails(payload, context) {
+  if (payload.variants) {
+    return payload.variants.flatMap((variant, variantIndex) =>
+      checkChannelReply(variant, context).map(w => ({ ...w, variantIndex }))
+    );
+  }
+  return checkChannelReply({ ...payload, text: payload.suggestions[0] }, context);
+}
+
+// Validates the reply and, on a violation, asks the model once more with the
+// problems spelled out. Returns the (possibly replaced) raw output and payload
+// plus a guardrails summary for the response.
+async function enforceGuardrails(context, { raw, payload }, { onRetry } = {}) {
+  let warnings = runGuardrails(payload, context);
+  
+  if (warnings.length === 0) {
+    return { raw, payload, guardrails: { passed: true, retried: false, warnings } };
+  }
+  
+  console.warn('[agent] ⚠️  Guardrail violations:', warnings.map(w => w.message).join(' | '));
+  console.log('[agent] 🔁 Retrying once with guardrail feedback...');
+  onRetry?.(warnings);
+  
+  // The first reply is still usable, so a failed retry only gets reported
+  let completion;
+  try {
+    completion = await context.settings.provider.complete(buildCompletionRequest(context, [
+      { role: 'assistant', content: raw },
+      { role: 'user', content: describeViolations(warnings) }
+    ]));
+  } catch (err) {
+    console.warn('[agent] ⚠️  Guardrail retry failed, keeping the first reply:', err.message);
+    return { raw, payload, guardrails: { passed: false, retried: true, retryError: describeLLMError(err).error, warnings } };
+  }
+  
+  const retryRaw = completion.content || '{}';
+  console.log('[agent] Retry raw response:', retryRaw);
+  const retryPayload = finalizeReply(retryRaw, context);
+  
+  if (retryPayload) {
+    raw = retryRaw;
+    payload = retryPayload;
+    warnings = runGuardrails(payload, context);
+  } else {
+    console.warn('[agent] ⚠️  Retry produced no valid reply, keeping the first one');
+  }
+  
+  if (warnings.length > 0) {
+    console.warn('[agent] ⚠️  Still violating after retry:', warnings.map(w => w.message).join(' | '));
+  } else {
+    console.log('[agent] ✅ Retry passed guardrails');
+  }
+  
+  return { raw, payload, guardrails: { passed: warnings.length === 0, retried: true, warnings } };
+}
+
+// ============================================================================
+// HELPER: Persist generated suggestions
+// ============================================================================
+// Every generation attempt is stored so managers can see which replies reps
+// actually send. Persistence problems are logged but never fail the reply -
+// the caller just gets a null suggestionId and can't send feedback for it.
+async function recordSuggestion({ id, context, streamed = false, raw = null, durationMs = null, payload = null, error = null }) {
+  try {
+    await pool.query(`
+      INSERT INTO suggestions (
+        id, dealership_id, request_context, system_prompt, user_prompt,
+        provider, model, latency_ms, raw_response, reply, response, streamed, error, api_key_id,
+        prompt_template, prompt_version
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+    `, [
+      id,
+      context.dealership.id,
+      JSON.stringify(context.request),
+      context.system,
+      context.user,
+      context.settings.provider.name,
+      context.settings.model,
+      durationMs,
+      raw,
+      payload?.suggestions?.[0] || null,
+      payload ? JSON.stringify(payload) : null,
+      streamed,
+      error,
+      context.apiKeyId,
+      context.prompt.name,
+      context.prompt.version
+    ]);
+    console.log('[agent] 💾 Suggestion saved:', id);
+    return id;
+  } catch (err) {
+    console.warn('[agent] ⚠️  Could not save suggestion:', err.message);
+    return null;
+  }
+}
+
+// Maps provider failures to the status/message returned to the CRM
+function describeLLMError(err) {
+  if (err instanceof LLMError) {
+    return { status: err.status, code: err.code, error: err.message };
+  }
+  
+  return { status: 500, code: 'unknown', error: err.message || 'Unknown error generating reply' };
+}
+
 // ============================================================================
 // MAIN ENDPOINT
 // ============================================================================
-app.post('/agent/reply', requireAuth, async (req, res) => {
+app.post('/agent/reply', requireScope('reply:generate'), resolveDealership, async (req, res) => {
+  let context;
+  let startTime;
+  
   try {
-    const { messages = [], lead = {}, page = {}, client = {} } = req.body || {};
+    context = await prepareReply(req);
+    
+    if (context.error) {
+      return res.status(context.status).json({
+        suggestions: [],
+        error: context.error
+      });
+    }
 
-    console.log('[agent] ========== NEW REQUEST ==========');
-    console.log('[agent] Messages:', messages.length);
-    console.log('[agent] Has lead data:', !!lead?.name);
-    console.log('[agent] Channel:', page?.channel || 'unknown');
+    if (context.optOut) {
+      return res.json(context.optOut);
+    }
+
+    const { provider, model } = context.settings;
+    console.log(`[agent] 🤖 Calling ${provider.label}...`);
+    console.log('[agent] Model:', model);
     
-    // Validation
-    if (!messages || messages.length === 0) {
-      console.warn('[agent] ❌ No messages provided');
-      return res.status(400).json({ 
+    startTime = Date.now();
+    
+    const completion = await provider.complete(buildCompletionRequest(context));
+
+    const duration = Date.now() - startTime;
+    console.log(`[agent] ✅ ${provider.label} responded in`, duration, 'ms');
+
+    const firstRaw = completion.content || '{}';
+    console.log('[agent] Raw response:', firstRaw);
+    
+    const firstPayload = finalizeReply(firstRaw, context);
+
+    if (!firstPayload) {
+      await recordSuggestion({ id: randomUUID(), context, raw: firstRaw, durationMs: duration, error: 'AI generated no valid reply' });
+      return res.status(500).json({ 
         suggestions: [],
-        error: 'No conversation context provided'
+        error: 'AI generated no valid reply',
+        debug: { rawResponse: firstRaw.substring(0, 200) }
       });
     }
 
-    // Check if OpenAI key is configured
-    if (!process.env.OPENAI_API_KEY) {
-      console.error('[agent] ❌ OPENAI_API_KEY not set!');
-      return res.status(500).json({
+    const { raw, payload, guardrails } = await enforceGuardrails(context, { raw: firstRaw, payload: firstPayload });
+    const totalDuration = Date.now() - startTime;
+    
+    if (!guardrails.passed && getGuardrailMode() === 'reject') {
+      await recordSuggestion({ id: randomUUID(), context, raw, durationMs: totalDuration, payload: { ...payload, guardrails }, error: 'Reply failed guardrail checks' });
+      return res.status(422).json({
         suggestions: [],
-        error: 'OpenAI API key not configured'
+        error: 'Reply failed guardrail checks',
+        guardrails
       });
     }
 
-    console.log('[agent] Building prompts...');
-    const system = buildSystemPrompt({ dealership: { name: 'Quirk Chevrolet NH' } });
-    const user = buildUserPrompt({ messages, lead, page });
+    const suggestionId = await recordSuggestion({ id: randomUUID(), context, raw, durationMs: totalDuration, payload: { ...payload, guardrails } });
 
-    console.log('[agent] 🤖 Calling OpenAI API...');
-    console.log('[agent] Model: gpt-4o');
+    console.log('[agent] ✅ Returning AI-generated reply');
+    console.log('[agent] ========================================\n');
     
-    const startTime = Date.now();
+    res.json({ ...payload, guardrails, suggestionId, ...leadWarnings(context) });
+
+  } catch (err) {
+    console.error('[agent] ❌ FATAL ERROR:', err.message);
+    console.error('[agent] Stack:', err.stack);
     
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4o',
-      temperature: 0.4,
-      max_tokens: 400,
-      response_format: { type: 'json_object' },
-      messages: [
-        { role: 'system', content: system },
-        { role: 'user', content: user }
-      ]
+    const { status, error } = describeLLMError(err);
+    
+    if (context?.settings) {
+      await recordSuggestion({ id: randomUUID(), context, durationMs: startTime ? Date.now() - startTime : null, error });
+    }
+    
+    res.status(status).json({ 
+      suggestions: [],
+      error
     });
+  }
+});
 
-    const duration = Date.now() - startTime;
-    console.log('[agent] ✅ OpenAI responded in', duration, 'ms');
+// ============================================================================
+// STREAMING ENDPOINT (Server-Sent Events)
+// ============================================================================
+// Events:
+//   delta - { index, text }  new reply text as it is generated (index is the
+//                            variant number, always 0 for a single reply)
+//   retry - { warnings }     the streamed text failed guardrails and is being
+//                            regenerated - discard it and wait for done
+//   done  - the same payload /agent/reply returns
+//   error - { error, code, status }
+// Request validation failures are returned as plain JSON before the stream opens.
+
+// Decodes a JSON string body that may still be incomplete, stopping at the
+// closing quote or at an escape sequence that hasn't fully arrived yet.
+function decodePartialJSONString(source, start) {
+  let text = '';
+  
+  for (let i = start; i < source.length; i++) {
+    const ch = source[i];
+    
+    if (ch === '"') {
+      return { text, complete: true };
+    }
+    
+    if (ch !== '\\') {
+      text += ch;
+      continue;
+    }
+    
+    const next = source[i + 1];
+    if (next === undefined) break;
+    
+    if (next === 'u') {
+      const hex = source.slice(i + 2, i + 6);
+      if (hex.length < 4) break;
+      text += String.fromCharCode(parseInt(hex, 16));
+      i += 5;
+    } else {
+      text += { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f' }[next] ?? next;
+      i += 1;
+    }
+  }
+  
+  return { text, complete: false };
+}
+
+// Pulls the text of every "reply" field seen so far out of the partial JSON
+function extractPartialReplies(buffer) {
+  const replies = [];
+  const pattern = /"reply"\s*:\s*"/g;
+  let match;
+  
+  while ((match = pattern.exec(buffer)) !== null) {
+    replies.push(decodePartialJSONString(buffer, match.index + match[0].length).text);
+  }
+  
+  return replies;
+}
+
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+app.post('/agent/reply/stream', requireScope('reply:generate'), resolveDealership, async (req, res) => {
+  let streamOpen = false;
+  let context;
+  let startTime;
+  
+  try {
+    context = await prepareReply(req);
+    
+    if (context.error) {
+      return res.status(context.status).json({
+        suggestions: [],
+        error: context.error
+      });
+    }
 
-    const raw = completion.choices?.[0]?.message?.content || '{}';
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    streamOpen = true;
+
+    if (context.optOut) {
+      sendEvent(res, 'done', context.optOut);
+      return res.end();
+    }
+
+    const { provider, model } = context.settings;
+    console.log(`[agent] 🤖 Streaming from ${provider.label}...`);
+    console.log('[agent] Model:', model);
+    
+    startTime = Date.now();
+    
+    // Stop paying for tokens nobody will read
+    const abort = new AbortController();
+    res.on('close', () => {
+      if (!res.writableEnded) {
+        console.log('[agent] ⚠️  Client disconnected, aborting stream');
+        abort.abort();
+      }
+    });
+
+    let raw = '';
+    const sent = [];
+    
+    for await (const text of provider.stream(buildCompletionRequest(context), { signal: abort.signal })) {
+      raw += text;
+      
+      extractPartialReplies(raw).forEach((text, index) => {
+        const already = sent[index] || 0;
+        if (text.length > already) {
+          sendEvent(res, 'delta', { index, text: text.slice(already) });
+          sent[index] = text.length;
+        }
+      });
+    }
+
+    const duration = Date.now() - startTime;
+    console.log(`[agent] ✅ ${provider.label} stream finished in`, duration, 'ms');
     console.log('[agent] Raw response:', raw);
     
-    let reply = null;
+    const firstPayload = finalizeReply(raw || '{}', context);
+
+    if (!firstPayload) {
+      await recordSuggestion({ id: randomUUID(), context, streamed: true, raw, durationMs: duration, error: 'AI generated no valid reply' });
+      sendEvent(res, 'error', {
+        status: 500,
+        code: 'no_valid_reply',
+        error: 'AI generated no valid reply'
+      });
+    } else {
+      // Already-streamed text can't be taken back - a retry event tells the
+      // client to discard it and wait for the done payload
+      const checked = await enforceGuardrails(context, { raw, payload: firstPayload }, {
+        onRetry: warnings => sendEvent(res, 'retry', { warnings })
+      });
+      const { payload, guardrails } = checked;
+      const totalDuration = Date.now() - startTime;
+      
+      if (!guardrails.passed && getGuardrailMode() === 'reject') {
+        await recordSuggestion({ id: randomUUID(), context, streamed: true, raw: checked.raw, durationMs: totalDuration, payload: { ...payload, guardrails }, error: 'Reply failed guardrail checks' });
+        sendEvent(res, 'error', {
+          status: 422,
+          code: 'guardrail_violation',
+          error: 'Reply failed guardrail checks',
+          guardrails
+        });
+      } else {
+        const suggestionId = await recordSuggestion({ id: randomUUID(), context, streamed: true, raw: checked.raw, durationMs: totalDuration, payload: { ...payload, guardrails } });
+        console.log('[agent] ✅ Streamed AI-generated reply');
+        sendEvent(res, 'done', { ...payload, guardrails, suggestionId, ...leadWarnings(context) });
+      }
+    }
     
+    console.log('[agent] ========================================\n');
+    res.end();
+
+  } catch (err) {
+    if (err instanceof LLMAbortError) {
+      return;
+    }
+    
+    console.error('[agent] ❌ FATAL ERROR:', err.message);
+    console.error('[agent] Stack:', err.stack);
+    
+    const { status, code, error } = describeLLMError(err);
+    
+    if (context?.settings) {
+      await recordSuggestion({ id: randomUUID(), context, streamed: true, durationMs: startTime ? Date.now() - startTime : null, error });
+    }
+    
+    if (!streamOpen) {
+      return res.status(status).json({ suggestions: [], error });
+    }
+    
+    sendEvent(res, 'error', { status, code, error });
+    res.end();
+  }
+});
+
+// ============================================================================
+// CONVERSATION SUMMARY
+// ============================================================================
+// A quick read on a thread for a rep picking it up from someone else: what
+// the customer wants, what is holding them back, what is still unanswered
+// and what to do next. Takes the same payload as /agent/reply; the prompt
+// and the response normalizer live in summary/.
+
+function buildSummaryUserPrompt(conversation) {
+  return `${buildConversationContext(conversation)}
+
+Summarize this conversation for the rep taking it over.`;
+}
+
+app.post('/agent/summary', requireScope('reply:generate'), resolveDealership, async (req, res) => {
+  try {
+    const conversation = await prepareConversation(req);
+
+    if (conversation.error) {
+      return res.status(conversation.status).json({
+        summary: null,
+        error: conversation.error
+      });
+    }
+
+    const { dealership, settings, inventory } = conversation;
+    console.log(`[agent] 🤖 Summarizing with ${settings.provider.label}...`);
+    console.log('[agent] Model:', settings.model);
+
+    const startTime = Date.now();
+    const completion = await settings.provider.complete({
+      model: settings.model,
+      temperature: settings.temperature,
+      // The summary is longer than a reply
+      maxTokens: Math.max(settings.maxTokens, 800),
+      json: true,
+      messages: [
+        { role: 'system', content: buildSummarySystemPrompt({ dealership }) },
+        { role: 'user', content: buildSummaryUserPrompt(conversation) }
+      ]
+    });
+    console.log(`[agent] ✅ ${settings.provider.label} responded in`, Date.now() - startTime, 'ms');
+
+    const raw = completion.content || '{}';
+    let summary = null;
     try {
-      const parsed = JSON.parse(raw);
-      reply = extractReply(parsed);
-      console.log('[agent] ✅ Extracted reply:', reply?.substring(0, 100));
+      summary = extractSummary(JSON.parse(raw), inventory);
     } catch (parseErr) {
       console.error('[agent] ❌ JSON parse failed:', parseErr.message);
     }
 
-    if (!reply) {
-      console.error('[agent] ❌ Could not extract reply from AI response');
-      return res.status(500).json({ 
-        suggestions: [],
-        error: 'AI generated no valid reply',
+    if (!summary) {
+      console.error('[agent] ❌ Could not extract summary from AI response');
+      return res.status(500).json({
+        summary: null,
+        error: 'AI generated no valid summary',
         debug: { rawResponse: raw.substring(0, 200) }
       });
     }
 
-    // Return as array with single reply (for backward compatibility)
-    const suggestions = [reply];
-
-    console.log('[agent] ✅ Returning AI-generated reply');
+    console.log('[agent] ✅ Returning summary, next action:', summary.nextAction.action);
     console.log('[agent] ========================================\n');
-    
-    res.json({ 
-      suggestions, 
-      aiGenerated: true
+
+    res.json({
+      summary,
+      channel: conversation.channel.id,
+      language: conversation.language,
+      aiGenerated: true,
+      ...leadWarnings(conversation)
     });
 
   } catch (err) {
     console.error('[agent] ❌ FATAL ERROR:', err.message);
-    console.error('[agent] Stack:', err.stack);
+
+    const { status, error } = describeLLMError(err);
+    res.status(status).json({
+      summary: null,
+      error
+    });
+  }
+});
+
+// ============================================================================
+// SUGGESTION FEEDBACK
+// ============================================================================
+// The CRM extension reports what the rep did with a suggestion:
+//   { suggestionId, outcome: 'sent_as_is' | 'edited' | 'discarded',
+//     finalText (required when edited), variantIndex, repName }
+// variantIndex is only accepted for suggestions that returned variants.
+const FEEDBACK_OUTCOMES = ['sent_as_is', 'edited', 'discarded'];
+
+app.post('/agent/feedback', requireScope('reply:generate'), resolveDealership, async (req, res) => {
+  try {
+    const { suggestionId, outcome, finalText, variantIndex = null, repName = null } = req.body || {};
     
-    // Check for specific OpenAI errors
-    if (err.message?.includes('API key')) {
-      return res.status(500).json({
-        suggestions: [],
-        error: 'Invalid OpenAI API key'
+    if (!suggestionId || !FEEDBACK_OUTCOMES.includes(outcome)) {
+      return res.status(400).json({
+        success: false,
+        error: `suggestionId and an outcome of ${FEEDBACK_OUTCOMES.join(', ')} are required`
+      });
+    }
+    
+    if (outcome === 'edited' && (typeof finalText !== 'string' || !finalText.trim())) {
+      return res.status(400).json({
+        success: false,
+        error: 'finalText is required when outcome is edited'
       });
     }
     
-    if (err.message?.includes('quota') || err.message?.includes('insufficient_quota')) {
-      return res.status(500).json({
-        suggestions: [],
-        error: 'OpenAI quota exceeded - check your billing'
+    const suggestion = await pool.query(
+      `SELECT id, response FROM suggestions WHERE id::text = $1 AND dealership_id = $2`,
+      [String(suggestionId), req.dealership.id]
+    );
+    
+    if (suggestion.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Suggestion not found'
       });
     }
-
-    if (err.message?.includes('rate_limit')) {
-      return res.status(429).json({
-        suggestions: [],
-        error: 'Rate limited by OpenAI - try again in a moment'
+    
+    // variantIndex must point at one of the variants this suggestion returned
+    const variantCount = suggestion.rows[0].response?.variants?.length || 0;
+    if (variantIndex !== null && !(Number.isInteger(variantIndex) && variantIndex >= 0 && variantIndex < variantCount)) {
+      return res.status(400).json({
+        success: false,
+        error: variantCount > 0
+          ? `variantIndex must be an integer from 0 to ${variantCount - 1}`
+          : 'variantIndex given but this suggestion has no variants'
       });
     }
     
-    res.status(500).json({ 
-      suggestions: [],
-      error: err.message || 'Unknown error calling OpenAI'
+    const result = await pool.query(`
+      INSERT INTO suggestion_feedback (suggestion_id, outcome, final_text, variant_index, rep_name, api_key_id)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING id, created_at
+    `, [suggestionId, outcome, outcome === 'edited' ? finalText.trim() : null, variantIndex, repName, req.apiKey.id]);
+    
+    console.log('[Feedback] Suggestion', suggestionId, '→', outcome);
+    
+    res.status(201).json({
+      success: true,
+      feedbackId: result.rows[0].id,
+      createdAt: result.rows[0].created_at
     });
+    
+  } catch (error) {
+    console.error('[Feedback] Error:', error);
+    res.status(500).json({ success: false, error: 'Could not save feedback' });
+  }
+});
+
+// ============================================================================
+// SUGGESTION STATS ENDPOINT
+// ============================================================================
+// byPrompt splits the same numbers by prompt template version, to compare
+// the two sides of an A/B test
+app.get('/api/suggestions/stats', requireScope('reply:generate'), resolveDealership, async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+    
+    const statsQuery = (columns = '', groupBy = '') => pool.query(`
+      SELECT${columns}
+        COUNT(*) as total_suggestions,
+        COUNT(*) FILTER (WHERE s.error IS NOT NULL) as failed,
+        ROUND(AVG(s.latency_ms)) as avg_latency_ms,
+        COUNT(f.id) FILTER (WHERE f.outcome = 'sent_as_is') as sent_as_is,
+        COUNT(f.id) FILTER (WHERE f.outcome = 'edited') as edited,
+        COUNT(f.id) FILTER (WHERE f.outcome = 'discarded') as discarded
+      FROM suggestions s
+      LEFT JOIN LATERAL (
+        SELECT id, outcome FROM suggestion_feedback
+        WHERE suggestion_id = s.id
+        ORDER BY created_at DESC
+        LIMIT 1
+      ) f ON true
+      WHERE s.dealership_id = $1
+      AND s.created_at > NOW() - make_interval(days => $2)
+      ${groupBy}
+    `, [req.dealership.id, days]);
+    
+    const stats = await statsQuery();
+    const byPrompt = await statsQuery(`
+        s.prompt_template, s.prompt_version,`, `
+      GROUP BY s.prompt_template, s.prompt_version
+      ORDER BY s.prompt_template, s.prompt_version`);
+    
+    res.json({ success: true, dealershipId: req.dealership.id, days, stats: stats.rows[0], byPrompt: byPrompt.rows });
+  } catch (error) {
+    console.error('[Suggestion Stats] Error:', error);
+    res.status(500).json({ success: false, error: 'Stats failed' });
   }
 });
 
 // ============================================================================
 // INVENTORY SEARCH ENDPOINT
 // ============================================================================
-app.get('/api/inventory/search', async (req, res) => {
+// Query parameters (all optional, but at least q or one filter is required):
+//   q                     free text matched against make/model/trim/year
+//   yearMin, yearMax      model year range
+//   make, model, trim, bodyStyle, location   comma-separated exact values
+//   color                 comma-separated, partial match on exterior color
+//   mileageMax            mileage ceiling
+//   priceMin, priceMax    internet price (falls back to MSRP)
+//   status                available (default), sold, removed (dropped from the feed) or any
+//   sort                  year_desc (default), year_asc, price_asc, price_desc,
+//                         mileage_asc, mileage_desc, newest, stock_number
+//   limit                 page size, 1-100 (default 10)
+//   cursor                nextCursor from the previous page
+//   facets=false          skip facet counts
+app.get('/api/inventory/search', requireScope('inventory:read'), resolveDealership, async (req, res) => {
   try {
-    const { q } = req.query;
+    const params = parseSearchParams(req.query);
     
-    if (!q || q.length < 2) {
+    if (params.error) {
       return res.status(400).json({ 
         success: false, 
-        error: 'Query too short',
+        error: params.error,
         vehicles: []
       });
     }
     
-    console.log('[Inventory API] Searching for:', q);
+    console.log('[Inventory API] Searching', req.dealership.id, 'for:', JSON.stringify(params.filters));
     
-    const terms = q.toLowerCase().split(/\s+/).filter(t => t.length > 1);
-    
-    // Build dynamic search query
-    const conditions = terms.map((term, idx) => {
-      return `(
-        LOWER(make) LIKE $${idx + 1} OR
-        LOWER(model) LIKE $${idx + 1} OR
-        LOWER(trim) LIKE $${idx + 1} OR
-        CAST(year AS TEXT) LIKE $${idx + 1}
-      )`;
+    const result = await searchInventory(req.dealership.id, params, {
+      withTotal: true,
+      withFacets: req.query.facets !== 'false'
     });
     
-    const params = terms.map(t => `%${t}%`);
-    
-    const query = `
-      SELECT 
-        stock_number,
-        year,
-        make,
-        model,
-        trim,
-        vin,
-        body_style,
-        exterior_color,
-        mileage,
-        status
-      FROM inventory
-      WHERE status = 'available'
-      AND (${conditions.join(' AND ')})
-      ORDER BY year DESC, make, model
-      LIMIT 10
-    `;
-    
-    const result = await pool.query(query, params);
-    
-    console.log('[Inventory API] Found', result.rows.length, 'matches');
+    console.log('[Inventory API] Found', result.total, 'matches');
     
     res.json({
       success: true,
-      query: q,
-      count: result.rows.length,
-      vehicles: result.rows
+      dealershipId: req.dealership.id,
+      query: params.filters.q,
+      filters: params.filters,
+      sort: params.sort,
+      count: result.vehicles.length,
+      total: result.total,
+      vehicles: result.vehicles,
+      nextCursor: result.nextCursor,
+      facets: result.facets
     });
     
   } catch (error) {
@@ -322,18 +1328,21 @@ app.get('/api/inventory/search', async (req, res) => {
 // ============================================================================
 // INVENTORY STATS ENDPOINT
 // ============================================================================
-app.get('/api/inventory/stats', async (req, res) => {
+app.get('/api/inventory/stats', requireScope('inventory:read'), resolveDealership, async (req, res) => {
   try {
     const stats = await pool.query(`
       SELECT 
         COUNT(*) as total_vehicles,
         COUNT(*) FILTER (WHERE status = 'available') as available,
         COUNT(*) FILTER (WHERE status = 'sold') as sold,
+        COUNT(*) FILTER (WHERE status = 'removed') as removed,
+        COUNT(*) FILTER (WHERE removed_at > NOW() - INTERVAL '7 days') as removed_last_7_days,
         MAX(last_scraped_at) as last_updated
       FROM inventory
-    `);
+      WHERE dealership_id = $1
+    `, [req.dealership.id]);
     
-    res.json({ success: true, stats: stats.rows[0] });
+    res.json({ success: true, dealershipId: req.dealership.id, stats: stats.rows[0] });
   } catch (error) {
     console.error('[Inventory Stats] Error:', error);
     res.status(500).json({ success: false, error: 'Stats failed' });
@@ -341,34 +1350,146 @@ app.get('/api/inventory/stats', async (req, res) => {
 });
 
 // ============================================================================
-// TRIGGER INVENTORY SCRAPER
+// INVENTORY HISTORY ENDPOINT
 // ============================================================================
-app.post('/api/inventory/sync', async (req, res) => {
+app.get('/api/inventory/:stockNumber/history', requireScope('inventory:read'), resolveDealership, async (req, res) => {
   try {
-    console.log('[Inventory Sync] Starting scraper...');
+    const { stockNumber } = req.params;
     
-    // Check for VIN credentials
-    if (!process.env.VIN_USERNAME || !process.env.VIN_PASSWORD) {
-      return res.status(500).json({
+    const vehicle = await pool.query(`
+      SELECT stock_number, year, make, model, trim, vin, status,
+             created_at AS first_seen_at, removed_at, last_scraped_at,
+             (DATE_PART('day', COALESCE(removed_at, NOW()) - created_at))::int AS days_in_stock
+      FROM inventory
+      WHERE dealership_id = $1 AND stock_number = $2
+    `, [req.dealership.id, stockNumber]);
+    
+    if (vehicle.rows.length === 0) {
+      return res.status(404).json({
         success: false,
-        error: 'VIN_USERNAME and VIN_PASSWORD environment variables not set'
+        error: `Stock number ${stockNumber} not found`
       });
     }
     
-    // Dynamic import to avoid loading puppeteer unless needed
-    const scrapeVINInventory = (await import('./scraper/index.js')).default;
+    const history = await pool.query(`
+      SELECT field, old_value, new_value, changed_at
+      FROM inventory_history
+      WHERE dealership_id = $1 AND stock_number = $2
+      ORDER BY changed_at DESC, id DESC
+    `, [req.dealership.id, stockNumber]);
+    
+    // Status flips aren't "details" - only count trim/price/etc. edits
+    const lastDetailChange = history.rows.find(h => h.field !== 'status');
+    
+    res.json({
+      success: true,
+      dealershipId: req.dealership.id,
+      vehicle: vehicle.rows[0],
+      daysInStock: vehicle.rows[0].days_in_stock,
+      detailsLastChangedAt: lastDetailChange?.changed_at || null,
+      history: history.rows
+    });
+    
+  } catch (error) {
+    console.error('[Inventory History] Error:', error);
+    res.status(500).json({ success: false, error: 'History lookup failed' });
+  }
+});
+
+// ============================================================================
+// VIN DECODE ENDPOINT
+// ============================================================================
+app.get('/api/vin/:vin', requireScope('inventory:read'), resolveDealership, async (req, res) => {
+  try {
+    const decoded = decodeVIN(req.params.vin);
     
-    const result = await scrapeVINInventory();
+    if (!decoded.wellFormed) {
+      return res.status(400).json({
+        success: false,
+        error: decoded.errors.join('; '),
+        decoded
+      });
+    }
     
-    console.log('[Inventory Sync] Completed:', result);
+    const result = await pool.query(`
+      SELECT stock_number, year, make, model, trim, vin, vin_issues, body_style,
+             exterior_color, mileage, price_msrp, price_internet, location, status
+      FROM inventory
+      WHERE dealership_id = $1 AND vin = $2
+      ORDER BY (status = 'available') DESC, updated_at DESC
+      LIMIT 1
+    `, [req.dealership.id, decoded.vin]);
     
     res.json({
       success: true,
-      message: 'Inventory synced successfully',
-      ...result
+      dealershipId: req.dealership.id,
+      decoded,
+      vehicle: result.rows[0] || null
+    });
+    
+  } catch (error) {
+    console.error('[VIN API] Error:', error);
+    res.status(500).json({ success: false, error: 'VIN lookup failed' });
+  }
+});
+
+// ============================================================================
+// INVENTORY SYNC JOBS
+// ============================================================================
+// POST starts a background sync and returns 202 with a job id straight away;
+// poll GET /api/inventory/sync/:id for stage, progress and the final result.
+// Body: { force, profile: "name[@version]", dryRun } - a dry run extracts with
+// the chosen scraper profile and reports a sample without writing inventory.
+app.post('/api/inventory/sync', requireScope('inventory:sync'), resolveDealership, async (req, res) => {
+  try {
+    const { dealership } = req;
+    console.log('[Inventory Sync] Starting sync job for', dealership.id, '...');
+    
+    // Check for VIN credentials
+    const credentials = getVINCredentials(dealership);
+    if (!credentials.username || !credentials.password) {
+      return res.status(500).json({
+        success: false,
+        error: `VIN Solutions credentials not configured for dealership ${dealership.id}`
+      });
+    }
+    
+    let profile;
+    try {
+      profile = resolveScraperProfile(dealership, req.body?.profile);
+    } catch (profileError) {
+      return res.status(400).json({ success: false, error: profileError.message });
+    }
+    
+    // force: mark missing units removed even if the scrape looks suspiciously
+    // small or stopped before the last page of the grid
+    const job = await startSyncJob(dealership, {
+      apiKeyId: req.apiKey.id,
+      forceReconcile: req.body?.force === true,
+      dryRun: req.body?.dryRun === true,
+      profile: profile.id
+    });
+    
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      status: job.status,
+      dealershipId: dealership.id,
+      profile: profile.id,
+      dryRun: req.body?.dryRun === true,
+      statusUrl: `/api/inventory/sync/${job.id}`
     });
     
   } catch (error) {
+    if (error instanceof SyncInProgressError) {
+      return res.status(409).json({
+        success: false,
+        error: error.message,
+        jobId: error.job.id,
+        status: error.job.status,
+        statusUrl: `/api/inventory/sync/${error.job.id}`
+      });
+    }
     console.error('[Inventory Sync] Error:', error);
     res.status(500).json({
       success: false,
@@ -377,31 +1498,272 @@ app.post('/api/inventory/sync', async (req, res) => {
   }
 });
 
+app.get('/api/inventory/sync', requireScope('inventory:sync'), resolveDealership, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const jobs = await listSyncJobs(req.dealership.id, { limit, status: req.query.status });
+    
+    res.json({ success: true, dealershipId: req.dealership.id, jobs });
+  } catch (error) {
+    console.error('[Inventory Sync] Error listing jobs:', error);
+    res.status(500).json({ success: false, error: 'Failed to list sync jobs' });
+  }
+});
+
+// Registered before /:id so "schedule" isn't taken for a job id
+app.get('/api/inventory/sync/schedule', requireScope('inventory:sync'), resolveDealership, async (req, res) => {
+  try {
+    const schedule = getScheduleStatus(req.dealership);
+    const [lastRun] = await listSyncJobs(req.dealership.id, { limit: 1 });
+    
+    res.json({
+      success: true,
+      dealershipId: req.dealership.id,
+      schedule,
+      lastRun: lastRun || null
+    });
+  } catch (error) {
+    console.error('[Inventory Sync] Error loading schedule:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/inventory/sync/:id', requireScope('inventory:sync'), resolveDealership, async (req, res) => {
+  try {
+    const job = await getSyncJob(req.params.id, req.dealership.id);
+    
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Sync job not found' });
+    }
+    
+    res.json({
+      success: true,
+      job,
+      diagnosticsUrl: hasDiagnostics(job.id) ? `/api/diagnostics/${job.id}` : null
+    });
+  } catch (error) {
+    console.error('[Inventory Sync] Error loading job:', error);
+    res.status(500).json({ success: false, error: 'Failed to load sync job' });
+  }
+});
+
+// Supplies the one-time code a running sync is waiting on (stage awaiting_mfa)
+app.post('/api/inventory/sync/:id/mfa', requireScope('inventory:sync'), resolveDealership, async (req, res) => {
+  try {
+    const code = String(req.body?.code || '').replace(/\s/g, '');
+    if (!/^\d{4,10}$/.test(code)) {
+      return res.status(400).json({ success: false, error: 'code must be 4-10 digits' });
+    }
+    
+    const job = await getSyncJob(req.params.id, req.dealership.id);
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Sync job not found' });
+    }
+    
+    if (!await submitOperatorCode(job.id, code)) {
+      return res.status(409).json({ success: false, error: 'Sync job is not waiting for a one-time code' });
+    }
+    
+    console.log(`[Inventory Sync] One-time code supplied for job ${job.id}`);
+    res.json({ success: true, jobId: job.id, statusUrl: `/api/inventory/sync/${job.id}` });
+  } catch (error) {
+    console.error('[Inventory Sync] Error supplying MFA code:', error);
+    res.status(500).json({ success: false, error: 'Failed to supply one-time code' });
+  }
+});
+
+// ============================================================================
+// SCRAPER PROFILES
+// ============================================================================
+app.get('/api/scraper/profiles', requireScope('inventory:sync'), resolveDealership, (req, res) => {
+  try {
+    let selected = null;
+    try {
+      selected = resolveScraperProfile(req.dealership).id;
+    } catch (error) {
+      console.warn('[Scraper Profiles] Dealership profile not found:', error.message);
+    }
+    
+    res.json({
+      success: true,
+      dealershipId: req.dealership.id,
+      selected,
+      profiles: listScraperProfiles().map(describeProfile)
+    });
+  } catch (error) {
+    console.error('[Scraper Profiles] Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // ============================================================================
-// DEBUG: SCREENSHOT ENDPOINT
+// API KEYS
 // ============================================================================
-app.get('/api/debug/screenshot', (req, res) => {
-  const screenshotPath = '/tmp/debug-no-iframe.png';
+// Admin keys manage keys. A key bound to a dealership can only see and manage
+// keys bound to the same dealership. The plaintext key is only ever in the
+// create and rotate responses.
+async function findManagedKey(req, res) {
+  const apiKey = await getApiKey(req.params.id);
   
-  console.log('[Debug] Screenshot request - checking for:', screenshotPath);
+  if (!apiKey || (req.apiKey.dealershipId && apiKey.dealershipId !== req.apiKey.dealershipId)) {
+    res.status(404).json({ success: false, error: 'API key not found' });
+    return null;
+  }
+  return apiKey;
+}
+
+app.get('/api/keys', requireScope('admin'), async (req, res) => {
+  try {
+    const keys = await listApiKeys({
+      dealershipId: req.apiKey.dealershipId || req.query.dealershipId,
+      includeRevoked: req.query.includeRevoked === 'true'
+    });
+    
+    res.json({ success: true, scopes: SCOPES, keys: keys.map(publicApiKey) });
+  } catch (error) {
+    console.error('[API Keys] Error listing keys:', error);
+    res.status(500).json({ success: false, error: 'Failed to list API keys' });
+  }
+});
+
+// INTERNAL_TOKEN can create the first key; after that it takes an admin key
+app.post('/api/keys', requireScope('admin', { bootstrap: true }), async (req, res) => {
+  try {
+    let request;
+    try {
+      request = parseApiKeyRequest(req.body);
+    } catch (validationError) {
+      return res.status(400).json({ success: false, error: validationError.message });
+    }
+    
+    const bound = req.apiKey.dealershipId;
+    if (bound && request.dealershipId && request.dealershipId !== bound) {
+      return res.status(403).json({ success: false, error: `Key is not valid for dealership ${request.dealershipId}` });
+    }
+    
+    const { key, apiKey } = await createApiKey({ ...request, dealershipId: request.dealershipId || bound });
+    res.status(201).json({ success: true, key, apiKey: publicApiKey(apiKey) });
+  } catch (error) {
+    console.error('[API Keys] Error creating key:', error);
+    res.status(500).json({ success: false, error: 'Failed to create API key' });
+  }
+});
+
+// Issues a replacement with the same name, scopes and binding; the old key stops working
+app.post('/api/keys/:id/rotate', requireScope('admin'), async (req, res) => {
+  try {
+    const existing = await findManagedKey(req, res);
+    if (!existing) return;
+    
+    const rotated = await rotateApiKey(existing.id);
+    if (!rotated) {
+      return res.status(409).json({ success: false, error: 'API key is already revoked' });
+    }
+    res.status(201).json({ success: true, key: rotated.key, apiKey: publicApiKey(rotated.apiKey) });
+  } catch (error) {
+    console.error('[API Keys] Error rotating key:', error);
+    res.status(500).json({ success: false, error: 'Failed to rotate API key' });
+  }
+});
+
+app.delete('/api/keys/:id', requireScope('admin'), async (req, res) => {
+  try {
+    const existing = await findManagedKey(req, res);
+    if (!existing) return;
+    
+    const revoked = await revokeApiKey(existing.id);
+    if (!revoked) {
+      return res.status(409).json({ success: false, error: 'API key is already revoked' });
+    }
+    res.json({ success: true, apiKey: publicApiKey(revoked) });
+  } catch (error) {
+    console.error('[API Keys] Error revoking key:', error);
+    res.status(500).json({ success: false, error: 'Failed to revoke API key' });
+  }
+});
+
+// ============================================================================
+// SCRAPE DIAGNOSTICS
+// ============================================================================
+// Failed syncs keep a diagnostics bundle named after the sync job id:
+// screenshots and HTML per step, frame URLs, console output and timings.
+// GET /api/diagnostics/:id/download returns the whole bundle as a .tar.gz.
+function findBundle(req, res) {
+  const manifest = getDiagnostics(req.params.id);
   
-  if (fs.existsSync(screenshotPath)) {
-    console.log('[Debug] ✅ Screenshot found, sending file');
-    res.sendFile(screenshotPath);
-  } else {
-    console.log('[Debug] ❌ Screenshot not found');
-    res.status(404).json({ 
-      error: 'Screenshot not found',
-      message: 'Run a scrape first (/api/inventory/sync) to generate the debug screenshot',
-      path: screenshotPath
+  if (!manifest || manifest.dealershipId !== req.dealership.id) {
+    res.status(404).json({ success: false, error: 'Diagnostics bundle not found' });
+    return null;
+  }
+  return manifest;
+}
+
+app.get('/api/diagnostics', requireScope('inventory:sync'), resolveDealership, (req, res) => {
+  try {
+    res.json({
+      success: true,
+      dealershipId: req.dealership.id,
+      bundles: listDiagnostics({ dealershipId: req.dealership.id })
+    });
+  } catch (error) {
+    console.error('[Diagnostics] Error listing bundles:', error);
+    res.status(500).json({ success: false, error: 'Failed to list diagnostics bundles' });
+  }
+});
+
+app.get('/api/diagnostics/:id', requireScope('inventory:sync'), resolveDealership, (req, res) => {
+  try {
+    const manifest = findBundle(req, res);
+    if (!manifest) return;
+    
+    res.json({
+      success: true,
+      bundle: manifest,
+      downloadUrl: `/api/diagnostics/${manifest.id}/download`,
+      fileUrls: Object.fromEntries(manifest.files.map(name => [name, `/api/diagnostics/${manifest.id}/files/${name}`]))
+    });
+  } catch (error) {
+    console.error('[Diagnostics] Error loading bundle:', error);
+    res.status(500).json({ success: false, error: 'Failed to load diagnostics bundle' });
+  }
+});
+
+app.get('/api/diagnostics/:id/download', requireScope('inventory:sync'), resolveDealership, (req, res) => {
+  try {
+    const manifest = findBundle(req, res);
+    if (!manifest) return;
+    
+    res.set({
+      'Content-Type': 'application/gzip',
+      'Content-Disposition': `attachment; filename="diagnostics-${manifest.id}.tar.gz"`
     });
+    res.send(archiveDiagnostics(manifest.id));
+  } catch (error) {
+    console.error('[Diagnostics] Error packing bundle:', error);
+    res.status(500).json({ success: false, error: 'Failed to download diagnostics bundle' });
+  }
+});
+
+app.get('/api/diagnostics/:id/files/:name', requireScope('inventory:sync'), resolveDealership, (req, res) => {
+  try {
+    const manifest = findBundle(req, res);
+    if (!manifest) return;
+    
+    const file = getDiagnosticsFile(manifest.id, req.params.name);
+    if (!file) {
+      return res.status(404).json({ success: false, error: 'File not found in diagnostics bundle' });
+    }
+    res.sendFile(file);
+  } catch (error) {
+    console.error('[Diagnostics] Error sending file:', error);
+    res.status(500).json({ success: false, error: 'Failed to send diagnostics file' });
   }
 });
 
 // ============================================================================
 // TEST: Add sample vehicles (for testing only!)
 // ============================================================================
-app.get('/api/inventory/test-data', async (req, res) => {
+app.get('/api/inventory/test-data', requireScope('admin'), resolveDealership, async (req, res) => {
   try {
     const sampleVehicles = [
       { stock: 'M37385', year: 2024, make: 'Chevrolet', model: 'Silverado 1500', trim: 'Work Truck' },
@@ -413,13 +1775,13 @@ app.get('/api/inventory/test-data', async (req, res) => {
     
     for (const v of sampleVehicles) {
       await pool.query(`
-        INSERT INTO inventory (stock_number, year, make, model, trim, status)
-        VALUES ($1, $2, $3, $4, $5, 'available')
-        ON CONFLICT (stock_number) DO NOTHING
-      `, [v.stock, v.year, v.make, v.model, v.trim]);
+        INSERT INTO inventory (dealership_id, stock_number, year, make, model, trim, status)
+        VALUES ($1, $2, $3, $4, $5, $6, 'available')
+        ON CONFLICT (dealership_id, stock_number) DO NOTHING
+      `, [req.dealership.id, v.stock, v.year, v.make, v.model, v.trim]);
     }
     
-    res.json({ success: true, message: 'Test data inserted!', count: sampleVehicles.length });
+    res.json({ success: true, message: 'Test data inserted!', dealershipId: req.dealership.id, count: sampleVehicles.length });
   } catch (error) {
     console.error('[Test Data] Error:', error);
     res.status(500).json({ success: false, error: error.message });
@@ -427,59 +1789,148 @@ app.get('/api/inventory/test-data', async (req, res) => {
 });
 
 // ============================================================================
-// SETUP: Create database table (run once)
+// PROMPT TEMPLATES
 // ============================================================================
-app.get('/api/setup/create-table', async (req, res) => {
+// Versioned reply prompts (prompts/index.js). Versions are immutable: POST a
+// new one, then PUT the deployment to make it active or to A/B test it as the
+// candidate against the active version:
+//   { "activeVersion": 1, "candidateVersion": 2, "candidatePercent": 20 }
+// Templates are shared by every dealership, so a key bound to one can't
+// change them.
+function findTemplate(req, res) {
+  if (!TEMPLATES[req.params.name]) {
+    res.status(404).json({ success: false, error: `Unknown prompt template: ${req.params.name}` });
+    return null;
+  }
+  return TEMPLATES[req.params.name];
+}
+
+function requireUnboundKey(req, res) {
+  if (req.apiKey.dealershipId) {
+    res.status(403).json({ success: false, error: 'Prompt templates are shared by every dealership - use an admin key that isn\'t bound to one' });
+    return false;
+  }
+  return true;
+}
+
+async function describeTemplate(name) {
+  const { body, ...definition } = TEMPLATES[name];
+  return {
+    name,
+    ...definition,
+    deployment: await getPromptDeployment(name),
+    versions: await listPromptVersions(name)
+  };
+}
+
+app.get('/api/prompts', requireScope('admin'), async (req, res) => {
+  try {
+    const templates = await Promise.all(Object.keys(TEMPLATES).map(describeTemplate));
+    res.json({ success: true, templates });
+  } catch (error) {
+    console.error('[Prompts] Error listing templates:', error);
+    res.status(500).json({ success: false, error: 'Failed to list prompt templates' });
+  }
+});
+
+app.get('/api/prompts/:name', requireScope('admin'), async (req, res) => {
+  try {
+    if (!findTemplate(req, res)) return;
+    res.json({ success: true, template: await describeTemplate(req.params.name) });
+  } catch (error) {
+    console.error('[Prompts] Error loading template:', error);
+    res.status(500).json({ success: false, error: 'Failed to load prompt template' });
+  }
+});
+
+app.get('/api/prompts/:name/versions/:version', requireScope('admin'), async (req, res) => {
   try {
-    console.log('[Setup] Creating inventory table...');
+    if (!findTemplate(req, res)) return;
     
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS inventory (
-        id SERIAL PRIMARY KEY,
-        stock_number VARCHAR(50) UNIQUE NOT NULL,
-        vin VARCHAR(17),
-        year INTEGER,
-        make VARCHAR(100),
-        model VARCHAR(100),
-        trim VARCHAR(100),
-        body_style VARCHAR(100),
-        engine VARCHAR(255),
-        transmission VARCHAR(255),
-        exterior_color VARCHAR(100),
-        interior_color VARCHAR(100),
-        mileage INTEGER,
-        status VARCHAR(50) DEFAULT 'available',
-        location VARCHAR(255),
-        price_msrp DECIMAL(10,2),
-        price_internet DECIMAL(10,2),
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        last_scraped_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
+    const version = Number(req.params.version);
+    const template = Number.isInteger(version) ? await getPromptVersion(req.params.name, version) : null;
+    if (!template) {
+      return res.status(404).json({ success: false, error: 'Prompt version not found' });
+    }
+    res.json({ success: true, version: template });
+  } catch (error) {
+    console.error('[Prompts] Error loading version:', error);
+    res.status(500).json({ success: false, error: 'Failed to load prompt version' });
+  }
+});
+
+app.post('/api/prompts/:name/versions', requireScope('admin'), async (req, res) => {
+  try {
+    if (!findTemplate(req, res) || !requireUnboundKey(req, res)) return;
     
-    console.log('[Setup] Creating indexes...');
+    let request;
+    try {
+      request = parsePromptVersionRequest(req.params.name, req.body);
+    } catch (validationError) {
+      return res.status(400).json({ success: false, error: validationError.message });
+    }
     
-    await pool.query(`CREATE INDEX IF NOT EXISTS idx_stock_number ON inventory(stock_number)`);
-    await pool.query(`CREATE INDEX IF NOT EXISTS idx_year_make_model ON inventory(year, make, model)`);
-    await pool.query(`CREATE INDEX IF NOT EXISTS idx_status ON inventory(status)`);
+    const version = await createPromptVersion(req.params.name, request, req.apiKey.id);
+    res.status(201).json({ success: true, version });
+  } catch (error) {
+    console.error('[Prompts] Error creating version:', error);
+    res.status(500).json({ success: false, error: 'Failed to create prompt version' });
+  }
+});
+
+app.put('/api/prompts/:name/deployment', requireScope('admin'), async (req, res) => {
+  try {
+    if (!findTemplate(req, res) || !requireUnboundKey(req, res)) return;
     
-    console.log('[Setup] ✅ Table and indexes created successfully!');
+    let request;
+    try {
+      request = parsePromptDeploymentRequest(req.body);
+    } catch (validationError) {
+      return res.status(400).json({ success: false, error: validationError.message });
+    }
     
-    res.json({ 
-      success: true, 
-      message: 'Database table created successfully!' 
-    });
+    for (const version of [request.activeVersion, request.candidateVersion].filter(Boolean)) {
+      if (!await getPromptVersion(req.params.name, version)) {
+        return res.status(400).json({ success: false, error: `${req.params.name} has no version ${version}` });
+      }
+    }
     
+    const deployment = await setPromptDeployment(req.params.name, request, req.apiKey.id);
+    res.json({ success: true, deployment });
   } catch (error) {
-    console.error('[Setup] ❌ Error:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: error.message 
+    console.error('[Prompts] Error updating deployment:', error);
+    res.status(500).json({ success: false, error: 'Failed to update prompt deployment' });
+  }
+});
+
+// ============================================================================
+// MIGRATIONS
+// ============================================================================
+// The schema comes from db/migrations, applied at startup or with
+// `npm run migrate`. This only reports what has been applied.
+app.get('/api/migrations', requireScope('admin'), async (req, res) => {
+  try {
+    const migrations = await getMigrationStatus();
+    
+    res.json({
+      success: true,
+      pending: migrations.filter(m => !m.appliedAt).length,
+      migrations
     });
+  } catch (error) {
+    console.error('[Migrate] Error loading status:', error);
+    res.status(500).json({ success: false, error: error.message });
   }
 });
 
+// ============================================================================
+// DEALERSHIPS
+// ============================================================================
+app.get('/api/dealerships', requireScope(), (req, res) => {
+  const dealerships = req.tokenDealership ? [req.tokenDealership] : listDealerships();
+  res.json({ success: true, dealerships: dealerships.map(publicDealership) });
+});
+
 // ============================================================================
 // HEALTH CHECK
 // ============================================================================
@@ -490,6 +1941,31 @@ app.get('/healthz', (req, res) => {
 // ============================================================================
 // START SERVER
 // ============================================================================
-app.listen(PORT, () => {
+// Pending migrations are applied before the server takes traffic; a failed
+// migration stops startup rather than serving against a half-built schema
+async function migrateOnStart() {
+  if (process.env.MIGRATE_ON_START === 'false') {
+    console.log('[Migrate] MIGRATE_ON_START=false - skipping migrations');
+    return;
+  }
+  await runMigrations();
+}
+
+migrateOnStart().then(() => app.listen(PORT, () => {
   console.log(`🚀 VIN Agent service running on :${PORT}`);
+  
+  // Active jobs whose instance stopped sending heartbeats died with it
+  failInterruptedJobs()
+    .then(count => count > 0 && console.log(`[Inventory Sync] Marked ${count} interrupted sync job(s) as failed`))
+    .catch(err => console.warn('[Inventory Sync] Could not clean up interrupted jobs:', err.message))
+    .finally(startScheduler);
+  
+  cleanupDiagnostics()
+    .catch(err => console.warn('[Diagnostics] Cleanup failed:', err.message));
+  setInterval(() => {
+    cleanupDiagnostics().catch(err => console.warn('[Diagnostics] Cleanup failed:', err.message));
+  }, 60 * 60 * 1000).unref();
+})).catch(error => {
+  console.error('💥 Startup failed:', error.message);
+  process.exit(1);
 });
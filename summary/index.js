@@ -0,0 +1,98 @@
+// ============================================================================
+// CONVERSATION SUMMARY
+// ============================================================================
+// The /agent/summary response: the system prompt that asks for it, and the
+// normalizer that turns the model's JSON into something safe to return.
+
+export const SUMMARY_INTENTS = ['purchase', 'lease', 'trade_in', 'financing', 'pricing', 'availability', 'test_drive', 'service', 'other'];
+export const URGENCY_LEVELS = ['high', 'medium', 'low', 'unknown'];
+export const SENTIMENTS = ['positive', 'neutral', 'negative', 'mixed'];
+export const NEXT_ACTIONS = ['reply', 'call', 'appointment', 'trade_appraisal', 'manager_follow_up', 'wait', 'other'];
+export const VEHICLE_ROLES = ['interest', 'trade_in', 'current', 'other'];
+
+export function buildSummarySystemPrompt({ dealership }) {
+  return `You are an AI assistant for ${dealership.name}. A BDC representative is picking up a customer conversation from another rep and needs a quick, accurate read on it.
+
+RULES:
+1. **Only use what is in the conversation and context** - never guess at prices, payments, dates or vehicles that aren't there
+2. **Open questions** are things the customer asked that no rep has answered yet - not questions the rep asked
+3. **Objections** are concerns holding the customer back (price, payment, timing, trade value, credit, spouse approval...) - say whether a rep has addressed each one
+4. **Vehicles** - everything mentioned: what they want, their trade-in, what they drive now. Use a stock number only if it is listed under IN-STOCK VEHICLES
+5. **Next action** - the single most useful thing the rep should do now, with the reason drawn from the conversation
+6. **Always write in English** - even when the customer writes in another language; quote their words in the original only if it matters
+
+RESPONSE FORMAT:
+Return a JSON object with this structure:
+{
+  "summary": "Two or three sentences on where this conversation stands",
+  "intent": { "type": "one of ${SUMMARY_INTENTS.join(', ')}", "details": "What they are trying to do, in their terms" },
+  "objections": [{ "objection": "The concern", "addressed": true or false }],
+  "vehicles": [{ "description": "Year make model trim as mentioned", "stockNumber": "From IN-STOCK VEHICLES, or null", "role": "one of ${VEHICLE_ROLES.join(', ')}" }],
+  "timeline": { "urgency": "one of ${URGENCY_LEVELS.join(', ')}", "details": "Deadlines, appointments or timing they mentioned" },
+  "sentiment": { "overall": "one of ${SENTIMENTS.join(', ')}", "details": "How they feel and whether it is improving or getting worse" },
+  "openQuestions": ["Customer questions no rep has answered yet"],
+  "nextAction": { "action": "one of ${NEXT_ACTIONS.join(', ')}", "description": "What the rep should do", "reason": "Why, based on the conversation" }
+}`;
+}
+
+function oneOf(value, allowed, fallback) {
+  const normalized = String(value || '').toLowerCase().replace(/[\s-]+/g, '_');
+  return allowed.includes(normalized) ? normalized : fallback;
+}
+
+function cleanText(value) {
+  return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+function asList(value) {
+  return Array.isArray(value) ? value : [];
+}
+
+// Normalizes the model's summary; enums fall back to safe values and stock
+// numbers that weren't offered are dropped. Null if there's nothing usable.
+export function extractSummary(parsed, inventory) {
+  const nextAction = parsed?.nextAction || {};
+  const summary = cleanText(parsed?.summary);
+
+  if (!summary && !cleanText(nextAction.description)) {
+    return null;
+  }
+
+  const stockNumbers = new Set(inventory.map(v => String(v.stock_number).toUpperCase()));
+
+  return {
+    summary,
+    intent: {
+      type: oneOf(parsed?.intent?.type, SUMMARY_INTENTS, 'other'),
+      details: cleanText(parsed?.intent?.details)
+    },
+    objections: asList(parsed?.objections)
+      .map(o => typeof o === 'string' ? { objection: o } : o)
+      .filter(o => cleanText(o?.objection))
+      .map(o => ({ objection: cleanText(o.objection), addressed: o.addressed === true })),
+    vehicles: asList(parsed?.vehicles)
+      .filter(v => cleanText(v?.description))
+      .map(v => {
+        const stockNumber = cleanText(v.stockNumber)?.toUpperCase();
+        return {
+          description: cleanText(v.description),
+          stockNumber: stockNumber && stockNumbers.has(stockNumber) ? stockNumber : null,
+          role: oneOf(v.role, VEHICLE_ROLES, 'other')
+        };
+      }),
+    timeline: {
+      urgency: oneOf(parsed?.timeline?.urgency, URGENCY_LEVELS, 'unknown'),
+      details: cleanText(parsed?.timeline?.details)
+    },
+    sentiment: {
+      overall: oneOf(parsed?.sentiment?.overall, SENTIMENTS, 'neutral'),
+      details: cleanText(parsed?.sentiment?.details)
+    },
+    openQuestions: asList(parsed?.openQuestions).map(cleanText).filter(Boolean),
+    nextAction: {
+      action: oneOf(nextAction.action, NEXT_ACTIONS, 'other'),
+      description: cleanText(nextAction.description),
+      reason: cleanText(nextAction.reason)
+    }
+  };
+}
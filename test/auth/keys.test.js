@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseApiKeyRequest, hasScope, authenticateApiKey } from '../../auth/index.js';
+
+test('parseApiKeyRequest accepts scopes as a list or a comma string', () => {
+  assert.deepEqual(
+    parseApiKeyRequest({ name: ' crm ', scopes: ['reply:generate', 'reply:generate'] }),
+    { name: 'crm', scopes: ['reply:generate'], dealershipId: null }
+  );
+  assert.deepEqual(
+    parseApiKeyRequest({ name: 'ops', scopes: 'inventory:read,inventory:sync', dealershipId: 'default' }),
+    { name: 'ops', scopes: ['inventory:read', 'inventory:sync'], dealershipId: 'default' }
+  );
+});
+
+test('parseApiKeyRequest rejects missing names, unknown scopes and dealerships', () => {
+  assert.throws(() => parseApiKeyRequest({ scopes: ['admin'] }), /name is required/);
+  assert.throws(() => parseApiKeyRequest({ name: 'crm' }), /scopes is required/);
+  assert.throws(() => parseApiKeyRequest({ name: 'crm', scopes: ['root'] }), /Unknown scope\(s\): root/);
+  assert.throws(() => parseApiKeyRequest({ name: 'crm', scopes: ['admin'], dealershipId: 'nowhere' }), /Unknown dealership/);
+});
+
+test('admin keys carry every scope', () => {
+  const crm = { scopes: ['reply:generate'] };
+  const admin = { scopes: ['admin'] };
+
+  assert.equal(hasScope(crm, 'reply:generate'), true);
+  assert.equal(hasScope(crm, 'inventory:sync'), false);
+  assert.equal(hasScope(admin, 'inventory:sync'), true);
+});
+
+test('INTERNAL_TOKEN authenticates as an unbound key that can only generate replies', async () => {
+  process.env.INTERNAL_TOKEN = 'internal-test-token';
+  try {
+    const apiKey = await authenticateApiKey('internal-test-token');
+    assert.equal(apiKey.id, 'env:INTERNAL_TOKEN');
+    assert.deepEqual(apiKey.scopes, ['reply:generate']);
+    assert.equal(apiKey.dealershipId, null);
+    assert.equal(hasScope(apiKey, 'admin'), false);
+
+    // A token of the same length that differs is still refused
+    assert.equal(await authenticateApiKey('internal-test-tokem'), null);
+
+    // Anything that isn't a vak_ key is refused without a database lookup
+    assert.equal(await authenticateApiKey('not-a-key'), null);
+    assert.equal(await authenticateApiKey(undefined), null);
+  } finally {
+    delete process.env.INTERNAL_TOKEN;
+  }
+});
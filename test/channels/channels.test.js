@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  normalizeChannel,
+  resolveChannelProfile,
+  countSmsSegments,
+  hasOptedOut,
+  optOutConfirmation,
+  completeReply,
+  replyBody
+} from '../../channels/index.js';
+
+const DEALERSHIP = { id: 'quirk', name: 'Quirk Chevrolet', signature: 'The Quirk Chevrolet Team', channels: {} };
+
+test('normalizeChannel maps CRM labels onto the three profiles', () => {
+  assert.equal(normalizeChannel('SMS'), 'sms');
+  assert.equal(normalizeChannel('Text Message'), 'sms');
+  assert.equal(normalizeChannel('web-chat'), 'chat');
+  assert.equal(normalizeChannel('E-mail'), 'email');
+  assert.equal(normalizeChannel('fax'), null);
+  assert.equal(resolveChannelProfile({ page: { channel: 'fax' }, dealership: DEALERSHIP }).id, 'email');
+});
+
+test('countSmsSegments follows GSM-7 and UCS-2 segment sizes', () => {
+  assert.deepEqual(countSmsSegments('a'.repeat(160)), { encoding: 'GSM-7', characters: 160, segments: 1 });
+  assert.deepEqual(countSmsSegments('a'.repeat(161)), { encoding: 'GSM-7', characters: 161, segments: 2 });
+  // Extended characters take two units
+  assert.equal(countSmsSegments('€'.repeat(80)).characters, 160);
+  assert.deepEqual(countSmsSegments('See you soon 🚗'), { encoding: 'UCS-2', characters: 15, segments: 1 });
+  assert.equal(countSmsSegments('é'.repeat(100) + '🚗').segments, 2);
+});
+
+test('hasOptedOut honours the latest STOP/START keyword from the customer', () => {
+  assert.equal(hasOptedOut([{ sender: 'customer', text: 'Stop!' }]), true);
+  assert.equal(hasOptedOut([{ sender: 'customer', text: 'please stop by tomorrow' }]), false);
+  assert.equal(hasOptedOut([
+    { sender: 'customer', text: 'STOP' },
+    { sender: 'customer', text: 'start' }
+  ]), false);
+  assert.equal(hasOptedOut([{ sender: 'rep', text: 'STOP' }]), false);
+});
+
+test('first texts get the opt-out footer, counted against the length limit', () => {
+  const first = resolveChannelProfile({
+    page: { channel: 'sms' },
+    dealership: DEALERSHIP,
+    messages: [{ sender: 'customer', text: 'Is the Equinox still there?' }]
+  });
+  assert.equal(first.closing, 'Reply STOP to opt out');
+  assert.equal(first.maxChars, 160 - ' Reply STOP to opt out'.length);
+
+  const reply = completeReply(first, 'Yes it is - want to stop in today?');
+  assert.equal(reply.text, 'Yes it is - want to stop in today? Reply STOP to opt out');
+  assert.equal(reply.segments, 1);
+  assert.equal(replyBody(first, reply.text), 'Yes it is - want to stop in today?');
+
+  const later = resolveChannelProfile({
+    page: { channel: 'sms' },
+    dealership: { ...DEALERSHIP, channels: { sms: { maxChars: 320 } } },
+    messages: [{ sender: 'rep', text: 'Hi!' }, { sender: 'customer', text: 'Thanks' }]
+  });
+  assert.equal(later.closing, null);
+  assert.equal(later.maxChars, 320);
+});
+
+test('emails get a subject and the rep or dealership signature', () => {
+  const profile = resolveChannelProfile({
+    page: { channel: 'email', subject: 'RE: Equinox availability' },
+    dealership: DEALERSHIP,
+    lead: { assignedRep: { name: 'Mike', signature: 'Mike Smith, Quirk Chevrolet' } }
+  });
+
+  assert.deepEqual(completeReply(profile, 'Hi Nicole, it is here.', { subject: 'Your Equinox' }), {
+    text: 'Hi Nicole, it is here.\n\nMike Smith, Quirk Chevrolet',
+    subject: 'Your Equinox'
+  });
+  assert.equal(completeReply(profile, 'Hi Nicole, it is here.').subject, 'Re: Equinox availability');
+});
+
+test('SMS opt-out wording follows the reply language', () => {
+  const profile = resolveChannelProfile({
+    page: { channel: 'sms' },
+    dealership: DEALERSHIP,
+    messages: [{ sender: 'customer', text: 'Hola' }],
+    language: 'es'
+  });
+
+  assert.equal(profile.closing, 'Responda STOP para no recibir más mensajes');
+  assert.equal(hasOptedOut([{ sender: 'customer', text: 'Baja' }]), true);
+  assert.match(optOutConfirmation(DEALERSHIP, 'pt'), /^Quirk Chevrolet: Você cancelou/);
+});
@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { listMigrations } from '../../db/migrate.js';
+
+test('migrations are numbered 001, 002, ... with no gaps', () => {
+  const versions = listMigrations().map(m => m.version);
+
+  assert.ok(versions.length > 0);
+  assert.deepEqual(versions, versions.map((_, i) => i + 1));
+});
+
+test('migration 001 creates the inventory table', () => {
+  const [first] = listMigrations();
+
+  assert.equal(first.name, 'create_inventory');
+  assert.match(first.sql, /CREATE TABLE IF NOT EXISTS inventory \(/);
+});
+
+test('every table the service queries is created by a migration', () => {
+  const sql = listMigrations().map(m => m.sql).join('\n');
+
+  for (const table of ['inventory', 'inventory_history', 'suggestions', 'suggestion_feedback', 'sync_jobs', 'scraper_sessions', 'api_keys', 'prompt_templates', 'prompt_deployments']) {
+    assert.match(sql, new RegExp(`CREATE TABLE IF NOT EXISTS ${table} \\(`), table);
+  }
+});
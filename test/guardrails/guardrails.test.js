@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkNumbers, countSentences, checkLength, buildGuardrailSource } from '../../guardrails/index.js';
+
+test('checkNumbers flags dates missing from the conversation', () => {
+  const source = 'Customer: Can I come in on March 5th?';
+
+  assert.deepEqual(checkNumbers('See you 3/5 then!', source), []);
+  assert.equal(checkNumbers('How about 3/12 instead?', source)[0].match, '3/12');
+});
+
+test('checkNumbers does not read "24/7" as a date', () => {
+  assert.deepEqual(checkNumbers('Our online showroom is open 24/7 if you want to browse.', 'Customer: Hi'), []);
+});
+
+test('checkNumbers only accepts an amount given as the same kind of value', () => {
+  const source = [
+    'IN-STOCK VEHICLES:',
+    '- Stock #M37564: 2024 Chevrolet Equinox LT',
+    'Customer: I can do $399 a month, and my credit union quoted 3.9% APR. Budget is $30k.'
+  ].join('\n');
+
+  assert.deepEqual(checkNumbers('We can work toward $399/mo at 3.9% APR.', source), []);
+  assert.deepEqual(checkNumbers('Staying under $30,000 is doable, and $399 fits too.', source), []);
+
+  // The model year and the digits of a stock number are not prices
+  assert.equal(checkNumbers('Take $2,024 off today.', source)[0].match, '$2,024');
+  assert.equal(checkNumbers('That comes to $37,564 out the door.', source)[0].match, '$37,564');
+  // A price is not a payment, and a payment is not a rate
+  assert.equal(checkNumbers('That works out to $30,000 per month.', source).length, 1);
+  assert.equal(checkNumbers('We could get you 399% financing.', source)[0].match, '399%');
+});
+
+test('buildGuardrailSource is the prompts the model was sent', () => {
+  const source = buildGuardrailSource({ system: 'Hours: Mon-Sat 9-8', user: 'Customer: Is it still $31,500?' });
+
+  assert.deepEqual(checkNumbers('Yes, it is still $31,500.', source), []);
+  // A price that only lives in the inventory row never reached the model
+  assert.equal(checkNumbers('It is listed at $29,995.', buildGuardrailSource({ user: 'Customer: Is the Equinox there?' })).length, 1);
+});
+
+test('countSentences does not split after abbreviations', () => {
+  assert.equal(countSentences('We\'re on Main St. Louis is nearby if you need a hotel.'), 1);
+  assert.equal(countSentences('Dr. Patel helped you last time. Want me to set that up?'), 2);
+  assert.equal(countSentences('The rate was 3.9 percent. Would that work?'), 2);
+  assert.deepEqual(checkLength('We\'re on Main St. Louis is nearby. Want directions?', { minSentences: 1, maxSentences: 2 }), []);
+});
@@ -0,0 +1,171 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCron, parseWindow, nextRunTime, resolveSyncSchedule, retryTime } from '../../inventory/scheduler.js';
+
+const sorted = set => [...set].sort((a, b) => a - b);
+
+// Schedules are evaluated in UTC unless a test is about time zones
+function schedule(expression, { window = null, timeZone = 'UTC' } = {}) {
+  return { cron: parseCron(expression), window: parseWindow(window), timeZone };
+}
+
+test('parseCron expands ranges, steps and lists', () => {
+  const cron = parseCron('*/15 9-17/4 1,15 * 1-5');
+
+  assert.deepEqual(sorted(cron.minute), [0, 15, 30, 45]);
+  assert.deepEqual(sorted(cron.hour), [9, 13, 17]);
+  assert.deepEqual(sorted(cron.dayOfMonth), [1, 15]);
+  assert.equal(cron.month.size, 12);
+  assert.deepEqual(sorted(cron.dayOfWeek), [1, 2, 3, 4, 5]);
+  assert.equal(cron.anyDayOfMonth, false);
+
+  // A single value with a step runs to the end of the field
+  assert.deepEqual(sorted(parseCron('50/5 * * * *').minute), [50, 55]);
+});
+
+test('parseCron accepts day and month names, and 7 for Sunday', () => {
+  const cron = parseCron('0 6 * Jan-Mar mon,WED,7');
+
+  assert.deepEqual(sorted(cron.month), [1, 2, 3]);
+  assert.deepEqual(sorted(cron.dayOfWeek), [0, 1, 3]);
+});
+
+test('parseCron rejects invalid expressions', () => {
+  assert.throws(() => parseCron('0 9 * *'), /must have 5 fields/);
+  assert.throws(() => parseCron('60 * * * *'), /Invalid minute "60"/);
+  assert.throws(() => parseCron('0 9 * * funday'), /Invalid day of week "funday"/);
+  assert.throws(() => parseCron('*/0 * * * *'), /Invalid step "0"/);
+  assert.throws(() => parseCron('0 17-9 * * *'), /Invalid range "17-9"/);
+  assert.throws(() => parseCron(''), /must have 5 fields/);
+});
+
+test('nextRunTime matches either day field when both are restricted', () => {
+  // 9:00 on the 13th or on any Friday. October 2026: Fri 9th, Tue 13th, Fri 16th.
+  const either = schedule('0 9 13 * fri');
+
+  assert.equal(nextRunTime(either, new Date('2026-10-03T00:00:00Z')).toISOString(), '2026-10-09T09:00:00.000Z');
+  assert.equal(nextRunTime(either, new Date('2026-10-10T00:00:00Z')).toISOString(), '2026-10-13T09:00:00.000Z');
+  assert.equal(nextRunTime(either, new Date('2026-10-13T09:00:00Z')).toISOString(), '2026-10-16T09:00:00.000Z');
+
+  // With day of week left as *, only the day of month counts
+  const monthly = schedule('0 9 13 * *');
+  assert.equal(nextRunTime(monthly, new Date('2026-10-03T00:00:00Z')).toISOString(), '2026-10-13T09:00:00.000Z');
+});
+
+test('nextRunTime is strictly after the start time', () => {
+  const hourly = schedule('0 * * * *');
+
+  assert.equal(nextRunTime(hourly, new Date('2026-10-19T10:00:00Z')).toISOString(), '2026-10-19T11:00:00.000Z');
+  assert.equal(nextRunTime(hourly, new Date('2026-10-19T10:00:30Z')).toISOString(), '2026-10-19T11:00:00.000Z');
+});
+
+test('nextRunTime reads the schedule in the configured time zone', () => {
+  // 9:00 in New York is 14:00 UTC before the March change to daylight time and 13:00 after
+  const newYork = schedule('0 9 * * *', { timeZone: 'America/New_York' });
+  assert.equal(nextRunTime(newYork, new Date('2026-03-07T15:00:00Z')).toISOString(), '2026-03-08T13:00:00.000Z');
+  assert.equal(nextRunTime(newYork, new Date('2026-03-06T15:00:00Z')).toISOString(), '2026-03-07T14:00:00.000Z');
+
+  // Sunday evening in UTC is already Monday in Tokyo
+  const tokyo = schedule('0 1 * * mon', { timeZone: 'Asia/Tokyo' });
+  assert.equal(nextRunTime(tokyo, new Date('2026-10-18T15:30:00Z')).toISOString(), '2026-10-18T16:00:00.000Z');
+});
+
+test('nextRunTime only returns runs inside the window', () => {
+  const everyTwoHours = schedule('0 */2 * * *', { window: 'mon-fri 07:00-21:00' });
+
+  // Friday 20:00 is the last run of the week; the next is Monday 08:00
+  assert.equal(nextRunTime(everyTwoHours, new Date('2026-10-16T19:30:00Z')).toISOString(), '2026-10-16T20:00:00.000Z');
+  assert.equal(nextRunTime(everyTwoHours, new Date('2026-10-16T20:00:00Z')).toISOString(), '2026-10-19T08:00:00.000Z');
+});
+
+test('windows can span midnight', () => {
+  const window = parseWindow('fri 22:00-02:00');
+  assert.equal(window.start, 22 * 60);
+  assert.equal(window.end, 2 * 60);
+
+  const overnight = schedule('0 * * * *', { window: 'fri 22:00-02:00' });
+  const runs = [];
+  let from = new Date('2026-10-16T12:00:00Z');
+  for (let i = 0; i < 5; i++) {
+    from = nextRunTime(overnight, from);
+    runs.push(from.toISOString());
+  }
+
+  // Friday night into early Saturday, then nothing until the next Friday
+  assert.deepEqual(runs, [
+    '2026-10-16T22:00:00.000Z',
+    '2026-10-16T23:00:00.000Z',
+    '2026-10-17T00:00:00.000Z',
+    '2026-10-17T01:00:00.000Z',
+    '2026-10-23T22:00:00.000Z'
+  ]);
+});
+
+test('parseWindow rejects malformed and empty windows', () => {
+  assert.equal(parseWindow(''), null);
+  assert.throws(() => parseWindow('9am-5pm'), /Invalid sync window/);
+  assert.throws(() => parseWindow('09:00-09:00'), /must be 00:00-24:00 and differ/);
+  assert.throws(() => parseWindow('25:00-26:00'), /must be 00:00-24:00 and differ/);
+  assert.throws(() => parseWindow('someday 09:00-17:00'), /Invalid day of week/);
+});
+
+test('nextRunTime gives up after a year of lookahead', () => {
+  // February 30th never comes
+  assert.equal(nextRunTime(schedule('0 0 30 2 *'), new Date('2026-10-19T00:00:00Z')), null);
+
+  // Nor does a run outside the only window it could fall in
+  assert.equal(nextRunTime(schedule('0 23 * * *', { window: '07:00-21:00' }), new Date('2026-10-19T00:00:00Z')), null);
+});
+
+test('retryTime backs off exponentially inside the window', () => {
+  const business = schedule('0 */2 * * *', { window: '07:00-21:00' });
+  const now = new Date('2026-10-19T12:00:00Z');
+
+  assert.equal(retryTime(business, 1, now).toISOString(), '2026-10-19T12:05:00.000Z');
+  assert.equal(retryTime(business, 2, now).toISOString(), '2026-10-19T12:10:00.000Z');
+  assert.equal(retryTime(business, 3, now), null);
+});
+
+test('retryTime skips a retry that would fall outside the window', () => {
+  const business = schedule('0 */2 * * *', { window: '07:00-21:00' });
+
+  assert.equal(retryTime(business, 1, new Date('2026-10-19T20:58:00Z')), null);
+  assert.equal(retryTime(business, 1, new Date('2026-10-19T20:50:00Z')).toISOString(), '2026-10-19T20:55:00.000Z');
+});
+
+test('resolveSyncSchedule layers dealership settings over the SYNC_* env', () => {
+  const credentials = { vinSolutions: { username: 'bdc', password: 'secret' } };
+  const saved = { SYNC_SCHEDULE: process.env.SYNC_SCHEDULE, SYNC_WINDOW: process.env.SYNC_WINDOW, SYNC_TIMEZONE: process.env.SYNC_TIMEZONE };
+  Object.assign(process.env, { SYNC_SCHEDULE: '0 */2 * * *', SYNC_WINDOW: '07:00-21:00', SYNC_TIMEZONE: 'America/New_York' });
+
+  try {
+    const inherited = resolveSyncSchedule({ id: 'a', ...credentials });
+    assert.equal(inherited.enabled, true);
+    assert.equal(inherited.cron.expression, '0 */2 * * *');
+    assert.equal(inherited.window.text, '07:00-21:00');
+    assert.equal(inherited.timeZone, 'America/New_York');
+
+    // An empty window clears the env one
+    const overridden = resolveSyncSchedule({
+      id: 'b',
+      ...credentials,
+      syncSchedule: { cron: '30 6 * * *', window: '', timezone: 'America/Chicago' }
+    });
+    assert.equal(overridden.cron.expression, '30 6 * * *');
+    assert.equal(overridden.window, null);
+    assert.equal(overridden.timeZone, 'America/Chicago');
+
+    assert.deepEqual(resolveSyncSchedule({ id: 'c', ...credentials, syncSchedule: { enabled: false } }),
+      { enabled: false, reason: 'Disabled for this dealership' });
+    assert.deepEqual(resolveSyncSchedule({ id: 'd' }),
+      { enabled: false, reason: 'VIN Solutions credentials not configured' });
+
+    assert.throws(() => resolveSyncSchedule({ id: 'e', ...credentials, syncSchedule: { timezone: 'Mars/Olympus' } }), RangeError);
+    assert.throws(() => resolveSyncSchedule({ id: 'f', ...credentials, syncSchedule: { cron: 'every hour' } }), /must have 5 fields/);
+  } finally {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  }
+});
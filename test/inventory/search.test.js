@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSearchParams } from '../../inventory/search.js';
+
+const cursor = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+test('parseSearchParams applies defaults and lists every problem', () => {
+  const params = parseSearchParams({ q: 'equinox' });
+  assert.equal(params.sort, 'year_desc');
+  assert.equal(params.limit, 10);
+  assert.deepEqual(params.filters.status, ['available']);
+
+  assert.equal(parseSearchParams({ q: 'equinox', sort: 'color', limit: 500 }).error,
+    'sort must be one of year_desc, year_asc, price_asc, price_desc, mileage_asc, mileage_desc, newest, stock_number; limit must be between 1 and 100');
+});
+
+test('parseSearchParams accepts sold and removed units', () => {
+  assert.deepEqual(parseSearchParams({ q: 'equinox', status: 'sold,Removed' }).filters.status, ['sold', 'removed']);
+  assert.equal(parseSearchParams({ q: 'equinox', status: 'gone' }).error, 'status must be one of available, sold, removed, any');
+});
+
+test('cursors only work with the sort they were made for', () => {
+  const priceCursor = cursor(['price_asc', '34995.00', 42]);
+
+  assert.deepEqual(parseSearchParams({ q: 'equinox', sort: 'price_asc', cursor: priceCursor }).cursor,
+    { sort: 'price_asc', sortKey: '34995.00', id: 42 });
+  assert.equal(parseSearchParams({ q: 'equinox', cursor: priceCursor }).error, 'cursor does not match sort');
+  assert.equal(parseSearchParams({ q: 'equinox', cursor: cursor(['year_desc', [2024], 42]) }).error, 'cursor does not match sort');
+  assert.equal(parseSearchParams({ q: 'equinox', sort: 'stock_number', cursor: cursor(['stock_number', { a: 1 }, 42]) }).error, 'cursor does not match sort');
+  assert.equal(parseSearchParams({ q: 'equinox', cursor: 'not-a-cursor' }).error, 'cursor is invalid');
+});
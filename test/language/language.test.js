@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectLanguage, normalizeLanguage, resolveLanguage } from '../../language/index.js';
+
+const customer = text => ({ sender: 'customer', text });
+
+test('detectLanguage tells English, Spanish and Portuguese apart', () => {
+  assert.equal(detectLanguage([customer('Hi, is the Equinox still available?')]).code, 'en');
+  assert.equal(detectLanguage([customer('Hola, quiero saber el precio de la camioneta')]).code, 'es');
+  assert.equal(detectLanguage([customer('Olá, eu quero saber o preço do carro, obrigado')]).code, 'pt');
+  assert.equal(detectLanguage([customer('Sim, amanhã às 10 está bom')]).code, 'pt');
+  assert.equal(detectLanguage([customer('Si, mañana a las 10 está bien')]).code, 'es');
+});
+
+test('detectLanguage only reads the customer and favours their latest message', () => {
+  assert.equal(detectLanguage([
+    { sender: 'rep', text: 'Hi Maria, thanks for reaching out about the Tahoe!' },
+    customer('ok')
+  ]).code, null);
+
+  assert.equal(detectLanguage([
+    customer('Is it still for sale?'),
+    customer('Perdón, prefiero español. ¿Cuándo puedo verla?')
+  ]).code, 'es');
+});
+
+test('resolveLanguage prefers the caller, then detection, then English', () => {
+  assert.deepEqual(resolveLanguage({ messages: [customer('hello there, can you help me')], requested: 'pt-BR' }),
+    { code: 'pt', name: 'Portuguese', source: 'request', confidence: null });
+  assert.equal(resolveLanguage({ messages: [customer('Gracias por la información')], requested: 'auto' }).source, 'detected');
+  assert.deepEqual(resolveLanguage({ messages: [customer('ok')] }),
+    { code: 'en', name: 'English', source: 'default', confidence: null });
+
+  assert.equal(normalizeLanguage('Español'), 'es');
+  assert.throws(() => resolveLanguage({ requested: 'fr' }), /options.language must be one of en, es, pt or auto/);
+});
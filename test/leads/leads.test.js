@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseLead, buildLeadContext } from '../../leads/index.js';
+
+const LEAD = {
+  name: 'Nicole',
+  vehicleYear: '2025',
+  vehicleMake: 'Chevrolet',
+  vehicleModel: 'Equinox',
+  tradeIn: { year: 2019, make: 'Honda', model: 'CR-V', trim: 'EX', mileage: '42,000' },
+  currentFinancing: { type: 'Lease', endDate: '2026-11-30', lender: 'GM Financial' },
+  appointments: [
+    { type: 'test drive', at: '2026-10-24T14:30' },
+    { type: 'service', at: '2026-10-20T13:00:00Z', notes: 'Oil change' }
+  ],
+  source: 'Cars.com',
+  assignedRep: { name: 'Mike Smith', signature: 'Mike Smith, Quirk Chevrolet' },
+  preferredContact: 'text',
+  email: ''
+};
+
+test('parseLead cleans known fields and skips empty ones', () => {
+  const { lead, unknownFields, error } = parseLead(LEAD);
+
+  assert.equal(error, undefined);
+  assert.deepEqual(unknownFields, []);
+  assert.equal(lead.vehicleYear, 2025);
+  assert.equal(lead.tradeIn.mileage, 42000);
+  assert.equal(lead.currentFinancing.type, 'lease');
+  assert.equal(lead.appointments[0].type, 'test_drive');
+  assert.equal('email' in lead, false);
+});
+
+test('parseLead reports unknown fields, or rejects them when asked', () => {
+  const raw = { name: 'Nicole', budget: 400, tradeIn: { make: 'Honda', color: 'Blue' } };
+
+  const reported = parseLead(raw, { rejectUnknown: false });
+  assert.deepEqual(reported.unknownFields, ['budget', 'tradeIn.color']);
+  assert.deepEqual(reported.lead, { name: 'Nicole', tradeIn: { make: 'Honda' } });
+
+  const rejected = parseLead(raw, { rejectUnknown: true });
+  assert.match(rejected.error, /Unknown lead field\(s\): budget, tradeIn\.color/);
+});
+
+test('parseLead rejects bad values with every problem listed', () => {
+  const { error } = parseLead({
+    vehicleYear: 'soon',
+    currentFinancing: { endDate: '2026-02-30' },
+    appointments: [{ type: 'lunch', at: 'tomorrow' }],
+    preferredContact: 'pigeon'
+  });
+
+  assert.match(error, /vehicleYear must be a whole number/);
+  assert.match(error, /currentFinancing\.endDate must be a YYYY-MM-DD date/);
+  assert.match(error, /appointments\[0\]\.type must be one of/);
+  assert.match(error, /appointments\[0\]\.at must be an ISO 8601 date or date-time/);
+  assert.match(error, /preferredContact must be one of/);
+  assert.equal(parseLead(['Nicole']).error, 'lead must be an object');
+});
+
+test('buildLeadContext renders the lead as structured prompt sections', () => {
+  const { lead } = parseLead(LEAD);
+  const { details, sections } = buildLeadContext(lead, {
+    timeZone: 'America/New_York',
+    now: new Date('2026-10-19T15:00:00Z')
+  });
+
+  assert.deepEqual(details, [
+    'Today: Monday, October 19, 2026',
+    'Customer name: Nicole',
+    'Vehicle interest: 2025 Chevrolet Equinox',
+    'Lead source: Cars.com',
+    'Preferred contact method: text message',
+    'Assigned rep: Mike Smith'
+  ]);
+
+  const byTitle = Object.fromEntries(sections.map(s => [s.title, s.lines]));
+  assert.deepEqual(byTitle['TRADE-IN'], ['2019 Honda CR-V EX, 42,000 miles']);
+  assert.deepEqual(byTitle['CURRENT LEASE / FINANCE'], ['Lease ends Monday, November 30, 2026 (in 42 days) with GM Financial']);
+  // Sorted by time; the UTC service slot is shown in dealership time
+  assert.deepEqual(byTitle['APPOINTMENTS AND SERVICE VISITS'], [
+    '- Service visit: Tuesday, October 20, 2026 at 9:00 AM (tomorrow) - Oil change',
+    '- Test drive: Saturday, October 24, 2026 at 2:30 PM (in 5 days)'
+  ]);
+});
@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { resolveGenerationSettings } from '../../llm/index.js';
+import { createFixtureProvider } from '../../llm/fixture.js';
+import { buildSummarySystemPrompt, extractSummary } from '../../summary/index.js';
+
+function withEnv(values, fn) {
+  const saved = Object.fromEntries(Object.keys(values).map(key => [key, process.env[key]]));
+  Object.assign(process.env, values);
+  try {
+    return fn();
+  } finally {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  }
+}
+
+test('settings layer the service env, then the dealership, then the request', () => {
+  withEnv({ LLM_PROVIDER: 'openai', LLM_MODEL: 'gpt-4o-mini' }, () => {
+    const defaults = resolveGenerationSettings({ dealership: { id: 'quirk' } });
+    assert.equal(defaults.provider.name, 'openai');
+    assert.equal(defaults.model, 'gpt-4o-mini');
+    assert.equal(defaults.temperature, 0.4);
+    assert.equal(defaults.maxTokens, 400);
+
+    const layered = resolveGenerationSettings({
+      dealership: { id: 'quirk', llm: { temperature: 0.7, maxTokens: 300 } },
+      overrides: { maxTokens: 600 },
+      allowAll: true
+    });
+    assert.equal(layered.model, 'gpt-4o-mini');
+    assert.equal(layered.temperature, 0.7);
+    assert.equal(layered.maxTokens, 600);
+  });
+});
+
+test('a model is only inherited while the provider stays the same', () => {
+  withEnv({ LLM_PROVIDER: 'openai', LLM_MODEL: 'gpt-4o-mini' }, () => {
+    const switched = resolveGenerationSettings({ dealership: { id: 'quirk', llm: { provider: 'fixture' } } });
+    assert.equal(switched.provider.name, 'fixture');
+    assert.equal(switched.model, 'fixture');
+
+    const requested = resolveGenerationSettings({
+      dealership: { id: 'quirk', llm: { provider: 'fixture' } },
+      overrides: { provider: 'openai' },
+      allowAll: true
+    });
+    assert.equal(requested.model, 'gpt-4o');
+  });
+});
+
+test('bad dealership or request settings are rejected with the source named', () => {
+  assert.throws(() => resolveGenerationSettings({ dealership: { id: 'quirk', llm: { provider: 'claude' } } }),
+    /Invalid llm settings for dealership quirk: provider must be one of openai, local, fixture/);
+  assert.throws(() => resolveGenerationSettings({ dealership: { id: 'quirk' }, overrides: { temperature: 3, maxTokens: 0 }, allowAll: true }),
+    /Invalid options\.llm: temperature must be a number between 0 and 2; maxTokens must be an integer between 1 and 4000/);
+});
+
+test('without an admin key a request may only change the temperature', () => {
+  withEnv({ LLM_PROVIDER: 'openai', LLM_MODEL: 'gpt-4o-mini' }, () => {
+    const tuned = resolveGenerationSettings({ dealership: { id: 'quirk', llm: { maxTokens: 300 } }, overrides: { temperature: 0.9 } });
+    assert.equal(tuned.temperature, 0.9);
+    assert.equal(tuned.maxTokens, 300);
+
+    assert.throws(() => resolveGenerationSettings({ dealership: { id: 'quirk' }, overrides: { provider: 'fixture', maxTokens: 4000, temperature: 0.2 } }),
+      /options\.llm can only set temperature without an admin key \(got provider, maxTokens\)/);
+    assert.throws(() => resolveGenerationSettings({ dealership: { id: 'quirk' }, overrides: { model: 'gpt-4o' } }),
+      /got model/);
+  });
+});
+
+test('the fixture provider answers in the format the prompt asks for', async () => {
+  const provider = createFixtureProvider();
+  const single = await provider.complete({ messages: [{ role: 'user', content: 'Is the Equinox here?' }] });
+  assert.equal(typeof JSON.parse(single.content).reply, 'string');
+
+  const variants = await provider.complete({ messages: [{ role: 'system', content: 'Return { "variants": [...] }' }] });
+  assert.equal(JSON.parse(variants.content).variants.length, 5);
+});
+
+test('the fixture provider answers the summary prompt with a usable summary', async () => {
+  const provider = createFixtureProvider();
+  const system = buildSummarySystemPrompt({ dealership: { name: 'Quirk Chevrolet' } });
+  const completion = await provider.complete({ messages: [{ role: 'system', content: system }, { role: 'user', content: 'Hi' }] });
+
+  const summary = extractSummary(JSON.parse(completion.content), []);
+  assert.ok(summary);
+  assert.equal(summary.nextAction.action, 'reply');
+});
+
+test('the fixture provider serves matching responses from LLM_FIXTURE_FILE and streams them', async () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'llm-fixture-')), 'fixtures.json');
+  fs.writeFileSync(file, JSON.stringify({
+    responses: [{ match: 'Equinox', content: { reply: 'The Equinox is in stock.' } }],
+    default: 'not json'
+  }));
+
+  try {
+    const provider = createFixtureProvider({ file });
+    const request = { messages: [{ role: 'user', content: 'Is the Equinox here?' }] };
+
+    assert.equal((await provider.complete(request)).content, '{"reply":"The Equinox is in stock."}');
+    assert.equal((await provider.complete({ messages: [{ role: 'user', content: 'Hi' }] })).content, 'not json');
+
+    let streamed = '';
+    for await (const chunk of provider.stream(request)) streamed += chunk;
+    assert.equal(streamed, '{"reply":"The Equinox is in stock."}');
+  } finally {
+    fs.rmSync(path.dirname(file), { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  TEMPLATES,
+  REPLY_TEMPLATE,
+  templateVariables,
+  renderPrompt,
+  parsePromptVersionRequest,
+  parsePromptDeploymentRequest,
+  splitBucket
+} from '../../prompts/index.js';
+
+test('the built-in reply template only uses built-in variables', () => {
+  const { body, builtins, required } = TEMPLATES[REPLY_TEMPLATE];
+
+  assert.deepEqual(templateVariables(body).filter(key => !builtins[key]), []);
+  for (const key of required) assert.ok(templateVariables(body).includes(key), key);
+});
+
+test('renderPrompt fills built-ins and per-channel version variables', () => {
+  const template = {
+    body: 'Hi from {{ dealershipName }}. {{example}} {{closing}}{{missing}}',
+    variables: { closing: 'Bye!', example: { sms: 'Short one.', default: 'Long one.' } }
+  };
+  const builtins = { dealershipName: 'Quirk Chevrolet', example: 'Built-in example.' };
+
+  assert.equal(renderPrompt(template, builtins, 'sms'), 'Hi from Quirk Chevrolet. Short one. Bye!');
+  assert.equal(renderPrompt(template, builtins, 'email'), 'Hi from Quirk Chevrolet. Long one. Bye!');
+  assert.equal(renderPrompt({ ...template, variables: { closing: 'Bye!' } }, builtins, 'chat'), 'Hi from Quirk Chevrolet. Built-in example. Bye!');
+});
+
+test('parsePromptVersionRequest checks the body against the variables', () => {
+  assert.deepEqual(
+    parsePromptVersionRequest(REPLY_TEMPLATE, { body: ' {{role}} {{tagline}}\n{{responseFormat}} ', variables: { tagline: 'Since 1974' }, notes: 'Shorter' }),
+    { body: '{{role}} {{tagline}}\n{{responseFormat}}', variables: { tagline: 'Since 1974' }, notes: 'Shorter' }
+  );
+
+  assert.throws(() => parsePromptVersionRequest(REPLY_TEMPLATE, {}), /body is required/);
+  assert.throws(() => parsePromptVersionRequest(REPLY_TEMPLATE, { body: '{{role}}' }), /body must include \{\{responseFormat\}\}/);
+  assert.throws(() => parsePromptVersionRequest(REPLY_TEMPLATE, { body: '{{tagline}} {{responseFormat}}' }), /Unknown variable\(s\) in body: \{\{tagline\}\}/);
+  assert.throws(() => parsePromptVersionRequest(REPLY_TEMPLATE, { body: '{{responseFormat}}', variables: { dealershipName: 'X' } }), /built-in variable/);
+  assert.throws(() => parsePromptVersionRequest(REPLY_TEMPLATE, { body: '{{responseFormat}}', variables: { example: { fax: 'X' } } }), /keyed by email, sms, chat, default/);
+  assert.throws(() => parsePromptVersionRequest('summary', { body: 'x' }), /Unknown prompt template: summary/);
+});
+
+test('parsePromptDeploymentRequest needs a candidate share only with a candidate', () => {
+  assert.deepEqual(parsePromptDeploymentRequest({ activeVersion: '3' }), { activeVersion: 3, candidateVersion: null, candidatePercent: 0 });
+  assert.deepEqual(
+    parsePromptDeploymentRequest({ activeVersion: 3, candidateVersion: 4, candidatePercent: 20 }),
+    { activeVersion: 3, candidateVersion: 4, candidatePercent: 20 }
+  );
+
+  assert.throws(() => parsePromptDeploymentRequest({}), /activeVersion must be a version number/);
+  assert.throws(() => parsePromptDeploymentRequest({ activeVersion: 3, candidatePercent: 20 }), /candidatePercent needs a candidateVersion/);
+  assert.throws(() => parsePromptDeploymentRequest({ activeVersion: 3, candidateVersion: 3, candidatePercent: 20 }), /must differ/);
+  assert.throws(() => parsePromptDeploymentRequest({ activeVersion: 3, candidateVersion: 4, candidatePercent: 120 }), /0 to 100/);
+});
+
+test('splitBucket keeps a conversation in one bucket and spreads the rest', () => {
+  assert.equal(splitBucket(REPLY_TEMPLATE, 2, 'conversation-1'), splitBucket(REPLY_TEMPLATE, 2, 'conversation-1'));
+
+  const buckets = Array.from({ length: 1000 }, (_, i) => splitBucket(REPLY_TEMPLATE, 2, `conversation-${i}`));
+  const share = buckets.filter(bucket => bucket < 20).length / buckets.length;
+  assert.ok(buckets.every(bucket => bucket >= 0 && bucket < 100));
+  assert.ok(share > 0.15 && share < 0.25, `share ${share}`);
+});
@@ -0,0 +1,130 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mapColumns, parseRow, parseYearMake, parseNumber, normalizeHeader } from '../../scraper/columns.js';
+import { getScraperProfile } from '../../scraper/profiles/index.js';
+
+const { columns: aliases } = getScraperProfile('vinsolutions@1').grid;
+
+test('parseYearMake expands two-digit years', () => {
+  assert.deepEqual(parseYearMake('24 Chevrolet'), { year: 2024, make: 'Chevrolet' });
+  assert.deepEqual(parseYearMake('05 GMC'), { year: 2005, make: 'GMC' });
+});
+
+test('parseYearMake keeps four-digit years and multi-word makes', () => {
+  assert.deepEqual(parseYearMake('2019 Honda'), { year: 2019, make: 'Honda' });
+  assert.deepEqual(parseYearMake('21 Land Rover'), { year: 2021, make: 'Land Rover' });
+  assert.deepEqual(parseYearMake('  24   Chevrolet '), { year: 2024, make: 'Chevrolet' });
+});
+
+test('parseYearMake returns no year or make for incomplete cells', () => {
+  assert.deepEqual(parseYearMake('Chevrolet'), { year: null, make: '' });
+  assert.deepEqual(parseYearMake(''), { year: null, make: '' });
+  assert.deepEqual(parseYearMake('NEW Chevrolet'), { year: null, make: 'Chevrolet' });
+});
+
+test('parseNumber strips currency, separators and units', () => {
+  assert.equal(parseNumber('$42,195'), 42195);
+  assert.equal(parseNumber('$49,990.50'), 49990.5);
+  assert.equal(parseNumber('12,034 mi', { integer: true }), 12034);
+  assert.equal(parseNumber('Call'), null);
+  assert.equal(parseNumber(''), null);
+});
+
+test('normalizeHeader keeps lowercase letters and digits only', () => {
+  assert.equal(normalizeHeader('Stock #'), 'stock');
+  assert.equal(normalizeHeader(' Ext. Color '), 'extcolor');
+  assert.equal(normalizeHeader('CARFAX VB Yr Make'), 'carfaxvbyrmake');
+});
+
+test('mapColumns maps the default VIN Solutions layout by header name', () => {
+  const headers = ['Photos', 'Stock #', 'Desk', 'Autotrader', 'CARFAX VB Yr Make', 'Model', 'Trim', 'VIN', 'Ext. Color', 'Odometer', 'MSRP', 'Internet Price'];
+
+  assert.deepEqual(mapColumns(headers, aliases), {
+    stock_number: 1,
+    year_make: 4,
+    model: 5,
+    trim: 6,
+    vin: 7,
+    exterior_color: 8,
+    mileage: 9,
+    price_msrp: 10,
+    price_internet: 11
+  });
+});
+
+test('mapColumns follows a reordered layout', () => {
+  const headers = ['VIN', 'Model', 'Stock #', 'Year', 'Make', 'Price'];
+
+  assert.deepEqual(mapColumns(headers, aliases), {
+    vin: 0,
+    model: 1,
+    stock_number: 2,
+    year: 3,
+    make: 4,
+    price_internet: 5
+  });
+});
+
+test('mapColumns prefers exact header matches over partial ones', () => {
+  // "Days in Stock" contains "stock" but the exact "Stock #" column wins
+  const columns = mapColumns(['Days in Stock', 'Stock #', 'Internet Price ($)'], aliases);
+
+  assert.equal(columns.stock_number, 1);
+  assert.equal(columns.price_internet, 2);
+});
+
+test('mapColumns only takes partial matches on whole words covering most of the header', () => {
+  // "Lot Age" holds the "lot" alias but is mostly something else
+  assert.deepEqual(mapColumns(['Stock #', 'Lot Age', 'Odometer (mi)'], aliases), {
+    stock_number: 0,
+    mileage: 2
+  });
+
+  // "Price" only partly names "Price Drop Date"; "Locations" isn't the word "location"
+  assert.deepEqual(mapColumns(['Stock #', 'Price Drop Date', 'Locations'], aliases), { stock_number: 0 });
+
+  const columns = mapColumns(['Stock #', 'Lot Age', 'Location'], aliases);
+  assert.equal(columns.location, 2);
+});
+
+test('mapColumns drops separate year/make when the grid has the combined cell', () => {
+  const columns = mapColumns(['Stock #', 'CARFAX VB Yr Make', 'Year', 'Make'], aliases);
+
+  assert.equal(columns.year_make, 1);
+  assert.equal('year' in columns, false);
+  assert.equal('make' in columns, false);
+});
+
+test('mapColumns ignores unknown and empty headers', () => {
+  assert.deepEqual(mapColumns(['', 'Photos', 'Desk'], aliases), {});
+});
+
+test('parseRow only sets fields the grid has columns for', () => {
+  const columns = mapColumns(['Stock #', 'CARFAX VB Yr Make', 'Model', 'Odometer', 'Internet Price'], aliases);
+  const vehicle = parseRow(['M37385', '24 Chevrolet', 'Silverado MD', '12', 'Call'], columns);
+
+  assert.deepEqual(vehicle, {
+    stock_number: 'M37385',
+    status: 'available',
+    year: 2024,
+    make: 'Chevrolet',
+    model: 'Silverado MD',
+    mileage: 12,
+    price_internet: null
+  });
+});
+
+test('parseRow reads fixed positions from the fallback mapping', () => {
+  const { fallbackColumns } = getScraperProfile('vinsolutions@1').grid;
+  const cells = ['', 'M37385', '', '', '24 Chevrolet', 'Silverado MD', 'Work Truck', '1HTKJPVM4RH178232'];
+
+  assert.deepEqual(parseRow(cells, fallbackColumns), {
+    stock_number: 'M37385',
+    status: 'available',
+    year: 2024,
+    make: 'Chevrolet',
+    model: 'Silverado MD',
+    trim: 'Work Truck',
+    vin: '1HTKJPVM4RH178232'
+  });
+});
@@ -0,0 +1,128 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { gunzipSync } from 'zlib';
+import {
+  createDiagnostics,
+  listDiagnostics,
+  getDiagnostics,
+  getDiagnosticsFile,
+  archiveDiagnostics,
+  cleanupDiagnostics
+} from '../../scraper/diagnostics.js';
+
+let dir;
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'diagnostics-test-'));
+  process.env.SCRAPER_DIAGNOSTICS_DIR = dir;
+});
+
+after(() => {
+  delete process.env.SCRAPER_DIAGNOSTICS_DIR;
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Just enough of a puppeteer page for capture()
+function fakePage(html = '<html><body>Sign in</body></html>') {
+  return {
+    url: () => 'https://vinsolutions.example/login',
+    frames: () => [
+      { name: () => '', url: () => 'https://vinsolutions.example/login' },
+      { name: () => 'nav', url: () => 'https://vinsolutions.example/nav' }
+    ],
+    screenshot: async ({ path: file }) => fs.writeFileSync(file, 'png'),
+    content: async () => html,
+    on() {}
+  };
+}
+
+test('a failed run keeps screenshots, HTML, frames, console and timings', async () => {
+  const diagnostics = createDiagnostics('job-failed', { dealershipId: 'quirk-chevy-nh', profile: 'vinsolutions@1' });
+
+  await diagnostics.run(async () => {
+    diagnostics.stage('launching');
+    diagnostics.stage('logging_in');
+    console.log('🔐 Logging in to VIN Solutions...');
+    await diagnostics.capture(fakePage(), 'failure');
+  });
+  const error = Object.assign(new Error('Login failed'), { code: 'bad_credentials' });
+  const manifest = await diagnostics.save({ error });
+
+  assert.equal(manifest.error.code, 'bad_credentials');
+  assert.deepEqual(manifest.timings.map(t => t.stage), ['launching', 'logging_in']);
+  assert.ok(manifest.timings.every(t => typeof t.ms === 'number'));
+  assert.deepEqual(manifest.steps[0].frames.map(f => f.url), [
+    'https://vinsolutions.example/login',
+    'https://vinsolutions.example/nav'
+  ]);
+  assert.deepEqual(manifest.files, ['manifest.json', 'console.log', '01-failure.png', '01-failure.html']);
+  assert.match(fs.readFileSync(getDiagnosticsFile('job-failed', 'console.log'), 'utf8'), /\[log\] 🔐 Logging in/);
+  assert.equal(getDiagnostics('job-failed').dealershipId, 'quirk-chevy-nh');
+});
+
+test('a successful run leaves nothing behind', async () => {
+  const diagnostics = createDiagnostics('job-succeeded', { dealershipId: 'quirk-chevy-nh' });
+  await diagnostics.capture(fakePage(), 'signed_in');
+  await diagnostics.discard();
+
+  assert.equal(fs.existsSync(path.join(dir, 'job-succeeded')), false);
+  assert.equal(getDiagnostics('job-succeeded'), null);
+});
+
+test('capture notes a page that can no longer be read instead of throwing', async () => {
+  const diagnostics = createDiagnostics('job-crashed', { dealershipId: 'quirk-chevy-nh' });
+  const closed = { ...fakePage(), screenshot: async () => { throw new Error('Target closed'); } };
+
+  await diagnostics.capture(closed, 'failure');
+  const manifest = await diagnostics.save({ error: new Error('Browser crashed') });
+
+  assert.deepEqual(manifest.steps[0].errors, ['screenshot: Target closed']);
+  assert.deepEqual(manifest.steps[0].files, ['01-failure.html']);
+});
+
+test('bundles are listed per dealership and files outside the manifest are refused', () => {
+  assert.deepEqual(
+    listDiagnostics({ dealershipId: 'quirk-chevy-nh' }).map(b => b.id).sort(),
+    ['job-crashed', 'job-failed']
+  );
+  assert.deepEqual(listDiagnostics({ dealershipId: 'someone-else' }), []);
+  assert.equal(getDiagnosticsFile('job-failed', '../job-crashed/manifest.json'), null);
+  assert.equal(getDiagnostics('../etc'), null);
+});
+
+test('the download is a tar.gz of the bundle', () => {
+  const tar = gunzipSync(archiveDiagnostics('job-failed'));
+  const names = [];
+
+  for (let offset = 0; offset + 512 <= tar.length; ) {
+    const name = tar.subarray(offset, offset + 100).toString('utf8').replace(/\0.*$/s, '');
+    if (!name) break;
+    const size = parseInt(tar.subarray(offset + 124, offset + 136).toString('utf8'), 8);
+    names.push(name);
+    offset += 512 + Math.ceil(size / 512) * 512;
+  }
+
+  assert.deepEqual(names, [
+    'job-failed/manifest.json',
+    'job-failed/console.log',
+    'job-failed/01-failure.png',
+    'job-failed/01-failure.html'
+  ]);
+});
+
+test('cleanup removes bundles past retention and beyond the cap', async () => {
+  process.env.SCRAPER_DIAGNOSTICS_MAX_BUNDLES = '1';
+  try {
+    assert.equal(await cleanupDiagnostics(), 1);
+    assert.equal(listDiagnostics().length, 1);
+
+    const tenDaysLater = Date.now() + 10 * 24 * 60 * 60 * 1000;
+    assert.equal(await cleanupDiagnostics({ now: tenDaysLater }), 1);
+    assert.deepEqual(listDiagnostics(), []);
+  } finally {
+    delete process.env.SCRAPER_DIAGNOSTICS_MAX_BUNDLES;
+  }
+});
@@ -0,0 +1,248 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { launchBrowser, openPage } from '../../scraper/browser.js';
+import { login, LoginError } from '../../scraper/login.js';
+import { openInventory } from '../../scraper/navigation.js';
+import { findInventoryFrame } from '../../scraper/frame.js';
+import { extractInventoryGrid } from '../../scraper/rows.js';
+import { getScraperProfile } from '../../scraper/profiles/index.js';
+import { generateTOTP } from '../../scraper/totp.js';
+import { startStandInServer, STAND_IN_USERS } from '../support/vinsolutions-server.js';
+
+// Runs the scraper stages against the recorded pages served by the stand-in
+// server. Needs Chromium (PUPPETEER_EXECUTABLE_PATH); skipped without one.
+
+const CREDENTIALS = { username: STAND_IN_USERS.username, password: STAND_IN_USERS.password };
+
+let server;
+let browser;
+let launchError;
+
+// The built-in profile pointed at the stand-in, with the waits cut down
+function standInProfile(url) {
+  const profile = getScraperProfile('vinsolutions@1');
+
+  return {
+    ...profile,
+    login: { ...profile.login, formTimeoutMs: 5000, verifyDelayMs: 100, settleMs: 0 },
+    navigation: { ...profile.navigation, dashboardUrl: `${url}/dashboard`, dashboardSettleMs: 0, settleMs: 300, scrollWaitMs: 0 },
+    frame: { ...profile.frame, maxAttempts: 10, pollMs: 200 },
+    grid: { ...profile.grid, pageTimeoutMs: 5000 }
+  };
+}
+
+before(async () => {
+  server = await startStandInServer();
+  try {
+    browser = await launchBrowser();
+  } catch (error) {
+    launchError = error;
+  }
+});
+
+after(async () => {
+  await browser?.close();
+  await server?.close();
+});
+
+async function signedInPage(t) {
+  if (!browser) {
+    t.skip(`Chromium not available: ${launchError?.message.split('\n')[0]}`);
+    return null;
+  }
+  const page = await openPage(browser);
+  t.after(() => page.close());
+  await login(page, standInProfile(server.url), { ...CREDENTIALS, loginUrl: `${server.url}/login` });
+  return page;
+}
+
+test('login leaves the sign-in page with good credentials', async t => {
+  const page = await signedInPage(t);
+  if (!page) return;
+
+  assert.match(page.url(), /\/dashboard$/);
+});
+
+async function freshPage(t) {
+  if (!browser) {
+    t.skip(`Chromium not available: ${launchError?.message.split('\n')[0]}`);
+    return null;
+  }
+  const page = await openPage(browser);
+  t.after(() => page.close());
+  return page;
+}
+
+function loginError(code) {
+  return error => error instanceof LoginError && error.code === code;
+}
+
+test('login reports bad credentials from the login-failure page', async t => {
+  const page = await freshPage(t);
+  if (!page) return;
+
+  await assert.rejects(
+    login(page, standInProfile(server.url), { ...CREDENTIALS, password: 'wrong', loginUrl: `${server.url}/login` }),
+    loginError('bad_credentials')
+  );
+  assert.match(await page.content(), /username or password you entered is incorrect/);
+});
+
+test('login reports a locked account', async t => {
+  const page = await freshPage(t);
+  if (!page) return;
+
+  await assert.rejects(
+    login(page, standInProfile(server.url), { ...CREDENTIALS, username: STAND_IN_USERS.lockedUsername, loginUrl: `${server.url}/login` }),
+    loginError('account_locked')
+  );
+});
+
+test('login reports a changed layout when the form selectors miss', async t => {
+  const page = await freshPage(t);
+  if (!page) return;
+
+  const profile = standInProfile(server.url);
+  const broken = { ...profile, login: { ...profile.login, usernameSelectors: ['#no-such-field'] } };
+
+  await assert.rejects(
+    login(page, broken, { ...CREDENTIALS, loginUrl: `${server.url}/login` }),
+    loginError('layout_changed')
+  );
+});
+
+test('login answers the one-time-code prompt with a TOTP', async t => {
+  const page = await freshPage(t);
+  if (!page) return;
+
+  await login(page, standInProfile(server.url), {
+    ...CREDENTIALS,
+    username: STAND_IN_USERS.mfaUsername,
+    loginUrl: `${server.url}/login`,
+    getOneTimeCode: async () => generateTOTP(STAND_IN_USERS.totpSecret)
+  });
+
+  assert.match(page.url(), /\/dashboard$/);
+});
+
+test('login needs a code when the prompt appears and none is available', async t => {
+  const page = await freshPage(t);
+  if (!page) return;
+
+  await assert.rejects(
+    login(page, standInProfile(server.url), {
+      ...CREDENTIALS,
+      username: STAND_IN_USERS.mfaUsername,
+      loginUrl: `${server.url}/login`,
+      getOneTimeCode: async () => null
+    }),
+    loginError('mfa_required')
+  );
+});
+
+test('login reports a rejected one-time code', async t => {
+  const page = await freshPage(t);
+  if (!page) return;
+
+  await assert.rejects(
+    login(page, standInProfile(server.url), {
+      ...CREDENTIALS,
+      username: STAND_IN_USERS.mfaUsername,
+      loginUrl: `${server.url}/login`,
+      getOneTimeCode: async () => '000000'
+    }),
+    loginError('mfa_rejected')
+  );
+});
+
+test('frame discovery skips the nav frame and finds the inventory grid', async t => {
+  const page = await signedInPage(t);
+  if (!page) return;
+
+  const profile = standInProfile(server.url);
+  const attempts = [];
+
+  await openInventory(page, profile);
+  const frame = await findInventoryFrame(page, profile, { onAttempt: attempt => attempts.push(attempt) });
+
+  assert.match(frame.url(), /\/inventory\?page=1$/);
+  assert.ok(attempts.length >= 1);
+});
+
+test('grid extraction maps columns by header and follows pagination', async t => {
+  const page = await signedInPage(t);
+  if (!page) return;
+
+  const profile = standInProfile(server.url);
+  await openInventory(page, profile);
+  const frame = await findInventoryFrame(page, profile);
+
+  const grid = await extractInventoryGrid(frame, profile);
+
+  assert.equal(grid.pages, 2);
+  assert.equal(grid.complete, true);
+  assert.deepEqual(
+    grid.vehicles.map(v => v.stock_number),
+    ['M37385', 'M37390', 'M37402', 'U4410A', 'U4415', 'M37411']
+  );
+  assert.deepEqual(grid.vehicles[0], {
+    stock_number: 'M37385',
+    status: 'available',
+    year: 2024,
+    make: 'Chevrolet',
+    model: 'Silverado MD',
+    trim: 'Work Truck',
+    exterior_color: 'Summit White',
+    vin: '1HTKJPVM4RH178232',
+    mileage: 12,
+    price_msrp: 72410,
+    price_internet: 69995
+  });
+
+  const landRover = grid.vehicles.find(v => v.stock_number === 'U4415');
+  assert.equal(landRover.make, 'Land Rover');
+  assert.equal(landRover.year, 2021);
+  assert.equal(landRover.price_msrp, null);
+});
+
+test('grid extraction reports an incomplete read when it stops at the page limit', async t => {
+  const page = await signedInPage(t);
+  if (!page) return;
+
+  const profile = standInProfile(server.url);
+  await openInventory(page, profile);
+  const frame = await findInventoryFrame(page, profile);
+
+  const grid = await extractInventoryGrid(frame, { ...profile, grid: { ...profile.grid, maxPages: 1 } });
+
+  assert.equal(grid.pages, 1);
+  assert.equal(grid.complete, false);
+  assert.match(grid.incompleteReason, /1-page limit/);
+});
+
+test('stand-in server only accepts the current TOTP on the code prompt', async () => {
+  const signIn = await fetch(`${server.url}/login`, {
+    method: 'POST',
+    redirect: 'manual',
+    body: new URLSearchParams({ username: STAND_IN_USERS.mfaUsername, password: STAND_IN_USERS.password })
+  });
+  assert.equal(signIn.headers.get('location'), '/mfa');
+  const cookie = signIn.headers.get('set-cookie').split(';')[0];
+
+  const submit = code => fetch(`${server.url}/mfa`, {
+    method: 'POST',
+    redirect: 'manual',
+    headers: { cookie },
+    body: new URLSearchParams({ code })
+  });
+
+  assert.equal((await submit('000000')).status, 200);
+  assert.equal((await submit(generateTOTP(STAND_IN_USERS.totpSecret))).headers.get('location'), '/dashboard');
+});
+
+test('stand-in server redirects to login without a session', async () => {
+  const res = await fetch(`${server.url}/inventory?page=1`, { redirect: 'manual' });
+
+  assert.equal(res.status, 302);
+  assert.equal(res.headers.get('location'), '/login');
+});
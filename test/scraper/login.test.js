@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyLoginFailure } from '../../scraper/login.js';
+import { getScraperProfile } from '../../scraper/profiles/index.js';
+
+const profile = getScraperProfile('vinsolutions@1');
+
+test('classifyLoginFailure recognises a wrong password', () => {
+  assert.equal(
+    classifyLoginFailure('The username or password you entered is incorrect.', profile),
+    'bad_credentials'
+  );
+});
+
+test('classifyLoginFailure prefers a lockout over a wrong password', () => {
+  assert.equal(
+    classifyLoginFailure('Password incorrect. Your account is locked after too many failed sign-in attempts.', profile),
+    'account_locked'
+  );
+});
+
+test('classifyLoginFailure falls back to unknown', () => {
+  assert.equal(classifyLoginFailure('Welcome back! Please sign in.', profile), 'unknown');
+  assert.equal(classifyLoginFailure(null, profile), 'unknown');
+});
+
+test('classifyLoginFailure uses the profile\'s failure patterns', () => {
+  const custom = {
+    ...profile,
+    login: { ...profile.login, failurePatterns: { account_locked: ['Konto gesperrt'] } }
+  };
+
+  assert.equal(classifyLoginFailure('Ihr Konto gesperrt', custom), 'account_locked');
+  // Unlisted codes keep the defaults
+  assert.equal(classifyLoginFailure('Password incorrect', custom), 'bad_credentials');
+});
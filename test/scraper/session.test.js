@@ -0,0 +1,20 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'crypto';
+import { encryptSession, decryptSession } from '../../scraper/session.js';
+
+const key = secret => createHash('sha256').update(secret).digest();
+
+test('saved sessions are encrypted and only open with the same key', () => {
+  const session = { cookies: [{ name: 'ASP.NET_SessionId', value: 'secret-cookie' }], storage: { origin: 'https://vinsolutions.test', items: {} } };
+  const envelope = encryptSession(session, key('one'));
+
+  assert.equal(JSON.stringify(envelope).includes('secret-cookie'), false);
+  assert.deepEqual(decryptSession(envelope, key('one')), session);
+  assert.equal(decryptSession(envelope, key('two')), null);
+  assert.equal(decryptSession({ ...envelope, data: Buffer.from('tampered').toString('base64') }, key('one')), null);
+});
+
+test('plaintext sessions from before encryption are not read', () => {
+  assert.equal(decryptSession([{ name: 'ASP.NET_SessionId', value: 'secret-cookie' }], key('one')), null);
+});
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeBase32, generateTOTP } from '../../scraper/totp.js';
+
+// RFC 6238 appendix B vectors (SHA-1, secret "12345678901234567890")
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+test('decodeBase32 decodes the RFC test secret', () => {
+  assert.equal(decodeBase32(RFC_SECRET).toString('utf8'), '12345678901234567890');
+});
+
+test('decodeBase32 ignores case, spaces, dashes and padding', () => {
+  assert.deepEqual(decodeBase32('gezd gnbv-gy3t qojq===='), decodeBase32('GEZDGNBVGY3TQOJQ'));
+});
+
+test('decodeBase32 rejects characters outside the alphabet', () => {
+  assert.throws(() => decodeBase32('GEZD1!'), /not valid base32/);
+});
+
+test('generateTOTP matches the RFC 6238 vectors', () => {
+  const cases = [
+    [59, '94287082'],
+    [1111111109, '07081804'],
+    [1234567890, '89005924'],
+    [20000000000, '65353130']
+  ];
+
+  for (const [seconds, expected] of cases) {
+    assert.equal(generateTOTP(RFC_SECRET, { time: seconds * 1000, digits: 8 }), expected);
+  }
+});
+
+test('generateTOTP defaults to six digits and changes every 30 seconds', () => {
+  const first = generateTOTP(RFC_SECRET, { time: 0 });
+  assert.match(first, /^\d{6}$/);
+  assert.equal(generateTOTP(RFC_SECRET, { time: 29999 }), first);
+  assert.notEqual(generateTOTP(RFC_SECRET, { time: 30000 }), first);
+});
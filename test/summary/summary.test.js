@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractSummary } from '../../summary/index.js';
+
+const INVENTORY = [{ stock_number: 'M37564' }, { stock_number: 'u4410a' }];
+
+test('extractSummary keeps a well-formed summary', () => {
+  const summary = extractSummary({
+    summary: '  Wants a 2024 Equinox before the end of the month.  ',
+    intent: { type: 'purchase', details: 'Buying for their daughter' },
+    objections: [{ objection: 'Monthly payment', addressed: true }],
+    vehicles: [{ description: '2024 Chevrolet Equinox LT', stockNumber: 'm37564', role: 'interest' }],
+    timeline: { urgency: 'high', details: 'End of the month' },
+    sentiment: { overall: 'positive', details: 'Excited' },
+    openQuestions: ['Is it still available?', ''],
+    nextAction: { action: 'appointment', description: 'Book a test drive', reason: 'Asked about Saturday' }
+  }, INVENTORY);
+
+  assert.deepEqual(summary, {
+    summary: 'Wants a 2024 Equinox before the end of the month.',
+    intent: { type: 'purchase', details: 'Buying for their daughter' },
+    objections: [{ objection: 'Monthly payment', addressed: true }],
+    vehicles: [{ description: '2024 Chevrolet Equinox LT', stockNumber: 'M37564', role: 'interest' }],
+    timeline: { urgency: 'high', details: 'End of the month' },
+    sentiment: { overall: 'positive', details: 'Excited' },
+    openQuestions: ['Is it still available?'],
+    nextAction: { action: 'appointment', description: 'Book a test drive', reason: 'Asked about Saturday' }
+  });
+});
+
+test('extractSummary falls back on values outside each enum', () => {
+  const summary = extractSummary({
+    summary: 'Asked about a trade.',
+    intent: { type: 'Trade In' },
+    vehicles: [{ description: 'Their 2015 Civic', role: 'spare' }],
+    timeline: { urgency: 'asap' },
+    sentiment: { overall: 'angry' },
+    nextAction: { action: 'email', description: 'Send numbers' }
+  }, INVENTORY);
+
+  assert.equal(summary.intent.type, 'trade_in');
+  assert.equal(summary.vehicles[0].role, 'other');
+  assert.equal(summary.timeline.urgency, 'unknown');
+  assert.equal(summary.sentiment.overall, 'neutral');
+  assert.equal(summary.nextAction.action, 'other');
+});
+
+test('extractSummary accepts objections given as plain strings', () => {
+  const summary = extractSummary({ summary: 'Price shopping.', objections: ['Price is too high', '  ', { addressed: true }] }, INVENTORY);
+
+  assert.deepEqual(summary.objections, [{ objection: 'Price is too high', addressed: false }]);
+});
+
+test('extractSummary drops stock numbers that were not offered', () => {
+  const summary = extractSummary({
+    summary: 'Comparing two trucks.',
+    vehicles: [
+      { description: '2021 Land Rover', stockNumber: 'U4410A', role: 'interest' },
+      { description: '2024 Silverado', stockNumber: 'M99999', role: 'interest' }
+    ]
+  }, INVENTORY);
+
+  assert.deepEqual(summary.vehicles.map(v => v.stockNumber), ['U4410A', null]);
+});
+
+test('extractSummary returns null without a summary or a next action', () => {
+  assert.equal(extractSummary({}, INVENTORY), null);
+  assert.equal(extractSummary({ summary: '  ', nextAction: { action: 'call' } }, INVENTORY), null);
+  assert.equal(extractSummary({ reply: 'Hi!', vehicles: [] }, INVENTORY), null);
+  assert.equal(extractSummary(null, INVENTORY), null);
+
+  const actionOnly = extractSummary({ nextAction: { action: 'call', description: 'Call them back' } }, INVENTORY);
+  assert.equal(actionOnly.summary, null);
+  assert.deepEqual(actionOnly.objections, []);
+});
@@ -0,0 +1,139 @@
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { generateTOTP } from '../../scraper/totp.js';
+
+// ============================================================================
+// VIN SOLUTIONS STAND-IN SERVER
+// ============================================================================
+// Serves the recorded pages in test/fixtures/vinsolutions so the scraper's
+// login, navigation, frame discovery and grid reading can run offline:
+//   GET  /login             sign-in form
+//   POST /login             good credentials → dashboard, bad → failure page;
+//                           the locked user gets the account-locked page and
+//                           the MFA user is sent to the one-time-code prompt
+//   POST /mfa               current TOTP for the MFA user → dashboard
+//   GET  /dashboard         needs the session cookie; hosts the nav iframe and
+//                           the CarDashboard iframe that follows the hash
+//   GET  /nav               small menu table (must not be mistaken for the grid)
+//   GET  /inventory?page=N  inventory grid, two pages
+//
+// Run it by hand to point a profile at it:
+//   node test/support/vinsolutions-server.js [port]
+
+const FIXTURES_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../fixtures/vinsolutions');
+const SESSION_COOKIE = 'vs_session=stand-in';
+const MFA_COOKIE = 'vs_mfa=pending';
+
+export const STAND_IN_USERS = {
+  username: 'rep@example.com',
+  password: 'correct-horse',
+  lockedUsername: 'locked@example.com',
+  mfaUsername: 'mfa@example.com',
+  totpSecret: 'JBSWY3DPEHPK3PXP'
+};
+
+function fixture(name) {
+  return fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8');
+}
+
+function sendHTML(res, html, status = 200) {
+  res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8' });
+  res.end(html);
+}
+
+function redirect(res, location, headers = {}) {
+  res.writeHead(302, { Location: location, ...headers });
+  res.end();
+}
+
+function readForm(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => resolve(Object.fromEntries(new URLSearchParams(body))));
+    req.on('error', reject);
+  });
+}
+
+export function createStandInServer(options = {}) {
+  const { username, password, lockedUsername, mfaUsername, totpSecret } = { ...STAND_IN_USERS, ...options };
+
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const cookies = req.headers.cookie || '';
+    const signedIn = cookies.includes(SESSION_COOKIE);
+
+    try {
+      if (url.pathname === '/login' && req.method === 'POST') {
+        const form = await readForm(req);
+        if (form.username === lockedUsername) {
+          return sendHTML(res, fixture('account-locked.html'));
+        }
+        if (form.username === mfaUsername && form.password === password) {
+          return redirect(res, '/mfa', { 'Set-Cookie': `${MFA_COOKIE}; Path=/` });
+        }
+        if (form.username === username && form.password === password) {
+          return redirect(res, '/dashboard', { 'Set-Cookie': `${SESSION_COOKIE}; Path=/` });
+        }
+        return sendHTML(res, fixture('login-failed.html'));
+      }
+
+      if (url.pathname === '/mfa' && cookies.includes(MFA_COOKIE)) {
+        if (req.method !== 'POST') {
+          return sendHTML(res, fixture('mfa.html'));
+        }
+        const form = await readForm(req);
+        if (form.code === generateTOTP(totpSecret)) {
+          return redirect(res, '/dashboard', { 'Set-Cookie': `${SESSION_COOKIE}; Path=/` });
+        }
+        return sendHTML(res, fixture('mfa-failed.html'));
+      }
+
+      if (url.pathname === '/login' || url.pathname === '/') {
+        return sendHTML(res, fixture('login.html'));
+      }
+
+      if (!signedIn) {
+        return redirect(res, '/login');
+      }
+
+      if (url.pathname === '/dashboard') {
+        return sendHTML(res, fixture('dashboard.html'));
+      }
+      if (url.pathname === '/nav') {
+        return sendHTML(res, fixture('nav.html'));
+      }
+      if (url.pathname === '/inventory') {
+        const page = url.searchParams.get('page') === '2' ? 2 : 1;
+        return sendHTML(res, fixture(`inventory-page-${page}.html`));
+      }
+
+      sendHTML(res, '<h1>Not found</h1>', 404);
+    } catch (error) {
+      sendHTML(res, `<pre>${error.message}</pre>`, 500);
+    }
+  });
+}
+
+// Resolves with { url, close } once listening (port 0 = any free port)
+export function startStandInServer(options = {}, port = 0) {
+  const server = createStandInServer(options);
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  startStandInServer({}, Number(process.argv[2] || 4010)).then(({ url }) => {
+    console.log(`🧪 VIN Solutions stand-in listening on ${url} (login: ${STAND_IN_USERS.username} / ${STAND_IN_USERS.password})`);
+  });
+}
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeCheckDigit, decodeVIN, validateVIN, compareWithListing } from '../../vin/index.js';
+
+test('a valid VIN decodes manufacturer, region, year and serial', () => {
+  const decoded = decodeVIN(' 1hgcm82633a004352 ');
+
+  assert.equal(decoded.vin, '1HGCM82633A004352');
+  assert.equal(decoded.valid, true);
+  assert.equal(computeCheckDigit(decoded.vin), '3');
+  assert.equal(decoded.wmi, '1HG');
+  assert.equal(decoded.make, 'Honda');
+  assert.equal(decoded.region, 'North America');
+  assert.equal(decoded.modelYear, 2003);
+  assert.equal(decoded.serialNumber, '004352');
+});
+
+test('a bad check digit invalidates North American VINs only', () => {
+  const bad = validateVIN('1HGCM82643A004352');
+  assert.equal(bad.valid, false);
+  assert.deepEqual(bad.errors, ['Check digit mismatch (position 9 is 4, expected 3)']);
+
+  // The check digit is optional outside North America
+  const european = validateVIN('WVWZZZ1JZYW000001');
+  assert.equal(european.checkDigitValid, false);
+  assert.equal(european.valid, true);
+
+  assert.deepEqual(validateVIN('1HGCM82633A00435').errors, ['VIN must be 17 characters (got 16)']);
+  assert.match(validateVIN('1HGCM82633A00435O').errors[0], /I, O and Q are not allowed/);
+});
+
+test('position 7 tells a 1980s model year from a 2010s one', () => {
+  // Same year code (B); a letter at position 7 means 2011, a digit 1981
+  const modern = decodeVIN('1G1ZB5ST9BF100001');
+  assert.equal(modern.modelYear, 2011);
+  assert.equal(modern.plant, 'Flint, MI');
+
+  assert.equal(decodeVIN('1G1AB25TXBF100001').modelYear, 1981);
+
+  // Outside North America the latest year that isn't in the future wins
+  assert.equal(decodeVIN('KL7CJ4SB7LB012345').modelYear, 2020);
+});
+
+test('compareWithListing reports year and make mismatches', () => {
+  const decoded = decodeVIN('3GNAXUEV9LS123456');
+
+  assert.deepEqual(compareWithListing(decoded, { year: 2020, make: 'Chevrolet' }), []);
+  assert.deepEqual(compareWithListing(decoded, { year: '2021', make: 'GMC' }), [
+    'Listed year 2021 does not match VIN model year 2020',
+    'Listed make GMC does not match VIN manufacturer Chevrolet'
+  ]);
+  assert.deepEqual(compareWithListing(decodeVIN('1HGCM82643A004352'), { year: 2003, make: 'Honda' }),
+    ['Check digit mismatch (position 9 is 4, expected 3)']);
+});
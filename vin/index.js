@@ -0,0 +1,197 @@
+// ============================================================================
+// VIN DECODING (offline)
+// ============================================================================
+// Validates the ISO 3779 / 49 CFR 565 structure and check digit, and decodes
+// what can be known without a lookup service: manufacturer (WMI), region,
+// model year and plant code. Engine/transmission/body style need a full VDS
+// database and are not decoded here.
+
+const TRANSLITERATION = {
+  A: 1, B: 2, C: 3, D: 4, E: 5, F: 6, G: 7, H: 8,
+  J: 1, K: 2, L: 3, M: 4, N: 5, P: 7, R: 9,
+  S: 2, T: 3, U: 4, V: 5, W: 6, X: 7, Y: 8, Z: 9
+};
+
+const WEIGHTS = [8, 7, 6, 5, 4, 3, 2, 10, 0, 9, 8, 7, 6, 5, 4, 3, 2];
+
+// Position 10 codes, in order, starting with 1980 (repeats every 30 years)
+const YEAR_CODES = 'ABCDEFGHJKLMNPRSTVWXY123456789';
+
+const VIN_PATTERN = /^[A-HJ-NPR-Z0-9]{17}$/;
+
+// World Manufacturer Identifiers - GM brands first since that's most of our
+// stock, plus the common trade-in makes
+const WMI = {
+  '1G1': { manufacturer: 'General Motors', make: 'Chevrolet' },
+  '1GC': { manufacturer: 'General Motors', make: 'Chevrolet' },
+  '1GB': { manufacturer: 'General Motors', make: 'Chevrolet' },
+  '1GN': { manufacturer: 'General Motors', make: 'Chevrolet' },
+  '1GY': { manufacturer: 'General Motors', make: 'Cadillac' },
+  '1G6': { manufacturer: 'General Motors', make: 'Cadillac' },
+  '1G4': { manufacturer: 'General Motors', make: 'Buick' },
+  '1GT': { manufacturer: 'General Motors', make: 'GMC' },
+  '1GK': { manufacturer: 'General Motors', make: 'GMC' },
+  '1GD': { manufacturer: 'General Motors', make: 'GMC' },
+  '2G1': { manufacturer: 'General Motors Canada', make: 'Chevrolet' },
+  '2GC': { manufacturer: 'General Motors Canada', make: 'Chevrolet' },
+  '2GN': { manufacturer: 'General Motors Canada', make: 'Chevrolet' },
+  '2GT': { manufacturer: 'General Motors Canada', make: 'GMC' },
+  '2GK': { manufacturer: 'General Motors Canada', make: 'GMC' },
+  '3G1': { manufacturer: 'General Motors Mexico', make: 'Chevrolet' },
+  '3GC': { manufacturer: 'General Motors Mexico', make: 'Chevrolet' },
+  '3GN': { manufacturer: 'General Motors Mexico', make: 'Chevrolet' },
+  '3GT': { manufacturer: 'General Motors Mexico', make: 'GMC' },
+  '3GK': { manufacturer: 'General Motors Mexico', make: 'GMC' },
+  'KL1': { manufacturer: 'GM Korea', make: 'Chevrolet' },
+  'KL7': { manufacturer: 'GM Korea', make: 'Chevrolet' },
+  'KL4': { manufacturer: 'GM Korea', make: 'Buick' },
+  'LRB': { manufacturer: 'SAIC-GM', make: 'Buick' },
+  '1HT': { manufacturer: 'Navistar', make: 'International' },
+  '1FA': { manufacturer: 'Ford', make: 'Ford' },
+  '1FM': { manufacturer: 'Ford', make: 'Ford' },
+  '1FT': { manufacturer: 'Ford', make: 'Ford' },
+  '3FA': { manufacturer: 'Ford Mexico', make: 'Ford' },
+  '1C4': { manufacturer: 'Stellantis', make: 'Jeep/Chrysler/Dodge' },
+  '1C6': { manufacturer: 'Stellantis', make: 'Ram' },
+  '3C6': { manufacturer: 'Stellantis Mexico', make: 'Ram' },
+  '1J4': { manufacturer: 'Stellantis', make: 'Jeep' },
+  '4T1': { manufacturer: 'Toyota', make: 'Toyota' },
+  '5TD': { manufacturer: 'Toyota', make: 'Toyota' },
+  '5TF': { manufacturer: 'Toyota', make: 'Toyota' },
+  '2T3': { manufacturer: 'Toyota Canada', make: 'Toyota' },
+  'JTD': { manufacturer: 'Toyota', make: 'Toyota' },
+  'JTM': { manufacturer: 'Toyota', make: 'Toyota' },
+  '1HG': { manufacturer: 'Honda', make: 'Honda' },
+  '2HG': { manufacturer: 'Honda Canada', make: 'Honda' },
+  '5FN': { manufacturer: 'Honda', make: 'Honda' },
+  '5J6': { manufacturer: 'Honda', make: 'Honda' },
+  '1N4': { manufacturer: 'Nissan', make: 'Nissan' },
+  '5N1': { manufacturer: 'Nissan', make: 'Nissan' },
+  'JN8': { manufacturer: 'Nissan', make: 'Nissan' },
+  '5NP': { manufacturer: 'Hyundai', make: 'Hyundai' },
+  'KM8': { manufacturer: 'Hyundai', make: 'Hyundai' },
+  '5XY': { manufacturer: 'Kia', make: 'Kia' },
+  'KNA': { manufacturer: 'Kia', make: 'Kia' },
+  'JF1': { manufacturer: 'Subaru', make: 'Subaru' },
+  '4S4': { manufacturer: 'Subaru', make: 'Subaru' },
+  '3VW': { manufacturer: 'Volkswagen Mexico', make: 'Volkswagen' },
+  'WVW': { manufacturer: 'Volkswagen', make: 'Volkswagen' },
+  '5YJ': { manufacturer: 'Tesla', make: 'Tesla' },
+  '7SA': { manufacturer: 'Tesla', make: 'Tesla' }
+};
+
+// Plant codes (position 11) are manufacturer specific - only the GM plants
+// that build what we sell are listed
+const GM_PLANTS = {
+  '1': 'Oshawa, ON',
+  '5': 'Bowling Green, KY',
+  F: 'Flint, MI',
+  G: 'Silao, Mexico',
+  Z: 'Fort Wayne, IN'
+};
+
+function regionFor(code) {
+  if ('12345'.includes(code)) return 'North America';
+  if ('ABCDEFGH'.includes(code)) return 'Africa';
+  if ('JKLMNPR'.includes(code)) return 'Asia';
+  if ('STUVWXYZ'.includes(code)) return 'Europe';
+  if ('6789'.includes(code)) return 'Oceania/South America';
+  return null;
+}
+
+export function normalizeVIN(vin) {
+  return String(vin || '').replace(/[\s-]/g, '').toUpperCase();
+}
+
+export function computeCheckDigit(vin) {
+  const sum = vin.split('').reduce((total, ch, i) => {
+    const value = /\d/.test(ch) ? Number(ch) : TRANSLITERATION[ch];
+    return total + value * WEIGHTS[i];
+  }, 0);
+  const remainder = sum % 11;
+  return remainder === 10 ? 'X' : String(remainder);
+}
+
+// Position 7 disambiguates the 30-year cycle for North American light
+// vehicles: a letter means 2010+, a digit means 1980-2009. Elsewhere we take
+// the latest year that isn't in the future.
+export function decodeModelYear(vin) {
+  const index = YEAR_CODES.indexOf(vin[9]);
+  if (index === -1) return null;
+
+  const base = 1980 + index;
+  if ('12345'.includes(vin[0])) {
+    return /[A-Z]/.test(vin[6]) ? base + 30 : base;
+  }
+
+  const latest = new Date().getFullYear() + 1;
+  let year = base;
+  while (year + 30 <= latest) year += 30;
+  return year;
+}
+
+export function validateVIN(rawVin) {
+  const vin = normalizeVIN(rawVin);
+  const errors = [];
+
+  if (vin.length !== 17) {
+    errors.push(`VIN must be 17 characters (got ${vin.length})`);
+  } else if (!VIN_PATTERN.test(vin)) {
+    errors.push('VIN contains invalid characters (I, O and Q are not allowed)');
+  }
+
+  const wellFormed = errors.length === 0;
+  const checkDigit = wellFormed ? computeCheckDigit(vin) : null;
+  const checkDigitValid = wellFormed ? vin[8] === checkDigit : false;
+
+  // The check digit is mandatory for North American VINs only
+  if (wellFormed && !checkDigitValid && '12345'.includes(vin[0])) {
+    errors.push(`Check digit mismatch (position 9 is ${vin[8]}, expected ${checkDigit})`);
+  }
+
+  return { vin, wellFormed, checkDigitValid, valid: errors.length === 0, errors };
+}
+
+export function decodeVIN(rawVin) {
+  const validation = validateVIN(rawVin);
+  const { vin } = validation;
+
+  if (!validation.wellFormed) {
+    return { ...validation, wmi: null, manufacturer: null, make: null, region: null, vds: null, modelYear: null, plantCode: null, plant: null, serialNumber: null };
+  }
+
+  const wmi = vin.slice(0, 3);
+  const known = WMI[wmi] || null;
+  const plantCode = vin[10];
+
+  return {
+    ...validation,
+    wmi,
+    manufacturer: known?.manufacturer || null,
+    make: known?.make || null,
+    region: regionFor(vin[0]),
+    vds: vin.slice(3, 8),
+    modelYear: decodeModelYear(vin),
+    plantCode,
+    plant: known?.manufacturer?.startsWith('General Motors') ? GM_PLANTS[plantCode] || null : null,
+    serialNumber: vin.slice(11)
+  };
+}
+
+// Compares a decoded VIN with what the feed says about the unit. Returns a
+// list of human-readable issues (empty when everything lines up).
+export function compareWithListing(decoded, { year, make }) {
+  const issues = [];
+
+  if (!decoded.valid) {
+    issues.push(...decoded.errors);
+    return issues;
+  }
+  if (year && decoded.modelYear && Number(year) !== decoded.modelYear) {
+    issues.push(`Listed year ${year} does not match VIN model year ${decoded.modelYear}`);
+  }
+  if (make && decoded.make && !decoded.make.toLowerCase().split('/').some(m => make.toLowerCase().includes(m))) {
+    issues.push(`Listed make ${make} does not match VIN manufacturer ${decoded.make}`);
+  }
+  return issues;
+}